@@ -1,168 +1,83 @@
 import express from "express";
-import { db } from "../../shared/db.js";
-import redisClient, { initRedis } from "../config/redis.js";
+import { authenticate, checkOwnership } from "../../shared/auth.js";
+import { getCart, addCartItem, updateCartItemQuantity, removeCartItem, clearCart } from "../services/cartService.js";
+import { sendCartError } from "../utils/response.js";
+import { initRedis } from "../config/redis.js";
 
 // Redis 연결 보장
 await initRedis();
 
 const router = express.Router();
 
-// POST /carts - 장바구니에 상품 추가
-router.post('/', async (req, res) => {
+// POST /carts - 장바구니에 상품 추가 (장바구니 소유자는 인증 토큰의 사용자)
+// 상품 참조(product_id, variant_id)와 수량만 저장, 상품명/단가는 조회 시 products에서 가져옴
+// 판매 중인 옵션이 있는 상품은 variant_id 필수, 담긴 수량은 현재 재고를 넘지 않음 (quantity_capped)
+router.post('/', authenticate, async (req, res) => {
   try {
-    const { user_id, product_id, product_name, price, quantity } = req.body;
-    
-    if (!user_id || !product_id || !quantity) {
+    const { product_id, quantity } = req.body;
+    const user_id = req.user.user_id;
+
+    if (!product_id || !quantity) {
       return res.status(400).json({ success: false, message: 'MISSING_FIELDS' });
     }
 
-    const [result] = await db.query(
-      'INSERT INTO cart (user_id, product_id, product_name, price, quantity) VALUES (?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE quantity = quantity + ?, updated_at = NOW()',
-      [user_id, product_id, product_name, price, quantity, quantity]
-    );
-    // Cache delete: 장바구니에 변경이 발생했으므로 해당 사용자의 장바구니 캐시 무효화
-    try {
-      const cacheKey = `carts:${user_id}`;
-      await redisClient.del(cacheKey);
-      console.log(`CACHE DELETE (${cacheKey})`);
-    } catch (redisErr) {
-      console.error('Redis DEL error (carts cache delete after add):', redisErr);
-    }
+    const item = await addCartItem(user_id, req.body);
 
-    return res.json({ success: true, message: 'ITEM_ADDED_TO_CART' });
+    return res.json({ success: true, message: 'ITEM_ADDED_TO_CART', item });
   } catch (err) {
-    console.error('ADD TO CART ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    return sendCartError(res, err, 'ADD TO CART ERROR');
   }
 });
 
 // GET /carts/user/:userId - 사용자 장바구니 조회
-router.get('/user/:userId', async (req, res) => {
+// 항목마다 현재 상품명/단가/이미지/재고를 채우고, 담은 뒤 가격 변경(price_changed)·품절(out_of_stock)·
+// 판매 중지(available: false)·재고만큼 수량 조정(quantity_adjusted)을 표시
+// 응답은 캐싱하지 않음 (Redis carts:{userId}에는 장바구니 참조 행만 캐싱, services/cartService.js)
+router.get('/user/:userId', authenticate, checkOwnership('userId', 'orders.manage'), async (req, res) => {
   try {
-    const userId = req.params.userId;
-    const cacheKey = `carts:${userId}`;
-
-    // Cache get: 해당 사용자의 장바구니 캐시 확인
-    try {
-      const cached = await redisClient.get(cacheKey);
-      if (cached) {
-        console.log(`CACHE HIT (${cacheKey})`);
-        // Cache hit: 캐싱된 전체 응답 반환
-        return res.json(JSON.parse(cached));
-      }
-      console.log(`CACHE MISS (${cacheKey})`);
-    } catch (redisErr) {
-      console.error(`Redis GET error (${cacheKey}):`, redisErr);
-    }
-
-    // Cache miss: DB에서 장바구니 조회
-    const [rows] = await db.query(
-      'SELECT * FROM cart WHERE user_id = ? ORDER BY created_at DESC',
-      [userId]
-    );
-
-    const result = { success: true, items: rows || [] };
-
-    // Cache set: 조회 결과를 Redis에 캐싱 (TTL = 60초)
-    try {
-      await redisClient.set(cacheKey, JSON.stringify(result), { EX: 60 });
-      console.log(`CACHE SET (${cacheKey})`);
-    } catch (redisErr) {
-      console.error(`Redis SET error (${cacheKey}):`, redisErr);
-    }
-
-    return res.json(result);
+    const cart = await getCart(req.params.userId);
+    return res.json({ success: true, ...cart });
   } catch (err) {
-    console.error('GET CART ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    return sendCartError(res, err, 'GET CART ERROR');
   }
 });
 
-// PUT /carts/:userId/:productId - 장바구니 상품 수량 수정
-router.put('/:userId/:productId', async (req, res) => {
+// PUT /carts/:userId/:productId - 장바구니 상품 수량 수정 (옵션 상품은 ?variant_id=)
+// 수량은 현재 재고를 넘지 않음, 현재 단가를 다시 기록하므로 가격 변경 표시가 해제됨
+router.put('/:userId/:productId', authenticate, checkOwnership('userId', 'orders.manage'), async (req, res) => {
   try {
     const { userId, productId } = req.params;
-    const { quantity } = req.body;
-
-    if (!quantity || quantity < 1) {
-      return res.status(400).json({ success: false, message: 'INVALID_QUANTITY' });
-    }
 
-    const [result] = await db.query(
-      'UPDATE cart SET quantity = ?, updated_at = NOW() WHERE user_id = ? AND product_id = ?',
-      [quantity, userId, productId]
-    );
+    const item = await updateCartItemQuantity(userId, productId, req.query.variant_id, req.body.quantity);
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'CART_ITEM_NOT_FOUND' });
-    }
-
-    // Cache delete: 장바구니 수량이 변경되었으므로 해당 사용자의 장바구니 캐시 무효화
-    try {
-      const cacheKey = `carts:${userId}`;
-      await redisClient.del(cacheKey);
-      console.log(`CACHE DELETE (${cacheKey})`);
-    } catch (redisErr) {
-      console.error('Redis DEL error (carts cache delete after update):', redisErr);
-    }
-
-    return res.json({ success: true, message: 'QUANTITY_UPDATED' });
+    return res.json({ success: true, message: 'QUANTITY_UPDATED', item });
   } catch (err) {
-    console.error('UPDATE CART ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    return sendCartError(res, err, 'UPDATE CART ERROR');
   }
 });
 
-// DELETE /carts/:userId/:productId - 장바구니에서 상품 제거
-router.delete('/:userId/:productId', async (req, res) => {
+// DELETE /carts/:userId/:productId - 장바구니에서 상품 제거 (옵션 상품은 ?variant_id=)
+router.delete('/:userId/:productId', authenticate, checkOwnership('userId', 'orders.manage'), async (req, res) => {
   try {
     const { userId, productId } = req.params;
 
-    const [result] = await db.query(
-      'DELETE FROM cart WHERE user_id = ? AND product_id = ?',
-      [userId, productId]
-    );
-
-    if (result.affectedRows === 0) {
+    const removed = await removeCartItem(userId, productId, req.query.variant_id);
+    if (!removed) {
       return res.status(404).json({ success: false, message: 'CART_ITEM_NOT_FOUND' });
     }
 
-    // Cache delete: 장바구니에서 상품이 제거되었으므로 해당 사용자의 장바구니 캐시 무효화
-    try {
-      const cacheKey = `carts:${userId}`;
-      await redisClient.del(cacheKey);
-      console.log(`CACHE DELETE (${cacheKey})`);
-    } catch (redisErr) {
-      console.error('Redis DEL error (carts cache delete after remove):', redisErr);
-    }
-
     return res.json({ success: true, message: 'ITEM_REMOVED_FROM_CART' });
   } catch (err) {
-    console.error('DELETE CART ITEM ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    return sendCartError(res, err, 'DELETE CART ITEM ERROR');
   }
 });
 
 // DELETE /carts/user/:userId/clear - 장바구니 전체 비우기
-router.delete('/user/:userId/clear', async (req, res) => {
+router.delete('/user/:userId/clear', authenticate, checkOwnership('userId', 'orders.manage'), async (req, res) => {
   try {
-    const userId = req.params.userId;
-
-    const [result] = await db.query(
-      'DELETE FROM cart WHERE user_id = ?',
-      [userId]
-    );
-
-    // Cache delete: 장바구니가 전체 비워졌으므로 해당 사용자의 장바구니 캐시 무효화
-    try {
-      const cacheKey = `carts:${userId}`;
-      await redisClient.del(cacheKey);
-      console.log(`CACHE DELETE (${cacheKey})`);
-    } catch (redisErr) {
-      console.error('Redis DEL error (carts cache delete after clear):', redisErr);
-    }
+    const deletedCount = await clearCart(req.params.userId);
 
-    return res.json({ success: true, message: 'CART_CLEARED', deleted_count: result.affectedRows });
+    return res.json({ success: true, message: 'CART_CLEARED', deleted_count: deletedCount });
   } catch (err) {
     console.error('CLEAR CART ERROR:', err);
     return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
@@ -0,0 +1,445 @@
+/**
+ * 장바구니 서비스
+ * cart 테이블에는 상품 참조(product_id, variant_id, quantity)만 저장하고,
+ * 상품명/단가/이미지/재고는 조회할 때마다 products/product_variants에서 가져옴
+ *
+ * - price_at_add: 담거나 수량을 바꿀 때 서버가 기록한 단가 (가격 변경 표시용, 결제 금액에는 사용하지 않음)
+ * - 수량은 현재 재고를 넘지 않도록 맞춤 (담기/수정/조회 시)
+ * - cart.variant_id 0 = 옵션 없음
+ * - Redis carts:{userId}에는 참조 행만 캐싱 (조회 시 현재 상품 정보는 캐싱하지 않음), 장바구니를 바꾸는 함수가 직접 무효화
+ */
+
+import { db } from '../../shared/db.js';
+import { isPurchasable } from '../../shared/productStatus.js';
+import redisClient from '../config/redis.js';
+
+/**
+ * 장바구니 서비스 에러 생성 (라우트에서 status/code를 그대로 응답에 사용)
+ */
+function createCartError(status, code, message, details = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * 금액을 센트 단위 정수로 변환 (DECIMAL 문자열 포함)
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * 상품 옵션 ID 파싱 (없으면 0 = 옵션 없음 / 잘못된 값이면 null)
+ */
+function parseVariantId(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const variantId = Number(value);
+  return Number.isInteger(variantId) && variantId > 0 ? variantId : null;
+}
+
+/**
+ * 수량 파싱 (1 이상의 정수가 아니면 null)
+ */
+function parseQuantity(value) {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+}
+
+/**
+ * 담을 수 있는 상품/옵션 조회 (현재 단가와 재고)
+ * 판매 중인 옵션이 있는 상품은 variant_id 필수
+ * @param {number} productId - 상품 ID
+ * @param {number} variantId - 옵션 ID (0 = 옵션 없음)
+ * @param {Object} connection - 데이터베이스 연결 (기본 db)
+ * @returns {Promise<Object>} - { product, variant, unitPrice, stock }
+ */
+async function findPurchasableItem(productId, variantId, connection = db) {
+  // 판매 중인 상품만 담을 수 있음 (삭제/숨김/단종 상품 제외)
+  const [products] = await connection.query('SELECT id, name, price, stock, status FROM products WHERE id = ?', [productId]);
+  if (products.length === 0) {
+    throw createCartError(404, 'PRODUCT_NOT_FOUND', 'Product not found');
+  }
+  const product = products[0];
+  if (!isPurchasable(product)) {
+    throw createCartError(422, 'PRODUCT_UNAVAILABLE', '현재 판매 중인 상품이 아닙니다.');
+  }
+
+  const [variants] = await connection.query(
+    'SELECT id, name, price_delta, stock FROM product_variants WHERE product_id = ? AND is_active = TRUE',
+    [product.id]
+  );
+
+  let variant = null;
+  if (variantId) {
+    variant = variants.find(row => Number(row.id) === variantId);
+    if (!variant) {
+      throw createCartError(404, 'VARIANT_NOT_FOUND', 'Variant not found');
+    }
+  } else if (variants.length > 0) {
+    throw createCartError(400, 'VARIANT_REQUIRED', '옵션을 선택해주세요.');
+  }
+
+  const unitCents = toCents(product.price) + (variant ? toCents(variant.price_delta) : 0);
+  return {
+    product,
+    variant,
+    unitPrice: unitCents / 100,
+    stock: Math.max(Number((variant || product).stock) || 0, 0)
+  };
+}
+
+/**
+ * 장바구니에 상품 추가 (이미 있으면 수량 합산, 재고를 넘으면 재고만큼만 담음)
+ * @param {number} userId - 사용자 ID
+ * @param {Object} input - { product_id, variant_id, quantity }
+ * @returns {Promise<Object>} - { product_id, variant_id, quantity, requested_quantity, quantity_capped, available_stock }
+ */
+async function addCartItem(userId, { product_id, variant_id, quantity }) {
+  const variantId = parseVariantId(variant_id);
+  if (variantId === null) {
+    throw createCartError(400, 'INVALID_VARIANT_ID', 'variant_id must be a positive integer');
+  }
+  const requested = parseQuantity(quantity);
+  if (requested === null) {
+    throw createCartError(400, 'INVALID_QUANTITY', 'quantity must be a positive integer');
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const { product, unitPrice, stock } = await findPurchasableItem(Number(product_id), variantId, conn);
+    if (stock === 0) {
+      throw createCartError(409, 'OUT_OF_STOCK', '재고가 없습니다.', { available: 0 });
+    }
+
+    const [existing] = await conn.query(
+      'SELECT quantity FROM cart WHERE user_id = ? AND product_id = ? AND variant_id = ? FOR UPDATE',
+      [userId, product.id, variantId]
+    );
+    const total = (existing.length > 0 ? Number(existing[0].quantity) : 0) + requested;
+    const capped = Math.min(total, stock);
+
+    await conn.query(
+      `INSERT INTO cart (user_id, product_id, variant_id, quantity, price_at_add) VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE quantity = VALUES(quantity), price_at_add = VALUES(price_at_add), updated_at = NOW()`,
+      [userId, product.id, variantId, capped, unitPrice]
+    );
+
+    await conn.commit();
+    await invalidateCartCache(userId);
+    return {
+      product_id: product.id,
+      variant_id: variantId || null,
+      quantity: capped,
+      requested_quantity: total,
+      quantity_capped: capped < total,
+      available_stock: stock
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 장바구니 상품 수량 변경 (재고를 넘으면 재고만큼, 현재 단가를 다시 기록 — 가격 변경 표시 해제)
+ * @param {number|string} userId - 사용자 ID
+ * @param {number|string} productId - 상품 ID
+ * @param {*} variantIdValue - 옵션 ID (없으면 옵션 없음)
+ * @param {*} quantityValue - 새 수량
+ * @returns {Promise<Object>} - { product_id, variant_id, quantity, requested_quantity, quantity_capped, available_stock }
+ */
+async function updateCartItemQuantity(userId, productId, variantIdValue, quantityValue) {
+  const quantity = parseQuantity(quantityValue);
+  if (quantity === null) {
+    throw createCartError(400, 'INVALID_QUANTITY', 'quantity must be a positive integer');
+  }
+  const variantId = parseVariantId(variantIdValue);
+  if (variantId === null) {
+    throw createCartError(400, 'INVALID_VARIANT_ID', 'variant_id must be a positive integer');
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT quantity FROM cart WHERE user_id = ? AND product_id = ? AND variant_id = ? FOR UPDATE',
+      [userId, productId, variantId]
+    );
+    if (rows.length === 0) {
+      throw createCartError(404, 'CART_ITEM_NOT_FOUND', 'Cart item not found');
+    }
+
+    const { unitPrice, stock } = await findPurchasableItem(Number(productId), variantId, conn);
+    if (stock === 0) {
+      throw createCartError(409, 'OUT_OF_STOCK', '재고가 없습니다.', { available: 0 });
+    }
+    const capped = Math.min(quantity, stock);
+
+    await conn.query(
+      'UPDATE cart SET quantity = ?, price_at_add = ?, updated_at = NOW() WHERE user_id = ? AND product_id = ? AND variant_id = ?',
+      [capped, unitPrice, userId, productId, variantId]
+    );
+
+    await conn.commit();
+    await invalidateCartCache(userId);
+    return {
+      product_id: Number(productId),
+      variant_id: variantId || null,
+      quantity: capped,
+      requested_quantity: quantity,
+      quantity_capped: capped < quantity,
+      available_stock: stock
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 사용자 장바구니 참조 행 조회 (Redis carts:{userId}, TTL 60초)
+ * 상품 참조/수량만 캐싱 (상품명/단가/재고는 캐싱하지 않음) — 장바구니가 바뀌면 invalidateCartCache로 삭제
+ * @param {number|string} userId - 사용자 ID
+ * @returns {Promise<Array>} - [{ product_id, variant_id, quantity, price_at_add, created_at, updated_at }]
+ */
+async function getCartRows(userId) {
+  const cacheKey = `carts:${userId}`;
+
+  // Cache get: 해당 사용자의 장바구니 참조 캐시 확인
+  try {
+    const cached = await redisClient.get(cacheKey);
+    if (cached) {
+      console.log(`CACHE HIT (${cacheKey})`);
+      return JSON.parse(cached);
+    }
+    console.log(`CACHE MISS (${cacheKey})`);
+  } catch (redisErr) {
+    console.error(`Redis GET error (${cacheKey}):`, redisErr);
+  }
+
+  // Cache miss: DB에서 장바구니 조회
+  const [rows] = await db.query(
+    `SELECT product_id, variant_id, quantity, price_at_add, created_at, updated_at
+     FROM cart WHERE user_id = ? ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  // Cache set: 조회 결과를 Redis에 캐싱 (TTL = 60초)
+  try {
+    await redisClient.set(cacheKey, JSON.stringify(rows), { EX: 60 });
+    console.log(`CACHE SET (${cacheKey})`);
+  } catch (redisErr) {
+    console.error(`Redis SET error (${cacheKey}):`, redisErr);
+  }
+
+  return rows;
+}
+
+/**
+ * 장바구니 캐시 무효화 (담기/수정/제거/비우기와 조회 중 수량 조정 후 호출)
+ * @param {number|string} userId - 사용자 ID
+ */
+async function invalidateCartCache(userId) {
+  const cacheKey = `carts:${userId}`;
+  try {
+    await redisClient.del(cacheKey);
+    console.log(`CACHE DELETE (${cacheKey})`);
+  } catch (redisErr) {
+    console.error(`Redis DEL error (${cacheKey}):`, redisErr);
+  }
+}
+
+/**
+ * 장바구니 항목 하나를 현재 상품 정보로 채움
+ * @param {Object} row - 장바구니 참조 행
+ * @param {Object|undefined} product - 현재 상품 (없으면 삭제된 상품)
+ * @param {Object|undefined} variant - 현재 옵션 (옵션 없이 담았거나 삭제된 옵션이면 undefined)
+ * @param {Set<number>} productsWithVariants - 판매 중인 옵션이 있는 상품 ID
+ * @returns {Object} - 응답 항목 (issues: 주문 전에 확인이 필요한 변경 사항)
+ */
+function hydrateCartItem(row, product, variant, productsWithVariants) {
+  const variantId = row.variant_id ? Number(row.variant_id) : null;
+  const issues = [];
+
+  let available = true;
+  if (!product || !isPurchasable(product)) {
+    available = false;
+    issues.push('PRODUCT_UNAVAILABLE');
+  } else if (variantId && !(variant && variant.is_active)) {
+    available = false;
+    issues.push('VARIANT_UNAVAILABLE');
+  } else if (!variantId && productsWithVariants.has(Number(row.product_id))) {
+    available = false;
+    issues.push('VARIANT_REQUIRED');
+  }
+
+  const stockSource = variantId ? variant : product;
+  const stock = Math.max(Number(stockSource?.stock) || 0, 0);
+  const outOfStock = available && stock === 0;
+  if (outOfStock) {
+    issues.push('OUT_OF_STOCK');
+  }
+
+  const unitCents = !product || (variantId && !variant)
+    ? null
+    : toCents(product.price) + (variant ? toCents(variant.price_delta) : 0);
+  const priceChanged = unitCents !== null && row.price_at_add !== null && toCents(row.price_at_add) !== unitCents;
+  if (priceChanged) {
+    issues.push('PRICE_CHANGED');
+  }
+
+  const quantity = Number(row.quantity);
+  return {
+    product_id: Number(row.product_id),
+    variant_id: variantId,
+    product_name: product?.name ?? null,
+    variant_name: variant?.name ?? null,
+    sku: (variantId ? variant?.sku : product?.sku) ?? null,
+    image_url: product?.thumbnail_url || product?.image_url || null,
+    quantity,
+    unit_price: unitCents === null ? null : unitCents / 100,
+    subtotal: unitCents === null ? null : (unitCents * quantity) / 100,
+    price_at_add: row.price_at_add === null ? null : Number(row.price_at_add),
+    price_changed: priceChanged,
+    available,
+    available_stock: stock,
+    out_of_stock: outOfStock,
+    quantity_adjusted: false,
+    issues,
+    added_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * 사용자 장바구니 조회 (현재 상품명/단가/이미지/재고로 채움)
+ * 캐시는 참조 행만 사용하고 상품 정보는 항상 products/product_variants에서 조회
+ * 담긴 수량이 현재 재고보다 많으면 재고만큼으로 줄여 저장 (quantity_adjusted, previous_quantity)
+ * 합계는 주문 가능한 항목(판매 중, 재고 있음)만 포함
+ * @param {number|string} userId - 사용자 ID
+ * @returns {Promise<Object>} - { items, summary: { item_count, total_quantity, total_price, has_issues } }
+ */
+async function getCart(userId) {
+  const rows = await getCartRows(userId);
+
+  const productIds = [...new Set(rows.map(row => Number(row.product_id)))];
+  const products = new Map();
+  const variants = new Map();
+  // 옵션 없이 담긴 상품에 나중에 옵션이 생긴 경우 (주문 시 VARIANT_REQUIRED)
+  const productsWithVariants = new Set();
+
+  if (productIds.length > 0) {
+    const [productRows] = await db.query(
+      'SELECT id, name, sku, price, stock, status, image_url, thumbnail_url FROM products WHERE id IN (?)',
+      [productIds]
+    );
+    for (const product of productRows) {
+      products.set(Number(product.id), product);
+    }
+
+    const [variantRows] = await db.query(
+      'SELECT id, product_id, name, sku, price_delta, stock, is_active FROM product_variants WHERE product_id IN (?)',
+      [productIds]
+    );
+    for (const variant of variantRows) {
+      variants.set(Number(variant.id), variant);
+      if (variant.is_active) {
+        productsWithVariants.add(Number(variant.product_id));
+      }
+    }
+  }
+
+  const items = rows.map(row => {
+    const variant = variants.get(Number(row.variant_id));
+    return hydrateCartItem(
+      row,
+      products.get(Number(row.product_id)),
+      variant && Number(variant.product_id) === Number(row.product_id) ? variant : undefined,
+      productsWithVariants
+    );
+  });
+
+  let adjusted = false;
+  for (const item of items) {
+    if (item.available && !item.out_of_stock && item.quantity > item.available_stock) {
+      await db.query(
+        'UPDATE cart SET quantity = ?, updated_at = NOW() WHERE user_id = ? AND product_id = ? AND variant_id = ? AND quantity > ?',
+        [item.available_stock, userId, item.product_id, item.variant_id || 0, item.available_stock]
+      );
+      item.previous_quantity = item.quantity;
+      item.quantity = item.available_stock;
+      item.subtotal = (toCents(item.unit_price) * item.quantity) / 100;
+      item.quantity_adjusted = true;
+      item.issues.push('QUANTITY_ADJUSTED');
+      adjusted = true;
+    }
+  }
+
+  if (adjusted) {
+    await invalidateCartCache(userId);
+  }
+
+  const orderable = items.filter(item => item.available && !item.out_of_stock);
+  return {
+    items,
+    summary: {
+      item_count: items.length,
+      total_quantity: orderable.reduce((sum, item) => sum + item.quantity, 0),
+      total_price: orderable.reduce((sum, item) => sum + toCents(item.subtotal), 0) / 100,
+      has_issues: items.some(item => item.issues.length > 0)
+    }
+  };
+}
+
+/**
+ * 장바구니에서 상품 제거
+ * @returns {Promise<boolean>} - 제거 여부
+ */
+async function removeCartItem(userId, productId, variantIdValue) {
+  const variantId = parseVariantId(variantIdValue);
+  if (variantId === null) {
+    throw createCartError(400, 'INVALID_VARIANT_ID', 'variant_id must be a positive integer');
+  }
+
+  const [result] = await db.query(
+    'DELETE FROM cart WHERE user_id = ? AND product_id = ? AND variant_id = ?',
+    [userId, productId, variantId]
+  );
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await invalidateCartCache(userId);
+  return true;
+}
+
+/**
+ * 장바구니 전체 비우기
+ * @returns {Promise<number>} - 제거된 항목 수
+ */
+async function clearCart(userId) {
+  const [result] = await db.query('DELETE FROM cart WHERE user_id = ?', [userId]);
+
+  await invalidateCartCache(userId);
+  return result.affectedRows;
+}
+
+export {
+  getCart,
+  addCartItem,
+  updateCartItemQuantity,
+  removeCartItem,
+  clearCart
+};
@@ -4,6 +4,12 @@ import {
   RecognizeTextCommand 
 } from "@aws-sdk/client-lex-runtime-v2";
 import { db } from "../../shared/db.js";
+import { LISTED_PRODUCT_STATUSES } from "../../shared/productStatus.js";
+import { findCategoryScope } from "../../shared/categories.js";
+import { availableStockSql } from "../../shared/inventory.js";
+
+// 판매 가능 재고 (옵션 상품은 판매 중인 옵션 재고 합계)
+const AVAILABLE_STOCK = availableStockSql("products");
 
 const router = express.Router();
 
@@ -122,6 +128,7 @@ router.post("/chat", async (req, res) => {
 
 /**
  * 예산과 카테고리로 상품 조회
+ * 카테고리는 이름/slug/ID — 하위 카테고리 상품 포함 (예: 전자제품 → 노트북, 이어폰 ...)
  */
 async function getProductsByBudget(budgetStr, category) {
   try {
@@ -136,12 +143,18 @@ async function getProductsByBudget(budgetStr, category) {
 
     console.log(`🔍 상품 조회: 예산=${budget}, 카테고리=${category}`);
 
-    let query = "SELECT * FROM products WHERE price <= ? AND stock > 0";
-    const params = [budget];
+    // 판매 중(active) 상품만 추천
+    let query = `SELECT *, ${AVAILABLE_STOCK} AS available_stock FROM products WHERE price <= ? AND ${AVAILABLE_STOCK} > 0 AND status IN (?)`;
+    const params = [budget, LISTED_PRODUCT_STATUSES];
 
     if (category) {
-      query += " AND category = ?";
-      params.push(category);
+      const scope = await findCategoryScope(category);
+      if (!scope) {
+        console.log(`⚠️ 없는 카테고리: ${category}`);
+        return [];
+      }
+      query += " AND category_id IN (?)";
+      params.push(scope.ids);
     }
 
     query += " ORDER BY price DESC LIMIT 5";
@@ -181,7 +194,7 @@ function formatProductResponse(budget, category, products) {
   products.forEach((product, index) => {
     message += `${index + 1}. **${product.name}**\n`;
     message += `   💵 가격: ₩${parseInt(product.price).toLocaleString()}\n`;
-    message += `   📦 재고: ${product.stock}개\n`;
+    message += `   📦 재고: ${product.available_stock}개\n`;
     if (product.description) {
       message += `   📝 ${product.description.substring(0, 50)}${
         product.description.length > 50 ? "..." : ""
@@ -273,19 +286,23 @@ router.post("/recommend", async (req, res) => {
 });
 
 /**
- * 카테고리별 상품 조회
- * GET /lex/category/:category
+ * 카테고리별 상품 조회 (하위 카테고리 상품 포함)
+ * GET /lex/category/:category (이름, slug 또는 ID)
  */
 router.get("/category/:category", async (req, res) => {
   try {
-    const { category } = req.params;
+    console.log("🤖 카테고리 조회:", req.params.category);
 
-    console.log("🤖 카테고리 조회:", category);
+    const scope = await findCategoryScope(req.params.category);
+    const category = scope ? scope.category.name : req.params.category;
 
-    const [products] = await db.query(
-      "SELECT * FROM products WHERE category = ? AND stock > 0 ORDER BY price DESC LIMIT 5",
-      [category]
-    );
+    const [products] = scope
+      ? await db.query(
+          `SELECT *, ${AVAILABLE_STOCK} AS available_stock FROM products
+           WHERE category_id IN (?) AND ${AVAILABLE_STOCK} > 0 AND status IN (?) ORDER BY price DESC LIMIT 5`,
+          [scope.ids, LISTED_PRODUCT_STATUSES]
+        )
+      : [[]];
 
     if (products.length === 0) {
       return res.json({
@@ -301,7 +318,7 @@ router.get("/category/:category", async (req, res) => {
     products.forEach((product, index) => {
       message += `${index + 1}. **${product.name}**\n`;
       message += `   💵 ₩${parseInt(product.price).toLocaleString()}\n`;
-      message += `   📦 재고: ${product.stock}개\n\n`;
+      message += `   📦 재고: ${product.available_stock}개\n\n`;
     });
 
     message += `💡 "예산 XX원으로 ${category} 추천해줘"라고 말씀해보세요!`;
@@ -313,6 +330,15 @@ router.get("/category/:category", async (req, res) => {
       count: products.length,
     });
   } catch (error) {
+    // 여러 상위 카테고리에 같은 이름이 있으면 slug나 ID로 다시 요청하도록 안내
+    if (error.code === "AMBIGUOUS_CATEGORY") {
+      return res.status(400).json({
+        success: false,
+        message: error.code,
+        error: error.message,
+        ...error.details,
+      });
+    }
     console.error("❌ 카테고리 조회 오류:", error);
     return res.status(500).json({
       success: false,
@@ -325,19 +351,49 @@ router.get("/category/:category", async (req, res) => {
 /**
  * 모든 카테고리 목록 조회
  * GET /lex/categories
+ * 재고가 있는 판매 중 상품이 (하위 카테고리 포함) 있는 활성 카테고리만, 트리 순서대로
  */
 router.get("/categories", async (req, res) => {
   try {
     console.log("🤖 카테고리 목록 조회");
 
     const [categories] = await db.query(
-      "SELECT DISTINCT category FROM products WHERE stock > 0 ORDER BY category"
+      "SELECT id, parent_id, name, slug, is_active FROM categories ORDER BY sort_order, id"
+    );
+    const [counts] = await db.query(
+      `SELECT category_id, COUNT(*) AS count FROM products
+       WHERE ${AVAILABLE_STOCK} > 0 AND status IN (?) AND category_id IS NOT NULL
+       GROUP BY category_id`,
+      [LISTED_PRODUCT_STATUSES]
     );
 
+    // 하위 카테고리 상품 수를 상위 카테고리에 합산
+    const byId = new Map(categories.map((c) => [c.id, { ...c, product_count: 0 }]));
+    for (const { category_id, count } of counts) {
+      for (let node = byId.get(category_id); node; node = byId.get(node.parent_id)) {
+        node.product_count += Number(count);
+      }
+    }
+
+    // 트리 순서(상위 → 하위)로 나열, 비활성 카테고리와 그 하위는 제외
+    const ordered = [];
+    const visit = (parentId) => {
+      for (const node of byId.values()) {
+        if (node.parent_id === parentId && node.is_active) {
+          if (node.product_count > 0) ordered.push(node);
+          visit(node.id);
+        }
+      }
+    };
+    visit(null);
+
     return res.json({
       success: true,
-      categories: categories.map((c) => c.category),
-      count: categories.length,
+      categories: ordered.map((c) => c.name),
+      details: ordered.map(({ id, parent_id, name, slug, product_count }) => ({
+        id, parent_id, name, slug, product_count,
+      })),
+      count: ordered.length,
     });
   } catch (error) {
     console.error("❌ 카테고리 목록 조회 오류:", error);
@@ -361,10 +417,11 @@ router.get("/stats", async (req, res) => {
     const [categoryStats] = await db.query(
       `SELECT category, COUNT(*) as count, 
        AVG(price) as avg_price, 
-       SUM(stock) as total_stock
-       FROM products 
-       WHERE stock > 0 
-       GROUP BY category`
+       SUM(available_stock) as total_stock
+       FROM (SELECT category, price, ${AVAILABLE_STOCK} AS available_stock FROM products WHERE status IN (?)) listed
+       WHERE available_stock > 0
+       GROUP BY category`,
+      [LISTED_PRODUCT_STATUSES]
     );
 
     // 전체 통계
@@ -374,9 +431,10 @@ router.get("/stats", async (req, res) => {
        AVG(price) as avg_price,
        MIN(price) as min_price,
        MAX(price) as max_price,
-       SUM(stock) as total_stock
-       FROM products 
-       WHERE stock > 0`
+       SUM(available_stock) as total_stock
+       FROM (SELECT price, ${AVAILABLE_STOCK} AS available_stock FROM products WHERE status IN (?)) listed
+       WHERE available_stock > 0`,
+      [LISTED_PRODUCT_STATUSES]
     );
 
     return res.json({
@@ -415,9 +473,10 @@ router.get("/price-ranges", async (req, res) => {
        END as price_range,
        COUNT(*) as count
        FROM products 
-       WHERE stock > 0
+       WHERE ${AVAILABLE_STOCK} > 0 AND status IN (?)
        GROUP BY price_range
-       ORDER BY MIN(price)`
+       ORDER BY MIN(price)`,
+      [LISTED_PRODUCT_STATUSES]
     );
 
     return res.json({
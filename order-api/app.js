@@ -2,6 +2,8 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import ordersRouter from './routes/orders.js';
+import checkoutRouter from './routes/checkout.js';
+import { expireStaleReservations } from './services/orderService.js';
 
 dotenv.config();
 
@@ -27,6 +29,7 @@ app.get('/health', (req, res) => res.json({ status: 'ok' }));
 app.get('/readiness', (req, res) => res.json({ ready: true }));
 
 app.use('/orders', ordersRouter);
+app.use('/checkout', checkoutRouter);
 
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -35,3 +38,9 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3003;
 app.listen(PORT, () => console.log(`order-api listening on ${PORT}`));
+
+// 만료된 재고 예약 주기적 정리 (기본 1분)
+const RESERVATION_SWEEP_INTERVAL_MS = parseInt(process.env.ORDER_RESERVATION_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+setInterval(() => {
+  expireStaleReservations().catch((err) => console.error('RESERVATION SWEEP ERROR:', err));
+}, RESERVATION_SWEEP_INTERVAL_MS);
@@ -0,0 +1,174 @@
+/**
+ * 검증 미들웨어
+ * 주문 API 요청 검증 (주문 생성, 주문 상태 변경)
+ * 형식 검증만 수행하고, 가격/재고/상태 전환 확인은 orderService에서 처리
+ */
+
+import {
+  isValidUserId,
+  isValidAmount,
+  sanitizeInput,
+  isValidLength,
+  isValidOrderItems
+} from '../utils/validator.js';
+import { isValidOrderStatus } from '../utils/orderStatus.js';
+import { logError } from '../utils/logger.js';
+
+/**
+ * 주문 생성 요청 검증 미들웨어
+ * 가격은 서버에서 계산하므로 items에는 product_id, quantity(옵션 상품은 variant_id)만 필요
+ * total_price는 선택 (보내면 서버 계산 금액과 비교)
+ * 주문자는 인증 토큰에서 가져오므로 user_id는 검증하지 않음
+ */
+function validateOrderCreation(req, res, next) {
+  try {
+    const { items, total_price, address_id } = req.body;
+
+    // 필수 필드 존재 여부 확인
+    if (!items) {
+      return res.status(400).json({
+        success: false,
+        message: 'items is required',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // items 배열 검증
+    if (!isValidOrderItems(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid items: must be a non-empty array with valid product_id, quantity and optional variant_id',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // total_price 검증 (선택적 필드)
+    if (total_price !== undefined && total_price !== null && !isValidAmount(total_price)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid total_price: must be a positive number between 0.01 and 10,000,000',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // address_id 검증 (선택적 필드)
+    if (address_id !== undefined && address_id !== null && !isValidUserId(address_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address_id: must be a positive integer',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // 검증 통과
+    next();
+  } catch (error) {
+    logError('Validation error in validateOrderCreation', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during validation',
+      error_code: 'VALIDATION_ERROR'
+    });
+  }
+}
+
+/**
+ * 장바구니 결제 요청 검증 미들웨어
+ * 주문 항목은 서버의 장바구니에서 가져오므로 total_price, address_id(선택)만 검증
+ */
+function validateCheckout(req, res, next) {
+  try {
+    const { total_price, address_id } = req.body || {};
+
+    if (total_price !== undefined && total_price !== null && !isValidAmount(total_price)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid total_price: must be a positive number between 0.01 and 10,000,000',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (address_id !== undefined && address_id !== null && !isValidUserId(address_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address_id: must be a positive integer',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // 검증 통과
+    next();
+  } catch (error) {
+    logError('Validation error in validateCheckout', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during validation',
+      error_code: 'VALIDATION_ERROR'
+    });
+  }
+}
+
+/**
+ * 주문 상태 변경 요청 검증 미들웨어
+ * 전환 가능 여부는 서비스에서 현재 상태를 잠근 뒤 확인
+ */
+function validateOrderStatusUpdate(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!isValidUserId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order id: must be a positive integer',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'status is required',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!isValidOrderStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status',
+        error_code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // reason 검증 (선택적 필드)
+    if (reason !== undefined && reason !== null) {
+      if (typeof reason !== 'string' || !isValidLength(reason, 255)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid reason: must be between 1 and 255 characters',
+          error_code: 'VALIDATION_ERROR'
+        });
+      }
+
+      // reason 정제
+      req.body.reason = sanitizeInput(reason);
+    }
+
+    // 검증 통과
+    next();
+  } catch (error) {
+    logError('Validation error in validateOrderStatusUpdate', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during validation',
+      error_code: 'VALIDATION_ERROR'
+    });
+  }
+}
+
+export {
+  validateOrderCreation,
+  validateCheckout,
+  validateOrderStatusUpdate
+};
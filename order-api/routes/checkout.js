@@ -0,0 +1,68 @@
+import express from "express";
+import { db } from "../../shared/db.js";
+import { authenticate } from "../../shared/auth.js";
+import { checkoutCart } from "../services/orderService.js";
+import { validateCheckout } from "../middleware/validation.js";
+import { sendOrderError } from "../utils/response.js";
+import { notifyLowStock } from "../../shared/stockAlerts.js";
+import redisClient, { initRedis } from "../config/redis.js";
+
+// Redis 연결 보장
+await initRedis();
+
+const router = express.Router();
+
+// ============================================
+// 🛒 장바구니 결제 API
+// ============================================
+
+/**
+ * POST /checkout
+ * 인증된 사용자의 장바구니를 주문으로 전환
+ * 가격 계산, 재고 예약, 주문 생성, 장바구니 비우기를 하나의 트랜잭션으로 처리
+ * 생성된 주문(pending)은 payment-api의 POST /payments로 결제
+ * address_id(선택)의 배송지를 주문에 스냅샷 (없으면 기본 배송지)
+ * 장바구니가 비어 있으면 409 CART_EMPTY, 재고 부족은 409 OUT_OF_STOCK
+ */
+router.post('/', authenticate, validateCheckout, async (req, res) => {
+  const userId = req.user.user_id;
+  const { total_price, address_id } = req.body || {};
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const order = await checkoutCart(userId, total_price, conn, { addressId: address_id });
+
+    await conn.commit();
+
+    // 재고 부족 알림 (발송 실패는 notifyLowStock 안에서 처리, 응답을 기다리게 하지 않음)
+    notifyLowStock(order.stockAlerts);
+
+    // Cache delete: 장바구니가 비워졌으므로 해당 사용자의 장바구니 캐시 무효화
+    try {
+      const cacheKey = `carts:${userId}`;
+      await redisClient.del(cacheKey);
+      console.log(`CACHE DELETE (${cacheKey})`);
+    } catch (redisErr) {
+      console.error('Redis DEL error (carts cache delete after checkout):', redisErr);
+    }
+
+    return res.status(201).json({
+      success: true,
+      order_id: order.orderId,
+      status: 'pending',
+      total_price: order.totalPrice,
+      items: order.items,
+      shipping_address: order.shippingAddress,
+      message: 'Checkout completed successfully'
+    });
+  } catch (err) {
+    await conn.rollback();
+    return sendOrderError(res, err, 'CHECKOUT ERROR');
+  } finally {
+    conn.release();
+  }
+});
+
+export default router;
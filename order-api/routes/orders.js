@@ -1,90 +1,110 @@
 import express from "express";
 import { db } from "../../shared/db.js";
+import {
+  createOrder,
+  updateOrderStatus,
+  getOrderStatusHistory,
+  listOrders,
+  listOrdersByUser,
+  getOrderById
+} from "../services/orderService.js";
+import { validateOrderCreation, validateOrderStatusUpdate } from "../middleware/validation.js";
+import { sendOrderError } from "../utils/response.js";
+import { notifyLowStock } from "../../shared/stockAlerts.js";
+import {
+  authenticate,
+  authenticateServiceOrUser,
+  checkPermission,
+  checkOwnership
+} from "../../shared/auth.js";
+import { roleHasPermission } from "../../shared/permissions.js";
 
 const router = express.Router();
 
+// 모든 주문 조회/변경 권한 (roles/role_permissions 테이블 기준)
+const ORDER_MANAGE_PERMISSION = 'orders.manage';
+
+// 일반 사용자가 직접 변경할 수 있는 주문 상태
+const CUSTOMER_STATUSES = ['cancelled'];
+
+/**
+ * 모든 주문을 관리할 수 있는지 확인 (내부 서비스 또는 orders.manage 권한)
+ */
+async function canManageOrders(user) {
+  return user.role === 'service' || roleHasPermission(user.role, ORDER_MANAGE_PERMISSION);
+}
+
+/**
+ * 주문 접근 권한 확인 (주문한 사용자 본인, 내부 서비스 또는 orders.manage 권한)
+ */
+async function canAccessOrder(user, order) {
+  return String(order.user_id) === String(user.user_id) || canManageOrders(user);
+}
+
 // ============================================
 // 📦 주문 관리 API
 // ============================================
 
 /**
  * GET /orders
- * 모든 주문 조회 (관리자용)
+ * 모든 주문 조회 (orders.manage 권한)
  */
-router.get('/', async (req, res) => {
+router.get('/', authenticate, checkPermission(ORDER_MANAGE_PERMISSION), async (req, res) => {
   try {
-    const [rows] = await db.query('SELECT * FROM orders ORDER BY created_at DESC');
-    return res.json({ success: true, orders: rows });
+    const orders = await listOrders();
+    return res.json({ success: true, orders });
   } catch (err) {
-    console.error('GET ORDERS ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR' });
+    return sendOrderError(res, err, 'GET ORDERS ERROR');
   }
 });
 
 /**
  * GET /orders/user/:userId
- * 사용자별 주문 조회
+ * 사용자별 주문 조회 (본인 또는 orders.manage 권한)
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', authenticate, checkOwnership('userId', ORDER_MANAGE_PERMISSION), async (req, res) => {
   try {
-    const userId = req.params.userId;
-    const [rows] = await db.query('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC', [userId]);
-    return res.json({ success: true, orders: rows });
+    const orders = await listOrdersByUser(req.params.userId);
+    return res.json({ success: true, orders });
   } catch (err) {
-    console.error('GET USER ORDERS ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR' });
+    return sendOrderError(res, err, 'GET USER ORDERS ERROR');
   }
 });
 
 /**
  * POST /orders
  * 새 주문 생성
+ * 가격/총액은 orderService에서 products 테이블 기준으로 계산 (total_price는 검증용, 선택)
+ * 재고가 부족한 항목이 있으면 409 OUT_OF_STOCK (부족 항목 목록 포함)
+ * items[].variant_id(선택)로 상품 옵션 지정 — 옵션 단가/재고 기준, 옵션 상품에 없으면 422 VARIANT_REQUIRED
+ * 주문자는 요청 본문이 아니라 인증 토큰의 사용자
+ * address_id(선택)의 배송지를 주문에 스냅샷 (없으면 기본 배송지)
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticate, validateOrderCreation, async (req, res) => {
+  const { items, total_price, address_id } = req.body;
+
   const conn = await db.getConnection();
   try {
-    const { user_id, items, total_price } = req.body;
-
-    // 입력 검증
-    if (!user_id || !items || !total_price) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields: user_id, items, total_price' 
-      });
-    }
-
     await conn.beginTransaction();
 
-    // 주문 생성
-    const [orderResult] = await conn.query(
-      "INSERT INTO orders(user_id, total_price, status) VALUES(?, ?, 'pending')", 
-      [user_id, total_price]
-    );
-    const orderId = orderResult.insertId;
-
-    // 주문 항목 추가
-    for (const item of items) {
-      await conn.query(
-        'INSERT INTO order_items(order_id, product_id, quantity, price) VALUES(?, ?, ?, ?)', 
-        [orderId, item.product_id, item.quantity, item.price]
-      );
-    }
+    const order = await createOrder(req.user.user_id, items, total_price, conn, { addressId: address_id });
 
     await conn.commit();
 
-    return res.status(201).json({ 
-      success: true, 
-      order_id: orderId,
+    // 재고 부족 알림 (발송 실패는 notifyLowStock 안에서 처리, 응답을 기다리게 하지 않음)
+    notifyLowStock(order.stockAlerts);
+
+    return res.status(201).json({
+      success: true,
+      order_id: order.orderId,
+      total_price: order.totalPrice,
+      items: order.items,
+      shipping_address: order.shippingAddress,
       message: 'Order created successfully'
     });
   } catch (err) {
     await conn.rollback();
-    console.error('CREATE ORDER ERROR:', err);
-    return res.status(500).json({ 
-      success: false, 
-      message: 'SERVER_ERROR', 
-      error: err.message 
-    });
+    return sendOrderError(res, err, 'CREATE ORDER ERROR');
   } finally {
     conn.release();
   }
@@ -92,53 +112,99 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /orders/:id
- * 주문 상세 조회
+ * 주문 상세 조회 (주문자 본인, orders.manage 권한 또는 내부 서비스)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateServiceOrUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const [orders] = await db.query('SELECT * FROM orders WHERE id = ?', [id]);
-    
-    if (orders.length === 0) {
+    const order = await getOrderById(req.params.id);
+
+    if (!order) {
       return res.status(404).json({ success: false, message: 'ORDER_NOT_FOUND' });
     }
 
-    const order = orders[0];
-    const [items] = await db.query('SELECT * FROM order_items WHERE order_id = ?', [id]);
+    if (!(await canAccessOrder(req.user, order))) {
+      return res.status(403).json({ success: false, message: 'FORBIDDEN', error: '자신의 주문만 조회할 수 있습니다.' });
+    }
+
+    return res.json({ success: true, order });
+  } catch (err) {
+    return sendOrderError(res, err, 'GET ORDER ERROR');
+  }
+});
 
-    return res.json({ 
-      success: true, 
-      order: { ...order, items } 
-    });
+/**
+ * GET /orders/:id/history
+ * 주문 상태 변경 이력 조회 (주문자 본인, orders.manage 권한 또는 내부 서비스)
+ */
+router.get('/:id/history', authenticateServiceOrUser, async (req, res) => {
+  try {
+    const order = await getOrderById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'ORDER_NOT_FOUND' });
+    }
+
+    if (!(await canAccessOrder(req.user, order))) {
+      return res.status(403).json({ success: false, message: 'FORBIDDEN', error: '자신의 주문만 조회할 수 있습니다.' });
+    }
+
+    const history = await getOrderStatusHistory(req.params.id);
+    return res.json({ success: true, history });
   } catch (err) {
-    console.error('GET ORDER ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR' });
+    return sendOrderError(res, err, 'GET ORDER HISTORY ERROR');
   }
 });
 
 /**
  * PATCH /orders/:id/status
  * 주문 상태 업데이트
+ * 허용되지 않은 상태 전환은 409 INVALID_STATUS_TRANSITION (utils/orderStatus.js 참고)
+ * cancelled/payment_failed 등으로 전환되면 예약된 재고를 반환
+ * orders.manage 권한/내부 서비스는 모든 전환, 일반 사용자는 자신의 주문 취소만 가능
  */
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', authenticateServiceOrUser, validateOrderStatusUpdate, async (req, res) => {
+  const { id } = req.params;
+  const { status, reason } = req.body;
+
+  try {
+    if (!(await canManageOrders(req.user))) {
+      if (!CUSTOMER_STATUSES.includes(status)) {
+        return res.status(403).json({ success: false, message: 'FORBIDDEN', error: '이 상태로 변경할 권한이 없습니다.' });
+      }
+
+      const order = await getOrderById(id);
+      if (!order) {
+        return res.status(404).json({ success: false, message: 'ORDER_NOT_FOUND' });
+      }
+      if (String(order.user_id) !== String(req.user.user_id)) {
+        return res.status(403).json({ success: false, message: 'FORBIDDEN', error: '자신의 주문만 변경할 수 있습니다.' });
+      }
+    }
+  } catch (err) {
+    return sendOrderError(res, err, 'UPDATE ORDER STATUS ERROR');
+  }
+
   const conn = await db.getConnection();
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    await conn.beginTransaction();
 
-    if (!status) {
-      return res.status(400).json({ success: false, message: 'Status is required' });
-    }
+    const result = await updateOrderStatus(id, status, conn, {
+      changedBy: req.user.user_id,
+      reason: reason || null
+    });
 
-    await conn.query('UPDATE orders SET status = ?, updated_at = NOW() WHERE id = ?', [status, id]);
-    
-    return res.json({ 
-      success: true, 
-      message: 'Order status updated successfully'
+    await conn.commit();
+
+    return res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      previous_status: result.previousStatus,
+      status: result.status,
+      stock_released: result.stockReleased
     });
   } catch (err) {
-    console.error('UPDATE ORDER STATUS ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR' });
+    await conn.rollback();
+    return sendOrderError(res, err, 'UPDATE ORDER STATUS ERROR');
   } finally {
     conn.release();
   }
@@ -6,7 +6,53 @@
 
 import { db } from '../../shared/db.js';
 import { logInfo, logError } from '../utils/logger.js';
-import { isValidUserId, isValidAmount, isValidOrderItems } from '../utils/validator.js';
+import { isValidUserId, isValidAmount } from '../utils/validator.js';
+import {
+  isValidOrderStatus,
+  canTransition,
+  getAllowedTransitions,
+  releasesStock
+} from '../utils/orderStatus.js';
+import { isPurchasable } from '../../shared/productStatus.js';
+import { changeStock } from '../../shared/inventory.js';
+
+// 재고 예약 유지 시간 (분) - 이 시간이 지나도록 pending인 주문은 취소되고 재고가 반환됨
+const RESERVATION_TTL_MINUTES = parseInt(process.env.ORDER_RESERVATION_TTL_MINUTES, 10) || 30;
+
+/**
+ * 주문 서비스 에러 생성
+ * 라우트에서 status/code를 그대로 응답에 사용
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} code - 에러 코드
+ * @param {string} message - 에러 메시지
+ * @param {Object} details - 응답에 포함할 추가 정보
+ * @returns {Error}
+ */
+function createOrderError(status, code, message, details = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * 금액을 센트 단위 정수로 변환 (DECIMAL 문자열 포함)
+ * @param {*} amount - 금액
+ * @returns {number}
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * 주문 항목이 상품 옵션을 지정했는지 여부
+ * @param {Object} item - 주문 항목
+ * @returns {boolean}
+ */
+function hasVariant(item) {
+  return item.variant_id !== undefined && item.variant_id !== null;
+}
 
 /**
  * 주문 항목 검증
@@ -31,35 +77,338 @@ function validateOrderItems(items) {
       return { valid: false, error: `Invalid product_id at index ${i}` };
     }
 
+    if (hasVariant(item) && !isValidUserId(item.variant_id)) {
+      return { valid: false, error: `Invalid variant_id at index ${i}` };
+    }
+
     const quantity = Number(item.quantity);
     if (!Number.isInteger(quantity) || quantity <= 0) {
       return { valid: false, error: `Invalid quantity at index ${i}` };
     }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 주문 상품 잠금 조회 (트랜잭션 내에서 실행)
+ * SELECT ... FOR UPDATE로 재고 차감이 끝날 때까지 다른 주문의 동시 차감을 막음
+ * @param {Array<number>} productIds - 상품 ID 배열
+ * @param {Object} connection - 데이터베이스 연결 (트랜잭션용)
+ * @returns {Promise<Map>} - 상품 ID → 상품 행
+ */
+async function lockProducts(productIds, connection) {
+  // ID 순서로 잠금 (교착 상태 방지)
+  const [products] = await connection.query(
+    'SELECT id, name, price, stock, status FROM products WHERE id IN (?) ORDER BY id FOR UPDATE',
+    [productIds]
+  );
+
+  const productMap = new Map(products.map(product => [Number(product.id), product]));
+
+  const missingIds = productIds.filter(id => !productMap.has(id));
+  if (missingIds.length > 0) {
+    throw createOrderError(422, 'PRODUCT_NOT_FOUND', 'Some products do not exist', {
+      product_ids: missingIds
+    });
+  }
+
+  // 판매 중이 아닌 상품(draft/hidden/discontinued/deleted)은 주문 불가
+  const unavailableIds = productIds.filter(id => !isPurchasable(productMap.get(id)));
+  if (unavailableIds.length > 0) {
+    throw createOrderError(422, 'PRODUCT_UNAVAILABLE', 'Some products are not available for purchase', {
+      product_ids: unavailableIds
+    });
+  }
+
+  return productMap;
+}
+
+/**
+ * 주문 옵션 잠금 조회 및 검증 (트랜잭션 내에서 실행, lockProducts 이후)
+ * variant_id는 해당 상품의 판매 중인 옵션이어야 하고,
+ * 판매 중인 옵션이 있는 상품은 variant_id 없이 주문할 수 없음
+ * @param {Array} items - 주문 항목 배열 ({ product_id, variant_id, quantity })
+ * @param {Object} connection - 데이터베이스 연결 (트랜잭션용)
+ * @returns {Promise<Map>} - 옵션 ID → 옵션 행
+ */
+async function lockVariants(items, connection) {
+  const variantItems = items.filter(hasVariant);
+  const variantMap = new Map();
+
+  if (variantItems.length > 0) {
+    const variantIds = [...new Set(variantItems.map(item => Number(item.variant_id)))].sort((x, y) => x - y);
+    const [variants] = await connection.query(
+      `SELECT id, product_id, sku, name, price_delta, stock, is_active
+       FROM product_variants WHERE id IN (?) ORDER BY id FOR UPDATE`,
+      [variantIds]
+    );
+    for (const variant of variants) {
+      variantMap.set(Number(variant.id), variant);
+    }
+  }
+
+  const unknownIds = variantItems
+    .filter(item => {
+      const variant = variantMap.get(Number(item.variant_id));
+      return !variant || Number(variant.product_id) !== Number(item.product_id);
+    })
+    .map(item => Number(item.variant_id));
+  if (unknownIds.length > 0) {
+    throw createOrderError(422, 'VARIANT_NOT_FOUND', 'Some variants do not exist for the given products', {
+      variant_ids: unknownIds
+    });
+  }
 
-    if (!isValidAmount(item.price)) {
-      return { valid: false, error: `Invalid price at index ${i}` };
+  const inactiveIds = variantItems
+    .filter(item => !variantMap.get(Number(item.variant_id)).is_active)
+    .map(item => Number(item.variant_id));
+  if (inactiveIds.length > 0) {
+    throw createOrderError(422, 'PRODUCT_UNAVAILABLE', 'Some variants are not available for purchase', {
+      variant_ids: inactiveIds
+    });
+  }
+
+  const plainProductIds = [...new Set(items.filter(item => !hasVariant(item)).map(item => Number(item.product_id)))];
+  if (plainProductIds.length > 0) {
+    const [rows] = await connection.query(
+      'SELECT DISTINCT product_id FROM product_variants WHERE product_id IN (?) AND is_active = TRUE',
+      [plainProductIds]
+    );
+    if (rows.length > 0) {
+      throw createOrderError(422, 'VARIANT_REQUIRED', 'variant_id is required for products with options', {
+        product_ids: rows.map(row => Number(row.product_id))
+      });
     }
   }
 
-  return { valid: true };
+  return variantMap;
+}
+
+/**
+ * 주문 항목 가격 계산
+ * 클라이언트가 보낸 가격은 무시하고 products/product_variants 테이블의 현재 상품명/단가를 스냅샷
+ * 옵션 단가 = 상품 가격 + 옵션 price_delta
+ * @param {Array} items - 주문 항목 배열 ({ product_id, variant_id, quantity })
+ * @param {Map} productMap - lockProducts 결과
+ * @param {Map} variantMap - lockVariants 결과
+ * @returns {Object} - { items: [{ product_id, product_name, variant_id, variant_name, sku, quantity, price, subtotal }], totalPrice }
+ */
+function priceOrderItems(items, productMap, variantMap) {
+  let totalCents = 0;
+  const pricedItems = items.map(item => {
+    const product = productMap.get(Number(item.product_id));
+    const variant = hasVariant(item) ? variantMap.get(Number(item.variant_id)) : null;
+    const quantity = Number(item.quantity);
+    const unitCents = toCents(product.price) + (variant ? toCents(variant.price_delta) : 0);
+    const subtotalCents = unitCents * quantity;
+    totalCents += subtotalCents;
+
+    return {
+      product_id: Number(product.id),
+      product_name: product.name,
+      variant_id: variant ? Number(variant.id) : null,
+      variant_name: variant ? variant.name : null,
+      sku: variant ? variant.sku : null,
+      quantity,
+      price: unitCents / 100,
+      subtotal: subtotalCents / 100
+    };
+  });
+
+  return { items: pricedItems, totalPrice: totalCents / 100 };
+}
+
+/**
+ * 같은 상품/옵션이 여러 항목으로 들어온 경우 수량 합산
+ * @param {Array} items - 가격 계산된 주문 항목 배열
+ * @returns {Array} - [{ productId, variantId, quantity }]
+ */
+function sumRequestedStock(items) {
+  const requested = new Map();
+  for (const item of items) {
+    const key = `${item.product_id}:${item.variant_id ?? 0}`;
+    const entry = requested.get(key) || { productId: item.product_id, variantId: item.variant_id, quantity: 0 };
+    entry.quantity += item.quantity;
+    requested.set(key, entry);
+  }
+  return [...requested.values()];
+}
+
+/**
+ * 재고 확인 (트랜잭션 내에서 실행, 주문 생성 전)
+ * 옵션 항목은 옵션 재고, 그 외는 상품 재고 기준
+ * 부족한 상품이 하나라도 있으면 전체 주문을 OUT_OF_STOCK으로 거부
+ * @param {Array} items - 가격 계산된 주문 항목 배열
+ * @param {Map} productMap - lockProducts 결과 (잠긴 상품 행)
+ * @param {Map} variantMap - lockVariants 결과 (잠긴 옵션 행)
+ * @returns {void}
+ */
+function assertStockAvailable(items, productMap, variantMap) {
+  const shortItems = [];
+  for (const { productId, variantId, quantity } of sumRequestedStock(items)) {
+    const product = productMap.get(productId);
+    const variant = variantId ? variantMap.get(variantId) : null;
+    const available = Number((variant || product).stock) || 0;
+    if (quantity > available) {
+      shortItems.push({
+        product_id: productId,
+        product_name: product.name,
+        variant_id: variantId,
+        requested: quantity,
+        available
+      });
+    }
+  }
+
+  if (shortItems.length > 0) {
+    throw createOrderError(409, 'OUT_OF_STOCK', 'Insufficient stock for some items', {
+      items: shortItems
+    });
+  }
+}
+
+/**
+ * 재고 예약 (트랜잭션 내에서 실행, assertStockAvailable과 주문 생성 이후)
+ * 옵션 항목은 옵션 재고, 그 외는 상품 재고에서 차감하고 재고 이력(sale)에 주문을 기록
+ * @param {number} orderId - 주문 ID
+ * @param {number} userId - 주문자 ID
+ * @param {Array} items - 가격 계산된 주문 항목 배열
+ * @param {Object} connection - 데이터베이스 연결 (트랜잭션용)
+ * @returns {Promise<Array>} - 재고 부족 알림 목록 (커밋 후 notifyLowStock으로 발송)
+ */
+async function reserveStock(orderId, userId, items, connection) {
+  const alerts = [];
+  for (const { productId, variantId, quantity } of sumRequestedStock(items)) {
+    const { alert } = await changeStock(connection, {
+      productId,
+      variantId,
+      quantity: -quantity,
+      type: 'sale',
+      actorId: userId,
+      orderId
+    });
+    if (alert) alerts.push(alert);
+  }
+  return alerts;
+}
+
+/**
+ * 예약 재고 반환 (트랜잭션 내에서 실행)
+ * 재고 이력에는 cancellation으로 주문/결제와 함께 기록
+ * @param {number} orderId - 주문 ID
+ * @param {Object} connection - 데이터베이스 연결 (트랜잭션용)
+ * @param {Object} options - { actorId: 변경한 사용자 ID, reason: 반환 사유, paymentId: 주문의 결제 ID }
+ * @returns {Promise<void>}
+ */
+async function releaseStock(orderId, connection, { actorId = null, reason = null, paymentId = null } = {}) {
+  const [rows] = await connection.execute(
+    `SELECT product_id, variant_id, SUM(quantity) AS quantity 
+     FROM order_items 
+     WHERE order_id = ? 
+     GROUP BY product_id, variant_id 
+     ORDER BY product_id, variant_id`,
+    [orderId]
+  );
+
+  // 옵션 항목은 옵션 재고로, 그 외는 상품 재고로 반환
+  for (const row of rows) {
+    await changeStock(connection, {
+      productId: row.product_id,
+      variantId: row.variant_id || null,
+      quantity: Number(row.quantity),
+      type: 'cancellation',
+      reason,
+      actorId,
+      orderId,
+      paymentId
+    });
+  }
+
+  logInfo('Order stock released', {
+    order_id: orderId,
+    products_count: rows.length
+  });
+}
+
+/**
+ * 주문 상태 변경 이력 기록 (트랜잭션 내에서 실행)
+ * @param {number} orderId - 주문 ID
+ * @param {string|null} fromStatus - 이전 상태 (주문 생성 시 null)
+ * @param {string} toStatus - 새로운 상태
+ * @param {number|null} changedBy - 변경한 사용자 ID (시스템 변경 시 null)
+ * @param {string|null} reason - 변경 사유
+ * @param {Object} connection - 데이터베이스 연결 (트랜잭션용)
+ * @returns {Promise<void>}
+ */
+async function recordStatusHistory(orderId, fromStatus, toStatus, changedBy, reason, connection) {
+  await connection.execute(
+    `INSERT INTO order_status_history 
+     (order_id, from_status, to_status, changed_by, reason) 
+     VALUES (?, ?, ?, ?, ?)`,
+    [orderId, fromStatus, toStatus, changedBy, reason]
+  );
+}
+
+/**
+ * 배송지 조회 (user-api가 관리하는 user_addresses)
+ * addressId가 없으면 사용자의 기본 배송지 사용
+ * @param {number} userId - 사용자 ID
+ * @param {number} addressId - 주소 ID (선택사항)
+ * @param {Object} connection - 트랜잭션 커넥션
+ * @returns {Promise<Object|null>} - 주소 (기본 배송지도 없으면 null)
+ */
+async function findShippingAddress(userId, addressId, connection) {
+  if (addressId !== undefined && addressId !== null) {
+    if (!isValidUserId(addressId)) {
+      throw new Error('Invalid address_id');
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT recipient_name, phone, postcode, road_address, detail_address
+       FROM user_addresses WHERE id = ? AND user_id = ?`,
+      [addressId, userId]
+    );
+
+    if (rows.length === 0) {
+      throw createOrderError(422, 'ADDRESS_NOT_FOUND', 'Shipping address not found', {
+        address_id: Number(addressId)
+      });
+    }
+
+    return rows[0];
+  }
+
+  const [rows] = await connection.execute(
+    `SELECT recipient_name, phone, postcode, road_address, detail_address
+     FROM user_addresses WHERE user_id = ? AND is_default = TRUE LIMIT 1`,
+    [userId]
+  );
+
+  return rows[0] || null;
 }
 
 /**
  * 주문 생성 (트랜잭션 내에서 실행)
+ * 총 금액은 서버에서 계산하며, 클라이언트가 제출한 총 금액이 다르면 거부
+ * 주문 수량만큼 재고를 예약(차감)하고 RESERVATION_TTL_MINUTES 후 만료되도록 기록
+ * 배송지는 주문 시점의 주소를 orders.shipping_* 컬럼에 복사 (이후 주소록 수정과 무관)
  * @param {number} userId - 사용자 ID
- * @param {Array} items - 주문 항목 배열
- * @param {number} totalPrice - 총 금액
+ * @param {Array} items - 주문 항목 배열 ({ product_id, variant_id(선택), quantity })
+ * @param {number} submittedTotal - 클라이언트가 제출한 총 금액 (선택사항, 검증용)
  * @param {Object} connection - 데이터베이스 연결 (트랜잭션용)
- * @returns {Promise<number>} - 생성된 주문 ID
+ * @param {Object} options - { addressId: 배송지 ID (없으면 기본 배송지) }
+ * @returns {Promise<Object>} - { orderId, totalPrice, items, shippingAddress, stockAlerts(커밋 후 notifyLowStock으로 발송) }
  */
-async function createOrder(userId, items, totalPrice, connection) {
+async function createOrder(userId, items, submittedTotal, connection, { addressId = null } = {}) {
   try {
     // 입력 검증
     if (!isValidUserId(userId)) {
       throw new Error('Invalid user_id');
     }
 
-    if (!isValidAmount(totalPrice)) {
+    const hasSubmittedTotal = submittedTotal !== undefined && submittedTotal !== null;
+    if (hasSubmittedTotal && !isValidAmount(submittedTotal)) {
       throw new Error('Invalid total_price');
     }
 
@@ -68,72 +417,196 @@ async function createOrder(userId, items, totalPrice, connection) {
       throw new Error(validation.error);
     }
 
-    // 주문 생성 (파라미터화된 쿼리)
+    // 상품 잠금 후 서버 기준 가격 계산
+    const productIds = [...new Set(items.map(item => Number(item.product_id)))].sort((x, y) => x - y);
+    const productMap = await lockProducts(productIds, connection);
+    const variantMap = await lockVariants(items, connection);
+    const priced = priceOrderItems(items, productMap, variantMap);
+
+    if (hasSubmittedTotal && toCents(submittedTotal) !== toCents(priced.totalPrice)) {
+      throw createOrderError(409, 'PRICE_MISMATCH', 'Submitted total_price does not match current product prices', {
+        submitted_total_price: Number(submittedTotal),
+        total_price: priced.totalPrice
+      });
+    }
+
+    const shippingAddress = await findShippingAddress(userId, addressId, connection);
+
+    // 재고 확인 (차감은 주문 생성 후 — 재고 이력에 주문 ID 기록)
+    assertStockAvailable(priced.items, productMap, variantMap);
+
+    // 주문 생성 (파라미터화된 쿼리) - 예약 만료 시각, 배송지 스냅샷 기록
     const [orderResult] = await connection.execute(
-      'INSERT INTO orders (user_id, total_price, status) VALUES (?, ?, ?)',
-      [userId, totalPrice, 'pending']
+      `INSERT INTO orders (
+         user_id, total_price, status, reservation_expires_at,
+         shipping_recipient, shipping_phone, shipping_postcode, shipping_road_address, shipping_detail_address
+       ) 
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?, ?, ?, ?, ?)`,
+      [
+        userId, priced.totalPrice, 'pending', RESERVATION_TTL_MINUTES,
+        shippingAddress?.recipient_name ?? null,
+        shippingAddress?.phone ?? null,
+        shippingAddress?.postcode ?? null,
+        shippingAddress?.road_address ?? null,
+        shippingAddress?.detail_address ?? null
+      ]
     );
 
     const orderId = orderResult.insertId;
 
-    // 주문 항목 생성 (파라미터화된 쿼리)
-    for (const item of items) {
+    // 주문 항목 생성 (주문 시점의 상품명/옵션명/단가 스냅샷)
+    for (const item of priced.items) {
       await connection.execute(
-        'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)',
-        [orderId, item.product_id, item.quantity, item.price]
+        `INSERT INTO order_items (order_id, product_id, product_name, variant_id, variant_name, quantity, price)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [orderId, item.product_id, item.product_name, item.variant_id, item.variant_name, item.quantity, item.price]
       );
     }
 
+    // 재고 예약
+    const stockAlerts = await reserveStock(orderId, userId, priced.items, connection);
+
+    await recordStatusHistory(orderId, null, 'pending', userId, null, connection);
+
     logInfo('Order created successfully', {
       order_id: orderId,
       user_id: userId,
-      items_count: items.length,
-      total_price: totalPrice
+      items_count: priced.items.length,
+      total_price: priced.totalPrice
     });
 
-    return orderId;
+    return {
+      orderId,
+      totalPrice: priced.totalPrice,
+      items: priced.items,
+      shippingAddress,
+      stockAlerts
+    };
   } catch (error) {
     logError('Failed to create order', error, {
       user_id: userId,
-      total_price: totalPrice
+      total_price: submittedTotal
     });
     throw error;
   }
 }
 
 /**
- * 주문 상태 업데이트 (파라미터화된 쿼리)
+ * 장바구니 결제 (장바구니 → 주문 전환)
+ * cart 테이블(cart-api 소유)의 사용자 장바구니를 잠그고 createOrder와 같은 규칙으로
+ * 가격 계산/재고 예약/주문 생성 후 장바구니를 비움 (호출자 트랜잭션 안에서 실행)
+ * @param {number} userId - 사용자 ID
+ * @param {number} submittedTotal - 클라이언트가 확인한 총액 (선택, 서버 계산 금액과 비교)
+ * @param {Object} connection - 트랜잭션 커넥션
+ * @param {Object} options - { addressId: 배송지 ID (없으면 기본 배송지) }
+ * @returns {Promise<Object>} - 생성된 주문 정보 { orderId, totalPrice, items, shippingAddress, stockAlerts }
+ */
+async function checkoutCart(userId, submittedTotal, connection, options = {}) {
+  if (!isValidUserId(userId)) {
+    throw new Error('Invalid user_id');
+  }
+
+  // 결제 중 장바구니가 바뀌지 않도록 잠금
+  const [cartRows] = await connection.execute(
+    'SELECT product_id, variant_id, quantity FROM cart WHERE user_id = ? ORDER BY product_id, variant_id FOR UPDATE',
+    [userId]
+  );
+
+  if (cartRows.length === 0) {
+    throw createOrderError(409, 'CART_EMPTY', 'Cart is empty');
+  }
+
+  // cart.variant_id 0 = 옵션 없음
+  const items = cartRows.map(row => ({
+    product_id: row.product_id,
+    variant_id: row.variant_id ? row.variant_id : null,
+    quantity: row.quantity
+  }));
+
+  const order = await createOrder(userId, items, submittedTotal, connection, options);
+
+  await connection.execute('DELETE FROM cart WHERE user_id = ?', [userId]);
+
+  logInfo('Cart checked out', {
+    order_id: order.orderId,
+    user_id: userId,
+    cart_items: cartRows.length
+  });
+
+  return order;
+}
+
+/**
+ * 주문 상태 업데이트 (트랜잭션 내에서 실행)
+ * utils/orderStatus.js의 전환 규칙을 따르며, 허용되지 않은 전환은 409 INVALID_STATUS_TRANSITION
+ * 재고 반환 대상 전환(cancelled, payment_failed, 배송 전 refunded)이면 예약된 재고를 반환
  * @param {number} orderId - 주문 ID
  * @param {string} status - 새로운 상태
  * @param {Object} connection - 데이터베이스 연결 (트랜잭션용)
- * @returns {Promise<void>}
+ * @param {Object} options - { changedBy: 변경한 사용자 ID, reason: 변경 사유 }
+ * @returns {Promise<Object>} - { previousStatus, status, stockReleased }
  */
-async function updateOrderStatus(orderId, status, connection) {
+async function updateOrderStatus(orderId, status, connection, { changedBy = null, reason = null } = {}) {
   try {
     // 입력 검증
     if (!isValidUserId(orderId)) {
       throw new Error('Invalid order_id');
     }
 
-    const validStatuses = ['pending', 'paid', 'payment_failed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!isValidOrderStatus(status)) {
       throw new Error('Invalid status');
     }
 
-    // 상태 업데이트 (파라미터화된 쿼리)
-    const [result] = await connection.execute(
-      'UPDATE orders SET status = ?, updated_at = NOW() WHERE id = ?',
+    // 현재 상태 잠금 조회 (동시 상태 변경 방지)
+    const [orders] = await connection.execute(
+      'SELECT id, status, payment_id FROM orders WHERE id = ? FOR UPDATE',
+      [orderId]
+    );
+
+    if (orders.length === 0) {
+      throw createOrderError(404, 'ORDER_NOT_FOUND', 'Order not found');
+    }
+
+    const previousStatus = orders[0].status;
+
+    if (!canTransition(previousStatus, status)) {
+      throw createOrderError(409, 'INVALID_STATUS_TRANSITION', `Cannot change order status from ${previousStatus} to ${status}`, {
+        current_status: previousStatus,
+        requested_status: status,
+        allowed_statuses: getAllowedTransitions(previousStatus)
+      });
+    }
+
+    // 상태 업데이트 (pending을 벗어나면 예약 만료 시각 해제)
+    await connection.execute(
+      `UPDATE orders 
+       SET status = ?, reservation_expires_at = NULL, updated_at = NOW() 
+       WHERE id = ?`,
       [status, orderId]
     );
 
-    if (result.affectedRows === 0) {
-      throw new Error('Order not found');
+    await recordStatusHistory(orderId, previousStatus, status, changedBy, reason, connection);
+
+    // 재고 반환
+    const stockReleased = releasesStock(previousStatus, status);
+
+    if (stockReleased) {
+      await releaseStock(orderId, connection, {
+        actorId: changedBy,
+        reason: reason || status,
+        paymentId: orders[0].payment_id
+      });
     }
 
     logInfo('Order status updated', {
       order_id: orderId,
-      new_status: status
+      previous_status: previousStatus,
+      new_status: status,
+      changed_by: changedBy,
+      stock_released: stockReleased
     });
+
+    return { previousStatus, status, stockReleased };
   } catch (error) {
     logError('Failed to update order status', error, {
       order_id: orderId,
@@ -143,6 +616,119 @@ async function updateOrderStatus(orderId, status, connection) {
   }
 }
 
+/**
+ * 주문 상태 변경 이력 조회
+ * @param {number} orderId - 주문 ID
+ * @returns {Promise<Array>} - 시간순 이력
+ */
+async function getOrderStatusHistory(orderId) {
+  if (!isValidUserId(orderId)) {
+    throw new Error('Invalid order_id');
+  }
+
+  const [history] = await db.execute(
+    `SELECT id, from_status, to_status, changed_by, reason, created_at 
+     FROM order_status_history 
+     WHERE order_id = ? 
+     ORDER BY created_at, id`,
+    [orderId]
+  );
+
+  return history;
+}
+
+/**
+ * 만료된 재고 예약 정리
+ * 예약 만료 시각이 지난 pending 주문을 취소하고 재고를 반환
+ * @param {number} limit - 한 번에 처리할 최대 주문 수
+ * @returns {Promise<number>} - 취소된 주문 수
+ */
+async function expireStaleReservations(limit = 100) {
+  const [candidates] = await db.query(
+    `SELECT id FROM orders 
+     WHERE status = 'pending' 
+     AND reservation_expires_at IS NOT NULL 
+     AND reservation_expires_at < NOW() 
+     ORDER BY reservation_expires_at 
+     LIMIT ?`,
+    [limit]
+  );
+
+  let expiredCount = 0;
+
+  for (const { id } of candidates) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // 잠금 후 재확인 (그 사이 결제된 주문 제외)
+      const [orders] = await connection.execute(
+        `SELECT id FROM orders 
+         WHERE id = ? AND status = 'pending' AND reservation_expires_at < NOW() 
+         FOR UPDATE`,
+        [id]
+      );
+
+      if (orders.length === 0) {
+        await connection.rollback();
+        continue;
+      }
+
+      await updateOrderStatus(id, 'cancelled', connection, { reason: 'reservation_expired' });
+      await connection.commit();
+      expiredCount++;
+    } catch (error) {
+      await connection.rollback();
+      logError('Failed to expire order reservation', error, { order_id: id });
+    } finally {
+      connection.release();
+    }
+  }
+
+  if (expiredCount > 0) {
+    logInfo('Expired order reservations released', { expired_count: expiredCount });
+  }
+
+  return expiredCount;
+}
+
+/**
+ * 전체 주문 목록 조회 (최신순)
+ * @returns {Promise<Array>} - 주문 목록
+ */
+async function listOrders() {
+  try {
+    const [orders] = await db.execute('SELECT * FROM orders ORDER BY created_at DESC');
+    return orders;
+  } catch (error) {
+    logError('Failed to list orders', error);
+    throw error;
+  }
+}
+
+/**
+ * 사용자별 주문 목록 조회 (최신순)
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Array>} - 주문 목록
+ */
+async function listOrdersByUser(userId) {
+  try {
+    // 입력 검증
+    if (!isValidUserId(userId)) {
+      throw new Error('Invalid user_id');
+    }
+
+    const [orders] = await db.execute(
+      'SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+    return orders;
+  } catch (error) {
+    logError('Failed to list user orders', error, { user_id: userId });
+    throw error;
+  }
+}
+
 /**
  * 주문 조회
  * @param {number} orderId - 주문 ID
@@ -228,7 +814,12 @@ async function linkPaymentToOrder(orderId, paymentId, paymentMethod, connection)
 
 export {
   createOrder,
+  checkoutCart,
   updateOrderStatus,
+  expireStaleReservations,
+  getOrderStatusHistory,
+  listOrders,
+  listOrdersByUser,
   getOrderById,
   validateOrderItems,
   linkPaymentToOrder
@@ -0,0 +1,85 @@
+/**
+ * 주문 상태 정의
+ * 주문 라이프사이클과 허용되는 상태 전환 (order-api 전체에서 이 정의만 사용)
+ *
+ * pending → paid → preparing → shipped → delivered
+ *   └→ payment_failed / cancelled      └→ refunded (paid, preparing, delivered)
+ */
+
+// 전체 주문 상태 (orders.status ENUM과 동일한 순서)
+const ORDER_STATUSES = [
+  'pending',          // 결제 대기 (재고 예약됨)
+  'paid',             // 결제 완료
+  'preparing',        // 상품 준비 중
+  'shipped',          // 배송 중
+  'delivered',        // 배송 완료
+  'cancelled',        // 결제 전 취소
+  'payment_failed',   // 결제 실패
+  'refunded'          // 결제 후 환불
+];
+
+// 현재 상태 → 전환 가능한 상태 목록 (종료 상태는 빈 배열)
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'payment_failed', 'cancelled'],
+  paid: ['preparing', 'refunded'],
+  preparing: ['shipped', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  payment_failed: [],
+  refunded: []
+};
+
+// 배송 전 환불은 재고를 반환 (배송 이후 환불은 상품 회수 전이므로 제외)
+const STOCK_RETURNING_REFUND_STATUSES = ['paid', 'preparing'];
+
+/**
+ * 주문 상태 값 검증
+ * @param {string} status - 검증할 상태
+ * @returns {boolean} - 유효성 여부
+ */
+function isValidOrderStatus(status) {
+  return typeof status === 'string' && ORDER_STATUSES.includes(status);
+}
+
+/**
+ * 현재 상태에서 전환 가능한 상태 목록
+ * @param {string} status - 현재 상태
+ * @returns {Array<string>}
+ */
+function getAllowedTransitions(status) {
+  return ORDER_TRANSITIONS[status] || [];
+}
+
+/**
+ * 상태 전환 가능 여부
+ * @param {string} from - 현재 상태
+ * @param {string} to - 새로운 상태
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * 상태 전환 시 예약된 재고를 반환해야 하는지 여부
+ * @param {string} from - 현재 상태
+ * @param {string} to - 새로운 상태
+ * @returns {boolean}
+ */
+function releasesStock(from, to) {
+  if (to === 'cancelled' || to === 'payment_failed') {
+    return true;
+  }
+
+  return to === 'refunded' && STOCK_RETURNING_REFUND_STATUSES.includes(from);
+}
+
+export {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  isValidOrderStatus,
+  getAllowedTransitions,
+  canTransition,
+  releasesStock
+};
@@ -0,0 +1,38 @@
+/**
+ * 응답 유틸리티
+ * 주문 서비스 에러를 HTTP 응답으로 변환 (routes 공통)
+ */
+
+/**
+ * 서비스 에러를 HTTP 응답으로 변환
+ * - err.status가 있으면 서비스 에러 (가격 불일치, 재고 부족 등)
+ * - 'Invalid' 메시지는 입력 검증 에러
+ * @param {Object} res - Express 응답 객체
+ * @param {Error} err - 발생한 에러
+ * @param {string} label - 서버 에러 로그 라벨
+ */
+function sendOrderError(res, err, label) {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.code,
+      error: err.message,
+      ...err.details
+    });
+  }
+
+  if (err.message && err.message.includes('Invalid')) {
+    return res.status(400).json({ success: false, message: 'VALIDATION_ERROR', error: err.message });
+  }
+
+  console.error(`${label}:`, err);
+  return res.status(500).json({
+    success: false,
+    message: 'SERVER_ERROR',
+    error: err.message
+  });
+}
+
+export {
+  sendOrderError
+};
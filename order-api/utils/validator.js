@@ -0,0 +1,108 @@
+/**
+ * 검증 유틸리티
+ * 주문 입력 값(ID, 금액, 주문 항목) 검증 (DB 조회는 모두 파라미터 바인딩 사용)
+ */
+
+/**
+ * 사용자 ID 검증 (양의 정수 ID 공통 사용)
+ * @param {*} userId - 검증할 사용자 ID
+ * @returns {boolean} - 유효성 여부
+ */
+function isValidUserId(userId) {
+  if (userId === null || userId === undefined) {
+    return false;
+  }
+
+  const id = Number(userId);
+  return Number.isInteger(id) && id > 0;
+}
+
+/**
+ * 금액 검증 (양수, 범위)
+ * @param {*} amount - 검증할 금액
+ * @returns {boolean} - 유효성 여부
+ */
+function isValidAmount(amount) {
+  if (amount === null || amount === undefined) {
+    return false;
+  }
+
+  const num = Number(amount);
+
+  // 숫자 여부 확인
+  if (isNaN(num) || !isFinite(num)) {
+    return false;
+  }
+
+  // 양수 확인 및 범위 확인 (0.01 ~ 10,000,000)
+  return num > 0 && num <= 10000000 && num >= 0.01;
+}
+
+/**
+ * 입력 값 정제 (위험한 문자 제거)
+ * @param {string} input - 정제할 입력 값
+ * @returns {string} - 정제된 입력 값
+ */
+function sanitizeInput(input) {
+  if (!input || typeof input !== 'string') {
+    return input;
+  }
+
+  // HTML 태그 제거
+  let sanitized = input.replace(/<[^>]*>/g, '');
+
+  // 특수 문자 이스케이프
+  sanitized = sanitized.replace(/[<>'"]/g, '');
+
+  // 앞뒤 공백 제거
+  sanitized = sanitized.trim();
+
+  return sanitized;
+}
+
+/**
+ * 문자열 길이 검증
+ * @param {string} str - 검증할 문자열
+ * @param {number} maxLength - 최대 길이
+ * @returns {boolean} - 유효성 여부
+ */
+function isValidLength(str, maxLength) {
+  if (!str || typeof str !== 'string') {
+    return false;
+  }
+
+  return str.length > 0 && str.length <= maxLength;
+}
+
+/**
+ * 주문 항목 배열 검증
+ * 가격은 서버에서 products 테이블 기준으로 계산하므로 검증하지 않음
+ * variant_id(상품 옵션)는 선택
+ * @param {Array} items - 검증할 주문 항목 배열
+ * @returns {boolean} - 유효성 여부
+ */
+function isValidOrderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return false;
+  }
+
+  // 각 항목 검증
+  return items.every(item => {
+    return (
+      item &&
+      typeof item === 'object' &&
+      isValidUserId(item.product_id) &&
+      (item.variant_id === undefined || item.variant_id === null || isValidUserId(item.variant_id)) &&
+      Number.isInteger(Number(item.quantity)) &&
+      Number(item.quantity) > 0
+    );
+  });
+}
+
+export {
+  isValidUserId,
+  isValidAmount,
+  sanitizeInput,
+  isValidLength,
+  isValidOrderItems
+};
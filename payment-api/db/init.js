@@ -23,11 +23,15 @@ async function initializeDatabase() {
     const schemaPath = path.join(__dirname, 'schema.sql');
     const schema = fs.readFileSync(schemaPath, 'utf8');
     
-    // Split by semicolons to execute each statement separately
+    // Drop comment lines first (a statement preceded by a comment header must still run,
+    // and a ';' inside a comment must not split a statement), then split by semicolons
     const statements = schema
+      .split('\n')
+      .filter(line => !line.trim().startsWith('--'))
+      .join('\n')
       .split(';')
       .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+      .filter(stmt => stmt.length > 0);
     
     console.log(`📝 Found ${statements.length} SQL statements to execute`);
     
@@ -68,7 +72,7 @@ async function initializeDatabase() {
       SELECT TABLE_NAME 
       FROM information_schema.TABLES 
       WHERE TABLE_SCHEMA = DATABASE() 
-      AND TABLE_NAME IN ('orders', 'order_items', 'payments', 'payment_cancellations', 'idempotency_keys')
+      AND TABLE_NAME IN ('orders', 'order_items', 'order_status_history', 'payments', 'payment_cancellations', 'idempotency_keys', 'user_addresses', 'admin_activity_logs', 'roles', 'permissions', 'role_permissions', 'product_variants', 'product_images', 'categories', 'product_reviews', 'review_helpful_votes', 'inventory_movements')
     `);
     
     console.log('\n📊 Verified tables:');
@@ -34,6 +34,20 @@ async function indexExists(connection, tableName, indexName) {
   return indexes.length > 0;
 }
 
+/**
+ * Check if a table exists
+ */
+async function tableExists(connection, tableName) {
+  const [tables] = await connection.query(
+    `SELECT TABLE_NAME 
+     FROM information_schema.TABLES 
+     WHERE TABLE_SCHEMA = DATABASE() 
+     AND TABLE_NAME = ?`,
+    [tableName]
+  );
+  return tables.length > 0;
+}
+
 /**
  * Add payment_id column to orders table if it doesn't exist
  */
@@ -65,6 +79,962 @@ async function addPaymentIdToOrders(connection) {
   }
 }
 
+/**
+ * Add product_name column to order_items table if it doesn't exist
+ * (snapshot of the product name at order time)
+ */
+async function addProductNameToOrderItems(connection) {
+  const exists = await columnExists(connection, 'order_items', 'product_name');
+  
+  if (!exists) {
+    console.log('📝 Adding product_name column to order_items table...');
+    await connection.query(`
+      ALTER TABLE order_items 
+      ADD COLUMN product_name VARCHAR(255) AFTER product_id
+    `);
+    console.log('✅ product_name column added');
+  } else {
+    console.log('✓ product_name column already exists in order_items table');
+  }
+}
+
+/**
+ * Add reservation_expires_at column to orders table if it doesn't exist
+ * (stock reserved by a pending order is released after this time)
+ */
+async function addReservationExpiryToOrders(connection) {
+  const exists = await columnExists(connection, 'orders', 'reservation_expires_at');
+  
+  if (!exists) {
+    console.log('📝 Adding reservation_expires_at column to orders table...');
+    await connection.query(`
+      ALTER TABLE orders 
+      ADD COLUMN reservation_expires_at TIMESTAMP NULL AFTER payment_id
+    `);
+    console.log('✅ reservation_expires_at column added');
+  } else {
+    console.log('✓ reservation_expires_at column already exists in orders table');
+  }
+  
+  const indexExist = await indexExists(connection, 'orders', 'idx_status_reservation');
+  if (!indexExist) {
+    console.log('📝 Adding index on (status, reservation_expires_at)...');
+    await connection.query(`
+      ALTER TABLE orders 
+      ADD INDEX idx_status_reservation (status, reservation_expires_at)
+    `);
+    console.log('✅ Index added');
+  } else {
+    console.log('✓ Index on (status, reservation_expires_at) already exists');
+  }
+}
+
+/**
+ * Order lifecycle statuses (keep in sync with order-api/utils/orderStatus.js)
+ */
+const ORDER_STATUS_ENUM = [
+  'pending',
+  'paid',
+  'preparing',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'payment_failed',
+  'refunded'
+];
+
+/**
+ * Extend orders.status ENUM to the full order lifecycle if needed
+ */
+async function extendOrderStatusEnum(connection) {
+  const [columns] = await connection.query(
+    `SELECT COLUMN_TYPE 
+     FROM information_schema.COLUMNS 
+     WHERE TABLE_SCHEMA = DATABASE() 
+     AND TABLE_NAME = 'orders' 
+     AND COLUMN_NAME = 'status'`
+  );
+  
+  const columnType = columns[0]?.COLUMN_TYPE || '';
+  const missing = ORDER_STATUS_ENUM.filter(status => !columnType.includes(`'${status}'`));
+  
+  if (missing.length > 0) {
+    console.log(`📝 Extending orders.status ENUM (adding: ${missing.join(', ')})...`);
+    const values = ORDER_STATUS_ENUM.map(status => `'${status}'`).join(', ');
+    await connection.query(`
+      ALTER TABLE orders 
+      MODIFY COLUMN status ENUM(${values}) DEFAULT 'pending'
+    `);
+    console.log('✅ orders.status ENUM extended');
+  } else {
+    console.log('✓ orders.status ENUM already includes all lifecycle statuses');
+  }
+}
+
+/**
+ * Create order_status_history table if it doesn't exist
+ */
+async function createOrderStatusHistoryTable(connection) {
+  console.log('📝 Ensuring order_status_history table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS order_status_history (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      order_id INT NOT NULL,
+      from_status VARCHAR(30),
+      to_status VARCHAR(30) NOT NULL,
+      changed_by INT,
+      reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      INDEX idx_order_created (order_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ order_status_history table ready');
+}
+
+/**
+ * Shipping address snapshot columns on orders
+ * (copied from user_addresses when the order is created)
+ */
+const ORDER_SHIPPING_COLUMNS = [
+  { name: 'shipping_recipient', definition: 'VARCHAR(100)' },
+  { name: 'shipping_phone', definition: 'VARCHAR(20)' },
+  { name: 'shipping_postcode', definition: 'VARCHAR(10)' },
+  { name: 'shipping_road_address', definition: 'VARCHAR(255)' },
+  { name: 'shipping_detail_address', definition: 'VARCHAR(255)' }
+];
+
+/**
+ * Add shipping address snapshot columns to orders table if they don't exist
+ */
+async function addShippingAddressToOrders(connection) {
+  let previous = 'reservation_expires_at';
+  
+  for (const column of ORDER_SHIPPING_COLUMNS) {
+    const exists = await columnExists(connection, 'orders', column.name);
+    
+    if (!exists) {
+      console.log(`📝 Adding ${column.name} column to orders table...`);
+      await connection.query(`
+        ALTER TABLE orders 
+        ADD COLUMN ${column.name} ${column.definition} AFTER ${previous}
+      `);
+      console.log(`✅ ${column.name} column added`);
+    } else {
+      console.log(`✓ ${column.name} column already exists in orders table`);
+    }
+    
+    previous = column.name;
+  }
+}
+
+/**
+ * Create user_addresses table if it doesn't exist
+ */
+async function createUserAddressesTable(connection) {
+  console.log('📝 Ensuring user_addresses table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_addresses (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      label VARCHAR(50),
+      recipient_name VARCHAR(100) NOT NULL,
+      phone VARCHAR(20) NOT NULL,
+      postcode VARCHAR(10) NOT NULL,
+      road_address VARCHAR(255) NOT NULL,
+      detail_address VARCHAR(255),
+      is_default BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_user_default (user_id, is_default)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ user_addresses table ready');
+}
+
+/**
+ * Create admin_activity_logs table if it doesn't exist
+ */
+async function createAdminActivityLogsTable(connection) {
+  console.log('📝 Ensuring admin_activity_logs table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS admin_activity_logs (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT,
+      action VARCHAR(100) NOT NULL,
+      resource VARCHAR(100) NOT NULL,
+      resource_id VARCHAR(100),
+      details JSON,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_actor_created (user_id, created_at),
+      INDEX idx_resource_created (resource, created_at),
+      INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ admin_activity_logs table ready');
+}
+
+/**
+ * Default permissions (name, resource, action, description)
+ */
+const DEFAULT_PERMISSIONS = [
+  ['users.read', 'users', 'read', 'View user accounts'],
+  ['users.manage', 'users', 'manage', 'Activate/deactivate users, force logout, unlock'],
+  ['users.manage_roles', 'users', 'manage_roles', 'Change user roles'],
+  ['users.delete', 'users', 'delete', 'Delete user accounts'],
+  ['roles.manage', 'roles', 'manage', 'Create and edit custom roles'],
+  ['products.read', 'products', 'read', 'View products'],
+  ['products.manage', 'products', 'manage', 'Create, edit and delete products'],
+  ['orders.read_own', 'orders', 'read_own', 'View own orders'],
+  ['orders.create', 'orders', 'create', 'Place orders'],
+  ['orders.manage', 'orders', 'manage', 'View and update all orders'],
+  ['admin_activity.read', 'admin_activity', 'read', 'View admin activity logs']
+];
+
+/**
+ * Default system roles and their permissions
+ * (super_admin is always granted every permission by shared/permissions.js)
+ */
+const DEFAULT_ROLES = {
+  customer: {
+    description: 'Storefront customer',
+    permissions: ['products.read', 'orders.read_own', 'orders.create']
+  },
+  admin: {
+    description: 'Store administrator',
+    permissions: DEFAULT_PERMISSIONS
+      .map(([name]) => name)
+      .filter(name => !['users.manage_roles', 'users.delete', 'roles.manage'].includes(name))
+  },
+  super_admin: {
+    description: 'Super administrator (all permissions)',
+    permissions: DEFAULT_PERMISSIONS.map(([name]) => name)
+  }
+};
+
+/**
+ * Create roles, permissions and role_permissions tables if they don't exist
+ */
+async function createRolePermissionTables(connection) {
+  console.log('📝 Ensuring roles/permissions tables exist...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS roles (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(50) UNIQUE NOT NULL,
+      description VARCHAR(255),
+      is_system BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS permissions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      resource VARCHAR(50) NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      description VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role_id INT NOT NULL,
+      permission_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (role_id, permission_id),
+      FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+      FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE,
+      INDEX idx_permission_id (permission_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ roles/permissions tables ready');
+}
+
+/**
+ * Seed default roles and permissions
+ * Role permissions are granted only to roles created by this run, so permissions an admin
+ * removed from a system role (PATCH /admin/roles/:name) are not re-granted on the next deploy
+ */
+async function seedDefaultRolePermissions(connection) {
+  console.log('📝 Seeding default roles and permissions...');
+  
+  for (const [name, resource, action, description] of DEFAULT_PERMISSIONS) {
+    await connection.query(
+      'INSERT IGNORE INTO permissions (name, resource, action, description) VALUES (?, ?, ?, ?)',
+      [name, resource, action, description]
+    );
+  }
+  
+  for (const [roleName, role] of Object.entries(DEFAULT_ROLES)) {
+    const [inserted] = await connection.query(
+      'INSERT IGNORE INTO roles (name, description, is_system) VALUES (?, ?, TRUE)',
+      [roleName, role.description]
+    );
+    if (inserted.affectedRows === 0) {
+      continue;
+    }
+    
+    await connection.query(
+      `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+       SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN (?)
+       WHERE r.name = ?`,
+      [role.permissions, roleName]
+    );
+    console.log(`✅ ${roleName} role created`);
+  }
+  
+  console.log('✅ Default roles and permissions seeded');
+}
+
+/**
+ * Split review moderation and stock adjustment out of products.manage
+ * The permissions are granted once, when they are created, to every role that holds
+ * products.manage at that point (later removals through the admin API are kept)
+ */
+async function addReviewAndInventoryPermissions(connection) {
+  const permissions = [
+    ['reviews.moderate', 'reviews', 'moderate', 'Approve, reject and delete product reviews'],
+    ['inventory.manage', 'inventory', 'manage', 'View stock history and adjust stock']
+  ];
+  
+  for (const [name, resource, action, description] of permissions) {
+    const [inserted] = await connection.query(
+      'INSERT IGNORE INTO permissions (name, resource, action, description) VALUES (?, ?, ?, ?)',
+      [name, resource, action, description]
+    );
+    if (inserted.affectedRows === 0) {
+      console.log(`✓ ${name} permission already exists`);
+      continue;
+    }
+    
+    const [granted] = await connection.query(
+      `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+       SELECT rp.role_id, p.id
+       FROM role_permissions rp
+       JOIN permissions manage ON manage.id = rp.permission_id AND manage.name = 'products.manage'
+       JOIN permissions p ON p.name = ?`,
+      [name]
+    );
+    console.log(`✅ ${name} permission added (granted to ${granted.affectedRows} roles with products.manage)`);
+  }
+}
+
+/**
+ * Change users.role from ENUM to VARCHAR so custom roles can be assigned
+ */
+async function convertUserRoleToVarchar(connection) {
+  const [columns] = await connection.query(
+    `SELECT DATA_TYPE 
+     FROM information_schema.COLUMNS 
+     WHERE TABLE_SCHEMA = DATABASE() 
+     AND TABLE_NAME = 'users' 
+     AND COLUMN_NAME = 'role'`
+  );
+  
+  if (columns.length === 0) {
+    console.log('⚠️  users.role column not found, skipping role column migration');
+    return;
+  }
+  
+  if (columns[0].DATA_TYPE === 'enum') {
+    console.log('📝 Converting users.role ENUM to VARCHAR(50)...');
+    await connection.query(`
+      ALTER TABLE users 
+      MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'customer'
+    `);
+    console.log('✅ users.role converted');
+  } else {
+    console.log('✓ users.role already accepts custom roles');
+  }
+}
+
+/**
+ * Product listing indexes (owned by product-api)
+ */
+const PRODUCT_INDEXES = [
+  { name: 'idx_category', definition: 'INDEX idx_category (category)' },
+  { name: 'idx_price', definition: 'INDEX idx_price (price)' },
+  // Full-text search on name/description; ngram parser tokenizes Korean without spaces
+  { name: 'ft_name_description', definition: 'FULLTEXT INDEX ft_name_description (name, description) WITH PARSER ngram' }
+];
+
+/**
+ * Add listing/search indexes to products table if they don't exist
+ */
+async function addProductSearchIndexes(connection) {
+  if (!(await tableExists(connection, 'products'))) {
+    console.log('⚠️  products table not found, skipping product index migration');
+    return;
+  }
+  
+  for (const index of PRODUCT_INDEXES) {
+    const exists = await indexExists(connection, 'products', index.name);
+    
+    if (!exists) {
+      console.log(`📝 Adding ${index.name} index to products table...`);
+      await connection.query(`
+        ALTER TABLE products 
+        ADD ${index.definition}
+      `);
+      console.log(`✅ ${index.name} index added`);
+    } else {
+      console.log(`✓ ${index.name} index already exists on products table`);
+    }
+  }
+}
+
+/**
+ * Add lifecycle status and soft delete columns to products table if they don't exist
+ * Existing rows become 'active' so current listings are unchanged
+ */
+async function addProductStatusColumns(connection) {
+  if (!(await tableExists(connection, 'products'))) {
+    console.log('⚠️  products table not found, skipping product status migration');
+    return;
+  }
+  
+  if (!(await columnExists(connection, 'products', 'status'))) {
+    console.log('📝 Adding status column to products table...');
+    await connection.query(`
+      ALTER TABLE products 
+      ADD COLUMN status ENUM('draft', 'active', 'hidden', 'discontinued', 'deleted') NOT NULL DEFAULT 'active',
+      ADD INDEX idx_status (status)
+    `);
+    console.log('✅ status column added to products table');
+  } else {
+    console.log('✓ status column already exists in products table');
+  }
+  
+  if (!(await columnExists(connection, 'products', 'deleted_at'))) {
+    console.log('📝 Adding deleted_at column to products table...');
+    await connection.query(`
+      ALTER TABLE products 
+      ADD COLUMN deleted_at DATETIME NULL
+    `);
+    console.log('✅ deleted_at column added to products table');
+  } else {
+    console.log('✓ deleted_at column already exists in products table');
+  }
+}
+
+/**
+ * Create product_variants table if it doesn't exist
+ */
+async function createProductVariantsTable(connection) {
+  console.log('📝 Ensuring product_variants table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS product_variants (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      product_id INT NOT NULL,
+      sku VARCHAR(64) UNIQUE NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      options JSON,
+      price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      stock INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_product_sort (product_id, sort_order)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ product_variants table ready');
+}
+
+/**
+ * Add variant snapshot columns to order_items table if they don't exist
+ */
+async function addVariantToOrderItems(connection) {
+  const columns = [
+    { name: 'variant_id', definition: 'variant_id INT NULL AFTER product_name' },
+    { name: 'variant_name', definition: 'variant_name VARCHAR(100) AFTER variant_id' }
+  ];
+  
+  for (const column of columns) {
+    const exists = await columnExists(connection, 'order_items', column.name);
+    
+    if (!exists) {
+      console.log(`📝 Adding ${column.name} column to order_items table...`);
+      await connection.query(`
+        ALTER TABLE order_items 
+        ADD COLUMN ${column.definition}
+      `);
+      console.log(`✅ ${column.name} column added`);
+    } else {
+      console.log(`✓ ${column.name} column already exists in order_items table`);
+    }
+  }
+}
+
+/**
+ * Add variant_id to cart table (owned by cart-api) and widen its unique key
+ * so the same product can be in the cart once per variant (0 = no variant)
+ */
+async function addVariantToCart(connection) {
+  if (!(await tableExists(connection, 'cart'))) {
+    console.log('⚠️  cart table not found, skipping cart variant migration');
+    return;
+  }
+  
+  if (!(await columnExists(connection, 'cart', 'variant_id'))) {
+    console.log('📝 Adding variant_id column to cart table...');
+    await connection.query(`
+      ALTER TABLE cart 
+      ADD COLUMN variant_id INT NOT NULL DEFAULT 0 AFTER product_id
+    `);
+    console.log('✅ variant_id column added to cart table');
+  } else {
+    console.log('✓ variant_id column already exists in cart table');
+  }
+  
+  if (await indexExists(connection, 'cart', 'uniq_user_product_variant')) {
+    console.log('✓ uniq_user_product_variant index already exists on cart table');
+    return;
+  }
+  
+  // Drop the existing (user_id, product_id) unique key, whatever it is named
+  const [uniqueIndexes] = await connection.query(
+    `SELECT INDEX_NAME, GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX) AS columns
+     FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE()
+     AND TABLE_NAME = 'cart'
+     AND NON_UNIQUE = 0
+     AND INDEX_NAME <> 'PRIMARY'
+     GROUP BY INDEX_NAME`
+  );
+  
+  const dropClauses = uniqueIndexes
+    .filter(index => index.columns === 'user_id,product_id')
+    .map(index => `DROP INDEX \`${index.INDEX_NAME}\``);
+  
+  console.log('📝 Replacing cart unique key with (user_id, product_id, variant_id)...');
+  await connection.query(`
+    ALTER TABLE cart 
+    ${[...dropClauses, 'ADD UNIQUE INDEX uniq_user_product_variant (user_id, product_id, variant_id)'].join(',\n    ')}
+  `);
+  console.log('✅ uniq_user_product_variant index added');
+}
+
+/**
+ * Create product_images table, add products.thumbnail_url and move existing
+ * products.image_url values into the gallery as primary images
+ */
+async function createProductImagesTable(connection) {
+  console.log('📝 Ensuring product_images table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS product_images (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      product_id INT NOT NULL,
+      storage_key VARCHAR(255),
+      url VARCHAR(500) NOT NULL,
+      thumbnail_key VARCHAR(255),
+      thumbnail_url VARCHAR(500),
+      content_type VARCHAR(50),
+      size_bytes INT,
+      width INT,
+      height INT,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_product_sort (product_id, sort_order)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ product_images table ready');
+  
+  if (!(await tableExists(connection, 'products'))) {
+    console.log('⚠️  products table not found, skipping product image backfill');
+    return;
+  }
+  
+  if (!(await columnExists(connection, 'products', 'thumbnail_url'))) {
+    console.log('📝 Adding thumbnail_url column to products table...');
+    await connection.query(`
+      ALTER TABLE products 
+      ADD COLUMN thumbnail_url VARCHAR(500) NULL
+    `);
+    console.log('✅ thumbnail_url column added to products table');
+  } else {
+    console.log('✓ thumbnail_url column already exists in products table');
+  }
+  
+  // Keep the bucket key of S3 URLs so replacing/deleting the image also removes the object
+  const [result] = await connection.query(`
+    INSERT INTO product_images (product_id, storage_key, url, sort_order)
+    SELECT p.id,
+           CASE WHEN p.image_url LIKE '%.amazonaws.com/%'
+                THEN SUBSTRING_INDEX(p.image_url, '.amazonaws.com/', -1)
+                ELSE NULL END,
+           p.image_url,
+           0
+    FROM products p
+    WHERE p.image_url IS NOT NULL AND p.image_url <> ''
+    AND NOT EXISTS (SELECT 1 FROM product_images pi WHERE pi.product_id = p.id)
+  `);
+  
+  if (result.affectedRows > 0) {
+    console.log(`✅ ${result.affectedRows} existing product images moved to product_images`);
+  } else {
+    console.log('✓ No product images to backfill');
+  }
+}
+
+/**
+ * Add optional unique sku column to products table if it doesn't exist
+ * Used by product-api bulk import as the upsert key (existing rows keep NULL)
+ */
+async function addProductSkuColumn(connection) {
+  if (!(await tableExists(connection, 'products'))) {
+    console.log('⚠️  products table not found, skipping product sku migration');
+    return;
+  }
+  
+  if (!(await columnExists(connection, 'products', 'sku'))) {
+    console.log('📝 Adding sku column to products table...');
+    await connection.query(`
+      ALTER TABLE products 
+      ADD COLUMN sku VARCHAR(64) NULL AFTER id,
+      ADD UNIQUE INDEX uniq_sku (sku)
+    `);
+    console.log('✅ sku column added to products table');
+  } else {
+    console.log('✓ sku column already exists in products table');
+  }
+}
+
+/**
+ * Default category tree (name, slug, parent slug)
+ * Matches the category strings product-api used before the categories table existed
+ */
+const DEFAULT_CATEGORIES = [
+  ['전자제품', 'electronics', null],
+  ['노트북', 'laptops', 'electronics'],
+  ['이어폰', 'earphones', 'electronics'],
+  ['워치', 'watches', 'electronics'],
+  ['모니터', 'monitors', 'electronics'],
+  ['기타', 'etc', null]
+];
+
+/**
+ * Create categories table, seed the default tree and link products to categories
+ * Every distinct products.category string becomes a category (top level) and
+ * products.category_id is filled in; products.category keeps mirroring the category name
+ */
+async function migrateProductCategories(connection) {
+  console.log('📝 Ensuring categories table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      parent_id INT NULL,
+      parent_key INT AS (IFNULL(parent_id, 0)) STORED,
+      name VARCHAR(50) NOT NULL,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_parent_name (parent_key, name),
+      INDEX idx_parent_sort (parent_id, sort_order)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ categories table ready');
+  
+  // Names are unique per parent only (the same name may appear under different parents);
+  // parent_key maps top-level (NULL parent) to 0 because NULLs never collide in a UNIQUE index
+  if (await indexExists(connection, 'categories', 'name')) {
+    console.log('📝 Dropping global unique key on categories.name...');
+    await connection.query('ALTER TABLE categories DROP INDEX name');
+    console.log('✅ categories.name unique key dropped');
+  }
+  
+  if (!(await columnExists(connection, 'categories', 'parent_key'))) {
+    console.log('📝 Adding parent_key column to categories table...');
+    await connection.query(`
+      ALTER TABLE categories 
+      ADD COLUMN parent_key INT AS (IFNULL(parent_id, 0)) STORED AFTER parent_id
+    `);
+    console.log('✅ parent_key column added to categories table');
+  }
+  
+  if (!(await indexExists(connection, 'categories', 'uniq_parent_name'))) {
+    console.log('📝 Adding uniq_parent_name index to categories table...');
+    await connection.query('ALTER TABLE categories ADD UNIQUE KEY uniq_parent_name (parent_key, name)');
+    console.log('✅ uniq_parent_name index added to categories table');
+  } else {
+    console.log('✓ uniq_parent_name index already exists on categories table');
+  }
+  
+  for (const [index, [name, slug, parentSlug]] of DEFAULT_CATEGORIES.entries()) {
+    await connection.query(
+      `INSERT IGNORE INTO categories (parent_id, name, slug, sort_order)
+       SELECT (SELECT id FROM categories WHERE slug = ?), ?, ?, ?`,
+      [parentSlug, name, slug, index]
+    );
+  }
+  console.log('✅ Default categories seeded');
+  
+  if (!(await tableExists(connection, 'products'))) {
+    console.log('⚠️  products table not found, skipping product category migration');
+    return;
+  }
+  
+  if (!(await columnExists(connection, 'products', 'category_id'))) {
+    console.log('📝 Adding category_id column to products table...');
+    await connection.query(`
+      ALTER TABLE products 
+      ADD COLUMN category_id INT NULL,
+      ADD INDEX idx_category_id (category_id)
+    `);
+    console.log('✅ category_id column added to products table');
+  } else {
+    console.log('✓ category_id column already exists in products table');
+  }
+  
+  // Products without a category go to '기타'
+  await connection.query(
+    "UPDATE products SET category = '기타' WHERE category_id IS NULL AND (category IS NULL OR TRIM(category) = '')"
+  );
+  
+  // Free-text categories that are not in the tree yet become top-level categories
+  const [names] = await connection.query(`
+    SELECT DISTINCT TRIM(p.category) AS name
+    FROM products p
+    LEFT JOIN categories c ON c.name = TRIM(p.category)
+    WHERE p.category_id IS NULL AND c.id IS NULL
+  `);
+  
+  for (const { name } of names) {
+    const baseSlug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const [result] = await connection.query(
+      'INSERT INTO categories (name, slug, sort_order) VALUES (?, UUID(), 100)',
+      [name.slice(0, 50)]
+    );
+    // Korean-only names have no ASCII slug, fall back to category-<id>
+    const slug = baseSlug ? `${baseSlug.slice(0, 80)}-${result.insertId}` : `category-${result.insertId}`;
+    await connection.query('UPDATE categories SET slug = ? WHERE id = ?', [slug, result.insertId]);
+    console.log(`✅ Category created from product data: ${name} (${slug})`);
+  }
+  
+  const [linked] = await connection.query(`
+    UPDATE products p
+    JOIN categories c ON c.name = TRIM(p.category)
+    SET p.category_id = c.id, p.category = c.name
+    WHERE p.category_id IS NULL
+  `);
+  
+  if (linked.affectedRows > 0) {
+    console.log(`✅ ${linked.affectedRows} products linked to categories`);
+  } else {
+    console.log('✓ No products to link to categories');
+  }
+}
+
+/**
+ * Create product review tables and add rating aggregate columns to products
+ * products.rating_avg / review_count hold approved reviews only (kept in sync by product-api)
+ */
+async function createProductReviewTables(connection) {
+  console.log('📝 Ensuring product_reviews table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS product_reviews (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      product_id INT NOT NULL,
+      user_id INT NOT NULL,
+      order_item_id INT NOT NULL,
+      rating TINYINT NOT NULL,
+      title VARCHAR(100),
+      content TEXT NOT NULL,
+      images JSON,
+      status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+      moderation_note VARCHAR(255),
+      moderated_by INT NULL,
+      moderated_at DATETIME NULL,
+      helpful_count INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_product_user (product_id, user_id),
+      INDEX idx_product_status_created (product_id, status, created_at),
+      INDEX idx_status_created (status, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ product_reviews table ready');
+  
+  console.log('📝 Ensuring review_helpful_votes table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS review_helpful_votes (
+      review_id INT NOT NULL,
+      user_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (review_id, user_id),
+      FOREIGN KEY (review_id) REFERENCES product_reviews(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ review_helpful_votes table ready');
+  
+  if (!(await tableExists(connection, 'products'))) {
+    console.log('⚠️  products table not found, skipping rating columns');
+    return;
+  }
+  
+  const columns = [
+    { name: 'rating_avg', definition: 'rating_avg DECIMAL(3, 2) NOT NULL DEFAULT 0' },
+    { name: 'review_count', definition: 'review_count INT NOT NULL DEFAULT 0' }
+  ];
+  
+  for (const column of columns) {
+    if (!(await columnExists(connection, 'products', column.name))) {
+      console.log(`📝 Adding ${column.name} column to products table...`);
+      await connection.query(`
+        ALTER TABLE products 
+        ADD COLUMN ${column.definition}
+      `);
+      console.log(`✅ ${column.name} column added`);
+    } else {
+      console.log(`✓ ${column.name} column already exists in products table`);
+    }
+  }
+  
+  if (!(await indexExists(connection, 'products', 'idx_rating'))) {
+    console.log('📝 Adding idx_rating index to products table...');
+    await connection.query(`
+      ALTER TABLE products 
+      ADD INDEX idx_rating (rating_avg, review_count)
+    `);
+    console.log('✅ idx_rating index added');
+  } else {
+    console.log('✓ idx_rating index already exists on products table');
+  }
+}
+
+/**
+ * Create inventory_movements ledger and add low-stock threshold to products
+ * Every stock change (restock, sale, cancellation, manual adjustment) is recorded with the
+ * resulting stock; existing stock is recorded once as an 'initial' movement so the ledger adds up
+ * The ledger has no foreign key to products so audit rows outlive a hard-deleted product
+ */
+async function createInventoryMovementsTable(connection) {
+  if (!(await tableExists(connection, 'products'))) {
+    console.log('⚠️  products table not found, skipping inventory_movements');
+    return;
+  }
+  
+  console.log('📝 Ensuring inventory_movements table exists...');
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS inventory_movements (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      product_id INT NOT NULL,
+      variant_id INT NULL,
+      movement_type ENUM('initial', 'restock', 'sale', 'cancellation', 'adjustment') NOT NULL,
+      quantity_change INT NOT NULL,
+      stock_after INT NOT NULL,
+      reason VARCHAR(255),
+      actor_id INT NULL,
+      order_id INT NULL,
+      payment_id VARCHAR(100) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_product_variant_created (product_id, variant_id, created_at),
+      INDEX idx_order_id (order_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+  console.log('✅ inventory_movements table ready');
+  
+  // Earlier versions cascaded product deletes into the ledger
+  const [foreignKeys] = await connection.query(
+    `SELECT CONSTRAINT_NAME 
+     FROM information_schema.KEY_COLUMN_USAGE 
+     WHERE TABLE_SCHEMA = DATABASE() 
+     AND TABLE_NAME = 'inventory_movements' 
+     AND REFERENCED_TABLE_NAME = 'products'`
+  );
+  for (const { CONSTRAINT_NAME: name } of foreignKeys) {
+    console.log(`📝 Dropping inventory_movements foreign key ${name}...`);
+    await connection.query(`ALTER TABLE inventory_movements DROP FOREIGN KEY \`${name}\``);
+    console.log(`✅ inventory_movements foreign key ${name} dropped`);
+  }
+  
+  if (!(await columnExists(connection, 'products', 'low_stock_threshold'))) {
+    console.log('📝 Adding low_stock_threshold column to products table...');
+    await connection.query(`
+      ALTER TABLE products 
+      ADD COLUMN low_stock_threshold INT NULL
+    `);
+    console.log('✅ low_stock_threshold column added');
+  } else {
+    console.log('✓ low_stock_threshold column already exists in products table');
+  }
+  
+  // Opening balance for products/variants that have no movements yet
+  const [products] = await connection.query(`
+    INSERT INTO inventory_movements (product_id, variant_id, movement_type, quantity_change, stock_after, reason)
+    SELECT p.id, NULL, 'initial', p.stock, p.stock, 'opening_balance'
+    FROM products p
+    WHERE NOT EXISTS (
+      SELECT 1 FROM inventory_movements m WHERE m.product_id = p.id AND m.variant_id IS NULL
+    )
+  `);
+  
+  let variantRows = 0;
+  if (await tableExists(connection, 'product_variants')) {
+    const [variants] = await connection.query(`
+      INSERT INTO inventory_movements (product_id, variant_id, movement_type, quantity_change, stock_after, reason)
+      SELECT v.product_id, v.id, 'initial', v.stock, v.stock, 'opening_balance'
+      FROM product_variants v
+      WHERE NOT EXISTS (
+        SELECT 1 FROM inventory_movements m WHERE m.variant_id = v.id
+      )
+    `);
+    variantRows = variants.affectedRows;
+  }
+  
+  if (products.affectedRows + variantRows > 0) {
+    console.log(`✅ Opening stock recorded (${products.affectedRows} products, ${variantRows} variants)`);
+  } else {
+    console.log('✓ Opening stock already recorded');
+  }
+}
+
+/**
+ * Make cart (owned by cart-api) store product references only: drop the product_name copy
+ * and keep the server-captured unit price as price_at_add, used only to flag price changes
+ * (name, price, image and stock are read from products/product_variants when the cart is viewed)
+ */
+async function migrateCartToProductReferences(connection) {
+  if (!(await tableExists(connection, 'cart'))) {
+    console.log('⚠️  cart table not found, skipping cart product reference migration');
+    return;
+  }
+  
+  if (await columnExists(connection, 'cart', 'price')) {
+    console.log('📝 Renaming cart.price to price_at_add...');
+    await connection.query(`
+      ALTER TABLE cart 
+      CHANGE COLUMN price price_at_add DECIMAL(10, 2) NULL
+    `);
+    console.log('✅ cart.price renamed to price_at_add');
+  } else if (!(await columnExists(connection, 'cart', 'price_at_add'))) {
+    console.log('📝 Adding price_at_add column to cart table...');
+    await connection.query(`
+      ALTER TABLE cart 
+      ADD COLUMN price_at_add DECIMAL(10, 2) NULL AFTER quantity
+    `);
+    console.log('✅ price_at_add column added to cart table');
+  } else {
+    console.log('✓ price_at_add column already exists in cart table');
+  }
+  
+  if (await columnExists(connection, 'cart', 'product_name')) {
+    console.log('📝 Dropping product_name column from cart table...');
+    await connection.query(`
+      ALTER TABLE cart 
+      DROP COLUMN product_name
+    `);
+    console.log('✅ product_name column dropped from cart table');
+  } else {
+    console.log('✓ cart table has no product_name column');
+  }
+}
+
 /**
  * Run all migrations for orders and order_items tables
  */
@@ -91,6 +1061,58 @@ async function migrateOrdersTables() {
     // Add payment_id column if needed
     await addPaymentIdToOrders(connection);
     
+    // Add product_name snapshot column to order_items if needed
+    await addProductNameToOrderItems(connection);
+    
+    // Add stock reservation expiry column to orders if needed
+    await addReservationExpiryToOrders(connection);
+    
+    // Extend order status ENUM and create status history table
+    await extendOrderStatusEnum(connection);
+    await createOrderStatusHistoryTable(connection);
+    
+    // Add shipping address snapshot to orders and create address book table
+    await addShippingAddressToOrders(connection);
+    await createUserAddressesTable(connection);
+    
+    // Create admin activity log table
+    await createAdminActivityLogsTable(connection);
+    
+    // Database-backed roles and permissions
+    await createRolePermissionTables(connection);
+    await seedDefaultRolePermissions(connection);
+    await addReviewAndInventoryPermissions(connection);
+    await convertUserRoleToVarchar(connection);
+    
+    // Product listing/search indexes
+    await addProductSearchIndexes(connection);
+    
+    // Product status (soft delete)
+    await addProductStatusColumns(connection);
+    
+    // Product variants (per-variant price/stock) in catalog, orders and cart
+    await createProductVariantsTable(connection);
+    await addVariantToOrderItems(connection);
+    await addVariantToCart(connection);
+    
+    // Product image gallery
+    await createProductImagesTable(connection);
+    
+    // Product SKU for bulk import/export
+    await addProductSkuColumn(connection);
+    
+    // Category tree (replaces free-text products.category)
+    await migrateProductCategories(connection);
+    
+    // Product reviews and rating aggregates
+    await createProductReviewTables(connection);
+    
+    // Inventory ledger and low-stock thresholds
+    await createInventoryMovementsTable(connection);
+    
+    // Cart stores product references only (hydrated by cart-api on read)
+    await migrateCartToProductReferences(connection);
+    
     console.log('✅ Orders table migrations completed');
     return true;
   } catch (error) {
@@ -106,6 +1128,29 @@ async function migrateOrdersTables() {
 export { 
   columnExists, 
   indexExists, 
+  tableExists,
   addPaymentIdToOrders, 
+  addProductNameToOrderItems,
+  addReservationExpiryToOrders,
+  extendOrderStatusEnum,
+  createOrderStatusHistoryTable,
+  addShippingAddressToOrders,
+  createUserAddressesTable,
+  createAdminActivityLogsTable,
+  createRolePermissionTables,
+  seedDefaultRolePermissions,
+  addReviewAndInventoryPermissions,
+  convertUserRoleToVarchar,
+  addProductSearchIndexes,
+  addProductStatusColumns,
+  createProductVariantsTable,
+  addVariantToOrderItems,
+  addVariantToCart,
+  createProductImagesTable,
+  addProductSkuColumn,
+  migrateProductCategories,
+  createProductReviewTables,
+  createInventoryMovementsTable,
+  migrateCartToProductReferences,
   migrateOrdersTables 
 };
@@ -10,20 +10,30 @@ CREATE TABLE IF NOT EXISTS orders (
   id INT PRIMARY KEY AUTO_INCREMENT,
   user_id INT NOT NULL,
   total_price DECIMAL(10, 2) NOT NULL,
-  status ENUM('pending', 'paid', 'payment_failed', 'cancelled') DEFAULT 'pending',
+  status ENUM('pending', 'paid', 'preparing', 'shipped', 'delivered', 'cancelled', 'payment_failed', 'refunded') DEFAULT 'pending',
   payment_method VARCHAR(50),
   payment_id VARCHAR(100),
+  reservation_expires_at TIMESTAMP NULL,
+  shipping_recipient VARCHAR(100),
+  shipping_phone VARCHAR(20),
+  shipping_postcode VARCHAR(10),
+  shipping_road_address VARCHAR(255),
+  shipping_detail_address VARCHAR(255),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   INDEX idx_user_id (user_id),
   INDEX idx_status (status),
-  INDEX idx_payment_id (payment_id)
+  INDEX idx_payment_id (payment_id),
+  INDEX idx_status_reservation (status, reservation_expires_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS order_items (
   id INT PRIMARY KEY AUTO_INCREMENT,
   order_id INT NOT NULL,
   product_id INT NOT NULL,
+  product_name VARCHAR(255),
+  variant_id INT NULL,
+  variant_name VARCHAR(100),
   quantity INT NOT NULL,
   price DECIMAL(10, 2) NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -32,6 +42,18 @@ CREATE TABLE IF NOT EXISTS order_items (
   INDEX idx_product_id (product_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  order_id INT NOT NULL,
+  from_status VARCHAR(30),
+  to_status VARCHAR(30) NOT NULL,
+  changed_by INT,
+  reason VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  INDEX idx_order_created (order_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================
 -- 2. Payments Table
 -- ============================================
@@ -89,3 +111,198 @@ CREATE TABLE IF NOT EXISTS idempotency_keys (
   INDEX idx_key (idempotency_key),
   INDEX idx_expires (expires_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 5. User Addresses Table
+-- ============================================
+
+-- Address book managed by user-api (orders keep their own shipping snapshot)
+CREATE TABLE IF NOT EXISTS user_addresses (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  label VARCHAR(50),
+  recipient_name VARCHAR(100) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  postcode VARCHAR(10) NOT NULL,
+  road_address VARCHAR(255) NOT NULL,
+  detail_address VARCHAR(255),
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_user_default (user_id, is_default)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 6. Admin Activity Logs Table
+-- ============================================
+
+-- Written by shared/auth.js logAdminActivity, read by user-api GET /admin/activity
+CREATE TABLE IF NOT EXISTS admin_activity_logs (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT,
+  action VARCHAR(100) NOT NULL,
+  resource VARCHAR(100) NOT NULL,
+  resource_id VARCHAR(100),
+  details JSON,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_actor_created (user_id, created_at),
+  INDEX idx_resource_created (resource, created_at),
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 7. Roles and Permissions Tables
+-- ============================================
+
+-- users.role holds roles.name (default roles/permissions are seeded by migrations.js)
+CREATE TABLE IF NOT EXISTS roles (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  description VARCHAR(255),
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS permissions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  resource VARCHAR(50) NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  description VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id INT NOT NULL,
+  permission_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (role_id, permission_id),
+  FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+  FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE,
+  INDEX idx_permission_id (permission_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 8. Product Variants Table
+-- ============================================
+
+-- Option combinations (size, color, ...) of a product, owned by product-api
+-- Unit price = products.price + price_delta, stock is tracked per variant
+CREATE TABLE IF NOT EXISTS product_variants (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  product_id INT NOT NULL,
+  sku VARCHAR(64) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  options JSON,
+  price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  stock INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_product_sort (product_id, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 9. Product Images Table
+-- ============================================
+
+-- Image gallery of a product, owned by product-api (lowest sort_order = primary image,
+-- mirrored to products.image_url / thumbnail_url). storage_key is NULL for legacy URLs
+CREATE TABLE IF NOT EXISTS product_images (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  product_id INT NOT NULL,
+  storage_key VARCHAR(255),
+  url VARCHAR(500) NOT NULL,
+  thumbnail_key VARCHAR(255),
+  thumbnail_url VARCHAR(500),
+  content_type VARCHAR(50),
+  size_bytes INT,
+  width INT,
+  height INT,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_product_sort (product_id, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 10. Categories Table
+-- ============================================
+
+-- Product category tree, owned by product-api (parent_id NULL = top level).
+-- products.category_id points at a category and products.category mirrors its name
+CREATE TABLE IF NOT EXISTS categories (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  parent_id INT NULL,
+  parent_key INT AS (IFNULL(parent_id, 0)) STORED,
+  name VARCHAR(50) NOT NULL,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_parent_name (parent_key, name),
+  INDEX idx_parent_sort (parent_id, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 11. Product Reviews Tables
+-- ============================================
+
+-- Reviews written by customers who bought the product (order_item_id = the purchase),
+-- owned by product-api. Only approved reviews count toward products.rating_avg / review_count
+CREATE TABLE IF NOT EXISTS product_reviews (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  product_id INT NOT NULL,
+  user_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  rating TINYINT NOT NULL,
+  title VARCHAR(100),
+  content TEXT NOT NULL,
+  images JSON,
+  status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+  moderation_note VARCHAR(255),
+  moderated_by INT NULL,
+  moderated_at DATETIME NULL,
+  helpful_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_product_user (product_id, user_id),
+  INDEX idx_product_status_created (product_id, status, created_at),
+  INDEX idx_status_created (status, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS review_helpful_votes (
+  review_id INT NOT NULL,
+  user_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (review_id, user_id),
+  FOREIGN KEY (review_id) REFERENCES product_reviews(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 12. Inventory Movements Table
+-- ============================================
+
+-- Stock ledger: every change to products.stock / product_variants.stock (variant_id set)
+-- with the resulting stock, who made it and the order/payment it belongs to.
+-- products.low_stock_threshold (NULL = service default) triggers low-stock alerts.
+-- No foreign key to products (created by product-api): audit rows outlive deleted products
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  product_id INT NOT NULL,
+  variant_id INT NULL,
+  movement_type ENUM('initial', 'restock', 'sale', 'cancellation', 'adjustment') NOT NULL,
+  quantity_change INT NOT NULL,
+  stock_after INT NOT NULL,
+  reason VARCHAR(255),
+  actor_id INT NULL,
+  order_id INT NULL,
+  payment_id VARCHAR(100) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_product_variant_created (product_id, variant_id, created_at),
+  INDEX idx_order_id (order_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -11,105 +11,10 @@ import {
   isValidIdempotencyKey,
   detectSQLInjection,
   sanitizeInput,
-  isValidLength,
-  isValidOrderItems
+  isValidLength
 } from '../utils/validator.js';
 import { logError } from '../utils/logger.js';
 
-/**
- * 주문 생성 요청 검증 미들웨어
- * 요구사항: 6.1, 6.2, 6.3, 6.4, 6.5, 6.6
- */
-function validateOrderCreation(req, res, next) {
-  try {
-    const { user_id, items, total_price } = req.body;
-
-    // 필수 필드 존재 여부 확인
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'user_id is required',
-        error_code: 'VALIDATION_ERROR'
-      });
-    }
-
-    if (!items) {
-      return res.status(400).json({
-        success: false,
-        message: 'items is required',
-        error_code: 'VALIDATION_ERROR'
-      });
-    }
-
-    if (!total_price) {
-      return res.status(400).json({
-        success: false,
-        message: 'total_price is required',
-        error_code: 'VALIDATION_ERROR'
-      });
-    }
-
-    // user_id 검증
-    if (!isValidUserId(user_id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid user_id: must be a positive integer',
-        error_code: 'VALIDATION_ERROR'
-      });
-    }
-
-    // items 배열 검증
-    if (!isValidOrderItems(items)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid items: must be a non-empty array with valid product_id, quantity, and price',
-        error_code: 'VALIDATION_ERROR'
-      });
-    }
-
-    // total_price 검증
-    if (!isValidAmount(total_price)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid total_price: must be a positive number between 0.01 and 10,000,000',
-        error_code: 'VALIDATION_ERROR'
-      });
-    }
-
-    // SQL Injection 패턴 감지 (문자열 필드)
-    const stringFields = [];
-    items.forEach((item, index) => {
-      if (item.name && typeof item.name === 'string') {
-        stringFields.push({ field: `items[${index}].name`, value: item.name });
-      }
-    });
-
-    for (const { field, value } of stringFields) {
-      if (detectSQLInjection(value)) {
-        logError('SQL Injection attempt detected', null, {
-          field,
-          value: value.substring(0, 50)
-        });
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid input: potentially malicious content detected',
-          error_code: 'VALIDATION_ERROR'
-        });
-      }
-    }
-
-    // 검증 통과
-    next();
-  } catch (error) {
-    logError('Validation error in validateOrderCreation', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error during validation',
-      error_code: 'VALIDATION_ERROR'
-    });
-  }
-}
-
 /**
  * 결제 요청 검증 미들웨어
  * 요구사항: 6.1, 6.2, 6.3, 6.4, 6.5, 6.6
@@ -283,7 +188,6 @@ function validateCancellationRequest(req, res, next) {
 }
 
 export {
-  validateOrderCreation,
   validatePaymentRequest,
   validateCancellationRequest
 };
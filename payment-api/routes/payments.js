@@ -14,6 +14,7 @@ import { logInfo, logError, maskSensitiveData } from '../utils/logger.js';
 import { processCardPayment } from '../services/cardService.js';
 import redisClient, { initRedis } from '../config/redis.js';
 import { db } from '../../shared/db.js';
+import { checkOwnership } from '../../shared/auth.js';
 
 // Order API URL
 const ORDER_API_URL = process.env.ORDER_API_URL || 'http://order-service';
@@ -34,9 +35,12 @@ router.post('/', validatePaymentRequest, checkIdempotency, async (req, res) => {
     let cardData = req.body.card_data;  // let으로 선언하여 재할당 가능하게 함
 
     // 주문 존재 여부 확인 (Order API 호출)
+    // 사용자 토큰을 그대로 전달하므로 본인 주문이 아니면 Order API가 거부
     let order;
     try {
-      const orderResponse = await axios.get(`${ORDER_API_URL}/orders/${order_id}`);
+      const orderResponse = await axios.get(`${ORDER_API_URL}/orders/${order_id}`, {
+        headers: { Authorization: req.headers.authorization }
+      });
       order = orderResponse.data.order;
     } catch (error) {
       logError('Failed to fetch order from Order API', error, { order_id });
@@ -123,8 +127,14 @@ router.post('/', validatePaymentRequest, checkIdempotency, async (req, res) => {
     // 결제 성공 시 주문 상태 업데이트
     if (result.status === 'completed') {
       try {
+        // 결제 완료 전환은 사용자 권한이 아니므로 내부 서비스 토큰으로 호출
         await axios.patch(`${ORDER_API_URL}/orders/${order_id}/status`, {
           status: 'paid'
+        }, {
+          headers: {
+            'X-Service-Token': process.env.SERVICE_API_TOKEN,
+            'X-Service-Name': 'payment-api'
+          }
         });
         logInfo('Order status updated to paid', { order_id });
       } catch (error) {
@@ -238,7 +248,7 @@ router.post('/', validatePaymentRequest, checkIdempotency, async (req, res) => {
  * 특정 사용자의 결제 목록 조회 (캐싱 적용)
  * key: payments:user:{userId}, TTL = 60초
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', checkOwnership('userId', 'orders.manage'), async (req, res) => {
   const { userId } = req.params;
   const cacheKey = `payments:user:${userId}`;
 
@@ -368,7 +378,7 @@ router.post('/:id/cancel', validateCancellationRequest, async (req, res) => {
     const { reason } = req.body;
 
     // 취소 요청자 ID (인증 미들웨어에서 설정됨, 없으면 기본값)
-    const cancelledBy = req.user?.id || null;
+    const cancelledBy = req.user?.user_id || null;
 
     // 결제 취소 처리
     const result = await cancelPayment(id, reason, cancelledBy);
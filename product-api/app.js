@@ -2,6 +2,15 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import productsRouter from './routes/products.js';
+import variantsRouter from './routes/variants.js';
+import imagesRouter from './routes/images.js';
+import storageRouter from './routes/storage.js';
+import categoriesRouter from './routes/categories.js';
+import reviewsRouter from './routes/reviews.js';
+import reviewModerationRouter from './routes/reviewModeration.js';
+import inventoryRouter from './routes/inventory.js';
+import { getStorageDriverName, LOCAL_MOUNT_PATH } from './services/storage.js';
+import { sweepPendingUploads } from './services/imageService.js';
 
 dotenv.config();
 
@@ -26,6 +35,18 @@ app.use(express.json());
 app.get('/health', (req, res) => res.json({ status: 'ok' }));
 app.get('/readiness', (req, res) => res.json({ ready: true }));
 
+// 로컬 저장소 사용 시 업로드 파일 제공 및 직접 업로드
+if (getStorageDriverName() === 'local') {
+  app.use(LOCAL_MOUNT_PATH, storageRouter);
+}
+
+app.use('/products/:productId/variants', variantsRouter);
+app.use('/products/:productId/images', imagesRouter);
+app.use('/products/:productId/reviews', reviewsRouter);
+app.use('/products/:productId/stock', inventoryRouter);
+// /products 아래에 두어 기존 /products 라우팅(ALB 경로 규칙)을 그대로 사용
+app.use('/products/categories', categoriesRouter);
+app.use('/products/reviews', reviewModerationRouter);
 app.use('/products', productsRouter);
 
 app.use((err, req, res, next) => {
@@ -35,3 +56,9 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3002;
 app.listen(PORT, () => console.log(`product-api listening on ${PORT}`));
+
+// 확인되지 않은 직접 업로드 임시 파일 주기적 정리 (기본 1시간)
+const PENDING_UPLOAD_SWEEP_INTERVAL_MS = parseInt(process.env.PRODUCT_PENDING_UPLOAD_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+setInterval(() => {
+  sweepPendingUploads().catch((err) => console.error('PENDING UPLOAD SWEEP ERROR:', err));
+}, PENDING_UPLOAD_SWEEP_INTERVAL_MS);
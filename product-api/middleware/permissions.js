@@ -0,0 +1,33 @@
+/**
+ * 권한 미들웨어
+ * 관리 API 라우트 가드 (인증 + roles/role_permissions 기준 권한 확인, shared/permissions.js)
+ *   - products.manage: 상품/옵션/이미지/카테고리 관리, 일괄 가져오기/내보내기
+ *   - reviews.moderate: 리뷰 검수, 다른 사용자의 리뷰 삭제
+ *   - inventory.manage: 재고 이력 조회, 입고/재고 조정
+ */
+
+import { authenticate, checkPermission } from '../../shared/auth.js';
+
+const PRODUCT_MANAGE_PERMISSION = 'products.manage';
+const REVIEW_MODERATE_PERMISSION = 'reviews.moderate';
+const INVENTORY_MANAGE_PERMISSION = 'inventory.manage';
+
+/**
+ * 인증 + 권한 확인 미들웨어 체인
+ * @param {string} permissionName - 권한 이름
+ * @returns {Array<Function>}
+ */
+const requirePermission = (permissionName) => [authenticate, checkPermission(permissionName)];
+
+const requireProductManager = requirePermission(PRODUCT_MANAGE_PERMISSION);
+const requireReviewModerator = requirePermission(REVIEW_MODERATE_PERMISSION);
+const requireInventoryManager = requirePermission(INVENTORY_MANAGE_PERMISSION);
+
+export {
+  PRODUCT_MANAGE_PERMISSION,
+  REVIEW_MODERATE_PERMISSION,
+  INVENTORY_MANAGE_PERMISSION,
+  requireProductManager,
+  requireReviewModerator,
+  requireInventoryManager
+};
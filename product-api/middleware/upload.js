@@ -0,0 +1,86 @@
+/**
+ * 업로드 미들웨어
+ * 상품 이미지 multipart 업로드 (메모리 저장, 파일 검증/저장은 services/imageService.js)
+ *   - image: 대표 이미지 1개 (상품 수정 시 기존 대표 이미지를 교체)
+ *   - images: 추가 이미지 여러 개
+ * 상품 일괄 가져오기 파일 업로드 (file: CSV/JSON 1개)
+ * 리뷰 이미지 업로드 (images: 최대 MAX_REVIEW_IMAGES개)
+ * 로컬 저장소 직접 업로드 (file: 이미지 1개, S3 presigned POST와 같은 형식)
+ */
+
+import multer from 'multer';
+import { MAX_IMAGES_PER_PRODUCT } from '../services/imageService.js';
+import { MAX_REVIEW_IMAGES } from '../services/reviewService.js';
+import { MAX_IMAGE_SIZE } from '../utils/imageFile.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_PRODUCT + 1 }
+});
+
+// 가져오기 파일 최대 크기 (10MB)
+const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 }
+});
+
+/**
+ * multer 에러(크기 초과, 파일 수 초과 등)를 400 응답으로 변환
+ */
+function handleUploadErrors(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: 'INVALID_UPLOAD',
+          error: err.message,
+          code: err.code
+        });
+      }
+      next(err);
+    });
+  };
+}
+
+// 상품 등록/수정 (image + images)
+const productImageUpload = handleUploadErrors(upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES_PER_PRODUCT }
+]));
+
+// 이미지 추가 (images)
+const imagesUpload = handleUploadErrors(upload.array('images', MAX_IMAGES_PER_PRODUCT));
+
+// 상품 일괄 가져오기 (file)
+const importFileUpload = handleUploadErrors(importUpload.single('file'));
+
+// 리뷰 작성 (images)
+const reviewImagesUpload = handleUploadErrors(upload.array('images', MAX_REVIEW_IMAGES));
+
+// 로컬 저장소 직접 업로드 (file)
+const directImageUpload = handleUploadErrors(upload.single('file'));
+
+/**
+ * 필드별 업로드 파일 목록
+ * @param {Object} req - Express 요청 객체
+ * @param {string} field - 'image' | 'images'
+ * @returns {Array} - multer 파일 배열
+ */
+function uploadedFiles(req, field) {
+  if (Array.isArray(req.files)) {
+    return field === 'images' ? req.files : [];
+  }
+  return req.files?.[field] || [];
+}
+
+export {
+  productImageUpload,
+  imagesUpload,
+  importFileUpload,
+  reviewImagesUpload,
+  directImageUpload,
+  uploadedFiles
+};
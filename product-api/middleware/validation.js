@@ -0,0 +1,723 @@
+/**
+ * 검증 미들웨어
+ * 상품 등록/수정 입력 값 검증 (multipart/form-data 문자열 필드 기준)
+ * 상품 옵션 등록/수정 입력 값 검증 (JSON 본문, req.variantInput)
+ * 일괄 가져오기(import) 행 검증 (services/bulkProductService.js)
+ * 카테고리 등록/수정 입력 값 검증 (JSON 본문, req.categoryInput)
+ * 리뷰 작성/검수 입력 값 검증 (multipart 또는 JSON, req.reviewInput)
+ * 재고 입고/조정 입력 값 검증 (JSON 본문, req.stockInput)
+ *
+ * 검증을 통과한 값은 타입을 변환해 req.productInput에 담음
+ * 수정 요청에서는 요청에 포함된 필드만 담기므로 '없음'(변경 안 함)과
+ * '빈 값/0으로 설정'을 구분할 수 있음 (예: description: '' → 설명 삭제, stock: 0 → 품절)
+ */
+
+import { PRODUCT_STATUSES, DELETED_PRODUCT_STATUS } from '../../shared/productStatus.js';
+import { findCategory } from '../../shared/categories.js';
+
+// 필드 길이 제한
+const NAME_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 2000;
+
+// 가격 상한 (order-api 금액 검증과 동일)
+const MAX_PRICE = 10000000;
+const MAX_STOCK = 1000000;
+
+// 카테고리를 지정하지 않은 상품의 카테고리 (categories.name)
+const DEFAULT_CATEGORY = '기타';
+
+// 등록/수정으로 설정 가능한 상태 (deleted는 DELETE, 복구는 restore 엔드포인트로만 변경)
+const EDITABLE_STATUSES = PRODUCT_STATUSES.filter(status => status !== DELETED_PRODUCT_STATUS);
+const DEFAULT_STATUS = 'active';
+
+// 상품/옵션 SKU 형식 (영문/숫자/.-_, 최대 64자)
+const SKU_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * 필드별 검증/변환 규칙
+ * 각 함수는 { value } 또는 { error }를 반환
+ */
+const FIELD_RULES = {
+  // 상품 SKU (선택, 일괄 가져오기의 upsert 기준 — null 또는 ''이면 SKU 제거)
+  sku(value) {
+    if (value === null || value === '') {
+      return { value: null };
+    }
+    if (typeof value !== 'string' || !SKU_PATTERN.test(value.trim())) {
+      return { error: 'sku must be 1-64 characters of letters, digits, ".", "-" or "_"' };
+    }
+    return { value: value.trim() };
+  },
+
+  name(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (name.length === 0 || name.length > NAME_MAX_LENGTH) {
+      return { error: `name must be between 1 and ${NAME_MAX_LENGTH} characters` };
+    }
+    return { value: name };
+  },
+
+  description(value) {
+    if (value === null) {
+      return { value: '' };
+    }
+    if (typeof value !== 'string' || value.length > DESCRIPTION_MAX_LENGTH) {
+      return { error: `description must be at most ${DESCRIPTION_MAX_LENGTH} characters` };
+    }
+    return { value: value.trim() };
+  },
+
+  // 카테고리 ID, slug 또는 이름 (존재 여부는 resolveProductCategory에서 확인)
+  category(value) {
+    const category = typeof value === 'number' ? String(value) : value;
+    if (typeof category !== 'string' || category.trim() === '' || category.trim().length > 100) {
+      return { error: 'category must be a category id, slug or name' };
+    }
+    return { value: category.trim() };
+  },
+
+  price(value) {
+    const price = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    if (!Number.isFinite(price) || price <= 0 || price > MAX_PRICE) {
+      return { error: `price must be a number greater than 0 and at most ${MAX_PRICE}` };
+    }
+    // 소수점 둘째 자리까지만 허용 (DECIMAL(10,2))
+    if (Math.abs(Math.round(price * 100) - price * 100) > 1e-6) {
+      return { error: 'price must have at most 2 decimal places' };
+    }
+    return { value: price };
+  },
+
+  stock(value) {
+    const stock = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    if (!Number.isInteger(stock) || stock < 0 || stock > MAX_STOCK) {
+      return { error: `stock must be an integer between 0 and ${MAX_STOCK}` };
+    }
+    return { value: stock };
+  },
+
+  // 재고 부족 알림 기준 (null 또는 ''이면 기본 기준 LOW_STOCK_THRESHOLD 사용)
+  low_stock_threshold(value) {
+    if (value === null || value === '') {
+      return { value: null };
+    }
+    const threshold = Number(value);
+    if (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_STOCK) {
+      return { error: `low_stock_threshold must be an integer between 0 and ${MAX_STOCK}, or empty for the default` };
+    }
+    return { value: threshold };
+  },
+
+  status(value) {
+    if (typeof value !== 'string' || !EDITABLE_STATUSES.includes(value)) {
+      return { error: `status must be one of: ${EDITABLE_STATUSES.join(', ')}` };
+    }
+    return { value };
+  }
+};
+
+const PRODUCT_FIELDS = Object.keys(FIELD_RULES);
+
+const VARIANT_NAME_MAX_LENGTH = 100;
+const OPTION_VALUE_MAX_LENGTH = 50;
+const MAX_OPTIONS = 5;
+
+// 카테고리 slug 형식 (영문 소문자/숫자, 하이픈 구분, 최대 100자)
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SLUG_MAX_LENGTH = 100;
+const CATEGORY_NAME_MAX_LENGTH = 50;
+
+const REVIEW_TITLE_MAX_LENGTH = 100;
+const REVIEW_CONTENT_MAX_LENGTH = 2000;
+const MODERATION_NOTE_MAX_LENGTH = 255;
+
+// 관리자가 직접 기록하는 재고 변경 종류 (sale/cancellation은 주문에서만 발생)
+const STOCK_ADJUSTMENT_TYPES = ['restock', 'adjustment'];
+const STOCK_REASON_MAX_LENGTH = 255;
+
+/**
+ * 상품 옵션(JSON 본문) 필드별 검증/변환 규칙
+ */
+const VARIANT_FIELD_RULES = {
+  sku(value) {
+    if (typeof value !== 'string' || !SKU_PATTERN.test(value.trim())) {
+      return { error: 'sku must be 1-64 characters of letters, digits, ".", "-" or "_"' };
+    }
+    return { value: value.trim() };
+  },
+
+  name(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (name.length === 0 || name.length > VARIANT_NAME_MAX_LENGTH) {
+      return { error: `name must be between 1 and ${VARIANT_NAME_MAX_LENGTH} characters` };
+    }
+    return { value: name };
+  },
+
+  // 예: { "color": "블랙", "size": "L" }
+  options(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'options must be an object of option name → value' };
+    }
+    const entries = Object.entries(value);
+    const valid = entries.length <= MAX_OPTIONS && entries.every(([key, optionValue]) =>
+      key.length > 0 && key.length <= OPTION_VALUE_MAX_LENGTH &&
+      typeof optionValue === 'string' && optionValue.length > 0 && optionValue.length <= OPTION_VALUE_MAX_LENGTH
+    );
+    if (!valid) {
+      return { error: `options must have at most ${MAX_OPTIONS} string values of 1-${OPTION_VALUE_MAX_LENGTH} characters` };
+    }
+    return { value };
+  },
+
+  // 음수 가능 (단가 > 0 여부는 상품 가격과 함께 서비스에서 확인)
+  price_delta(value) {
+    const delta = Number(value);
+    if (value === '' || value === null || !Number.isFinite(delta) || Math.abs(delta) > MAX_PRICE) {
+      return { error: `price_delta must be a number between -${MAX_PRICE} and ${MAX_PRICE}` };
+    }
+    if (Math.abs(Math.round(delta * 100) - delta * 100) > 1e-6) {
+      return { error: 'price_delta must have at most 2 decimal places' };
+    }
+    return { value: delta };
+  },
+
+  stock: FIELD_RULES.stock,
+
+  is_active(value) {
+    if (typeof value !== 'boolean') {
+      return { error: 'is_active must be a boolean' };
+    }
+    return { value };
+  },
+
+  sort_order(value) {
+    const order = Number(value);
+    if (value === '' || value === null || !Number.isInteger(order) || order < 0) {
+      return { error: 'sort_order must be a non-negative integer' };
+    }
+    return { value: order };
+  }
+};
+
+/**
+ * 카테고리(JSON 본문) 필드별 검증/변환 규칙
+ */
+const CATEGORY_FIELD_RULES = {
+  name(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (name.length === 0 || name.length > CATEGORY_NAME_MAX_LENGTH) {
+      return { error: `name must be between 1 and ${CATEGORY_NAME_MAX_LENGTH} characters` };
+    }
+    return { value: name };
+  },
+
+  slug(value) {
+    if (typeof value !== 'string' || value.length > SLUG_MAX_LENGTH || !SLUG_PATTERN.test(value)) {
+      return { error: 'slug must be lowercase letters and digits separated by single hyphens (e.g. "gaming-laptops")' };
+    }
+    return { value };
+  },
+
+  // null이면 최상위 카테고리
+  parent_id(value) {
+    if (value === null) {
+      return { value: null };
+    }
+    const parentId = Number(value);
+    if (value === '' || !Number.isInteger(parentId) || parentId < 1) {
+      return { error: 'parent_id must be a category id or null' };
+    }
+    return { value: parentId };
+  },
+
+  sort_order: VARIANT_FIELD_RULES.sort_order,
+
+  is_active(value) {
+    if (typeof value !== 'boolean') {
+      return { error: 'is_active must be a boolean' };
+    }
+    return { value };
+  }
+};
+
+/**
+ * 리뷰 필드별 검증/변환 규칙 (multipart 문자열 필드도 허용)
+ */
+const REVIEW_FIELD_RULES = {
+  rating(value) {
+    const rating = Number(value);
+    if (value === '' || value === null || !Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { error: 'rating must be an integer between 1 and 5' };
+    }
+    return { value: rating };
+  },
+
+  // 빈 값이면 제목 없음
+  title(value) {
+    const title = typeof value === 'string' ? value.trim() : null;
+    if (title === null || title.length > REVIEW_TITLE_MAX_LENGTH) {
+      return { error: `title must be at most ${REVIEW_TITLE_MAX_LENGTH} characters` };
+    }
+    return { value: title || null };
+  },
+
+  content(value) {
+    const content = typeof value === 'string' ? value.trim() : '';
+    if (content.length === 0 || content.length > REVIEW_CONTENT_MAX_LENGTH) {
+      return { error: `content must be between 1 and ${REVIEW_CONTENT_MAX_LENGTH} characters` };
+    }
+    return { value: content };
+  }
+};
+
+/**
+ * 리뷰 검수(JSON 본문) 필드별 검증/변환 규칙
+ */
+const MODERATION_FIELD_RULES = {
+  status(value) {
+    if (!['pending', 'approved', 'rejected'].includes(value)) {
+      return { error: 'status must be one of: pending, approved, rejected' };
+    }
+    return { value };
+  },
+
+  note(value) {
+    if (value === null) {
+      return { value: null };
+    }
+    const note = typeof value === 'string' ? value.trim() : null;
+    if (note === null || note.length > MODERATION_NOTE_MAX_LENGTH) {
+      return { error: `note must be at most ${MODERATION_NOTE_MAX_LENGTH} characters` };
+    }
+    return { value: note || null };
+  }
+};
+
+/**
+ * 재고 입고/조정(JSON 본문) 필드별 검증/변환 규칙
+ */
+const STOCK_FIELD_RULES = {
+  // null이면 상품 재고, 아니면 옵션 재고
+  variant_id(value) {
+    if (value === null) {
+      return { value: null };
+    }
+    const variantId = Number(value);
+    if (value === '' || !Number.isInteger(variantId) || variantId < 1) {
+      return { error: 'variant_id must be a variant id or null' };
+    }
+    return { value: variantId };
+  },
+
+  type(value) {
+    if (!STOCK_ADJUSTMENT_TYPES.includes(value)) {
+      return { error: `type must be one of: ${STOCK_ADJUSTMENT_TYPES.join(', ')}` };
+    }
+    return { value };
+  },
+
+  // 증감 수량 (조정은 음수 가능, 0 불가)
+  quantity(value) {
+    const quantity = Number(value);
+    if (value === '' || value === null || !Number.isInteger(quantity) || quantity === 0 || Math.abs(quantity) > MAX_STOCK) {
+      return { error: `quantity must be a non-zero integer between -${MAX_STOCK} and ${MAX_STOCK}` };
+    }
+    return { value: quantity };
+  },
+
+  reason(value) {
+    if (value === null) {
+      return { value: null };
+    }
+    const reason = typeof value === 'string' ? value.trim() : null;
+    if (reason === null || reason.length > STOCK_REASON_MAX_LENGTH) {
+      return { error: `reason must be at most ${STOCK_REASON_MAX_LENGTH} characters` };
+    }
+    return { value: reason || null };
+  }
+};
+
+/**
+ * 이름에서 slug 생성 (영문/숫자만 사용, 없으면 빈 문자열)
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, SLUG_MAX_LENGTH);
+}
+
+/**
+ * 요청 본문에서 포함된 필드만 검증
+ * @param {Object} body - req.body
+ * @param {Object} rules - 필드별 규칙 (기본: 상품 필드)
+ * @returns {{ input: Object, errors: Array<{field: string, message: string}> }}
+ */
+function validateFields(body, rules = FIELD_RULES) {
+  const input = {};
+  const errors = [];
+
+  for (const field of Object.keys(rules)) {
+    if (!Object.prototype.hasOwnProperty.call(body, field) || body[field] === undefined) {
+      continue;
+    }
+
+    const result = rules[field](body[field]);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      input[field] = result.value;
+    }
+  }
+
+  return { input, errors };
+}
+
+/**
+ * 검증 실패 응답
+ */
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: 'VALIDATION_ERROR',
+    error: errors[0].message,
+    errors
+  });
+}
+
+/**
+ * 입력의 category(ID, slug 또는 이름)를 카테고리로 변환
+ * category는 카테고리 이름으로 바꾸고 category_id를 추가 (category가 없으면 그대로)
+ * @param {Object} input - 검증된 입력 (변경됨)
+ * @param {Function} lookup - 식별자 → categories 행 (기본: DB 조회)
+ * @returns {Promise<Object|null>} - 오류 ({ field, message }) 또는 null
+ */
+async function resolveProductCategory(input, lookup = findCategory) {
+  if (!('category' in input)) {
+    return null;
+  }
+
+  let category;
+  try {
+    category = await lookup(input.category);
+  } catch (err) {
+    if (err.code === 'AMBIGUOUS_CATEGORY') {
+      return { field: 'category', message: err.message };
+    }
+    throw err;
+  }
+  if (!category) {
+    return { field: 'category', message: `category not found: ${input.category}` };
+  }
+
+  input.category = category.name;
+  input.category_id = category.id;
+  return null;
+}
+
+/**
+ * 상품 등록 입력 기본값 적용
+ * description(기본 ''), category(기본 '기타'), stock(기본 0), status(기본 active)
+ * @param {Object} input - 검증된 입력
+ * @returns {Object}
+ */
+function applyProductDefaults(input) {
+  return {
+    sku: null,
+    description: '',
+    category: DEFAULT_CATEGORY,
+    stock: 0,
+    low_stock_threshold: null,
+    status: DEFAULT_STATUS,
+    ...input
+  };
+}
+
+/**
+ * 상품 등록 요청 검증 미들웨어
+ * name, price 필수 / sku, description, category, stock, low_stock_threshold, status 선택 (applyProductDefaults)
+ * category는 카테고리 ID, slug 또는 이름 (req.productInput에는 category_id와 카테고리 이름)
+ */
+async function validateProductCreate(req, res, next) {
+  try {
+    const { input, errors } = validateFields(req.body || {});
+
+    for (const field of ['name', 'price']) {
+      if (!(field in input) && !errors.some(error => error.field === field)) {
+        errors.push({ field, message: `${field} is required` });
+      }
+    }
+
+    const productInput = applyProductDefaults(input);
+    if (errors.length === 0) {
+      const categoryError = await resolveProductCategory(productInput);
+      if (categoryError) errors.push(categoryError);
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    req.productInput = productInput;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * 상품 수정 요청 검증 미들웨어
+ * 포함된 필드만 변경 (이미지 파일만 올리는 요청도 허용)
+ */
+async function validateProductUpdate(req, res, next) {
+  try {
+    const { input, errors } = validateFields(req.body || {});
+
+    if (errors.length === 0) {
+      const categoryError = await resolveProductCategory(input);
+      if (categoryError) errors.push(categoryError);
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const hasImages = Object.values(req.files || {}).some(files => files.length > 0);
+    if (Object.keys(input).length === 0 && !hasImages) {
+      return res.status(400).json({
+        success: false,
+        message: 'NO_CHANGES',
+        error: `At least one of ${PRODUCT_FIELDS.join(', ')}, image or images is required`
+      });
+    }
+
+    req.productInput = input;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * 상품 복구 요청 검증 미들웨어
+ * status(선택, 기본 draft)는 deleted를 제외한 상태
+ */
+function validateProductRestore(req, res, next) {
+  const { status } = req.body || {};
+
+  if (status === undefined) {
+    req.productInput = { status: 'draft' };
+    return next();
+  }
+
+  const result = FIELD_RULES.status(status);
+  if (result.error) {
+    return sendValidationError(res, [{ field: 'status', message: result.error }]);
+  }
+
+  req.productInput = { status: result.value };
+  next();
+}
+
+/**
+ * 일괄 가져오기 행 검증
+ * sku 필수, 나머지 상품 필드는 포함된 것만 검증 (CSV의 빈 칸은 '값 없음'으로 보고 건너뜀)
+ * 신규/기존 상품에 따른 필수 필드 확인은 서비스에서 수행
+ * @param {Object} record - CSV 행(헤더 → 문자열) 또는 JSON 객체
+ * @returns {{ input: Object, errors: Array<{field: string, message: string}> }}
+ */
+function validateImportRecord(record) {
+  const body = {};
+  for (const field of PRODUCT_FIELDS) {
+    if (record[field] !== '' && record[field] !== undefined) {
+      body[field] = record[field];
+    }
+  }
+
+  const { input, errors } = validateFields(body);
+  if (!input.sku && !errors.some(error => error.field === 'sku')) {
+    errors.push({ field: 'sku', message: 'sku is required' });
+  }
+  return { input, errors };
+}
+
+/**
+ * 카테고리 등록 요청 검증 미들웨어
+ * name 필수 / slug(기본: 이름에서 생성 — 영문/숫자가 없는 이름이면 필수), parent_id(기본 null),
+ * sort_order(기본 0), is_active(기본 true) 선택
+ */
+function validateCategoryCreate(req, res, next) {
+  const { input, errors } = validateFields(req.body || {}, CATEGORY_FIELD_RULES);
+
+  if (!('name' in input) && !errors.some(error => error.field === 'name')) {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+  if (!('slug' in input) && !errors.some(error => error.field === 'slug') && input.name) {
+    input.slug = slugify(input.name);
+    if (!input.slug) {
+      errors.push({ field: 'slug', message: 'slug is required when name has no latin letters or digits' });
+    }
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  req.categoryInput = {
+    parent_id: null,
+    sort_order: 0,
+    is_active: true,
+    ...input
+  };
+  next();
+}
+
+/**
+ * 카테고리 수정 요청 검증 미들웨어 (포함된 필드만 변경)
+ */
+function validateCategoryUpdate(req, res, next) {
+  const { input, errors } = validateFields(req.body || {}, CATEGORY_FIELD_RULES);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  if (Object.keys(input).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'NO_CHANGES',
+      error: `At least one of ${Object.keys(CATEGORY_FIELD_RULES).join(', ')} is required`
+    });
+  }
+
+  req.categoryInput = input;
+  next();
+}
+
+/**
+ * 상품 옵션 등록 요청 검증 미들웨어
+ * sku, name 필수 / options(기본 {}), price_delta(기본 0), stock(기본 0), is_active(기본 true), sort_order(기본 0) 선택
+ */
+function validateVariantCreate(req, res, next) {
+  const { input, errors } = validateFields(req.body || {}, VARIANT_FIELD_RULES);
+
+  for (const field of ['sku', 'name']) {
+    if (!(field in input) && !errors.some(error => error.field === field)) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  req.variantInput = {
+    options: {},
+    price_delta: 0,
+    stock: 0,
+    is_active: true,
+    sort_order: 0,
+    ...input
+  };
+  next();
+}
+
+/**
+ * 상품 옵션 수정 요청 검증 미들웨어 (포함된 필드만 변경)
+ */
+function validateVariantUpdate(req, res, next) {
+  const { input, errors } = validateFields(req.body || {}, VARIANT_FIELD_RULES);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  if (Object.keys(input).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'NO_CHANGES',
+      error: `At least one of ${Object.keys(VARIANT_FIELD_RULES).join(', ')} is required`
+    });
+  }
+
+  req.variantInput = input;
+  next();
+}
+
+/**
+ * 리뷰 작성 요청 검증 미들웨어 (rating, content 필수)
+ */
+function validateReviewCreate(req, res, next) {
+  const { input, errors } = validateFields(req.body || {}, REVIEW_FIELD_RULES);
+
+  for (const field of ['rating', 'content']) {
+    if (!(field in input) && !errors.some(error => error.field === field)) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  req.reviewInput = input;
+  next();
+}
+
+/**
+ * 리뷰 검수 요청 검증 미들웨어 (status 필수)
+ */
+function validateReviewModeration(req, res, next) {
+  const { input, errors } = validateFields(req.body || {}, MODERATION_FIELD_RULES);
+
+  if (!('status' in input) && !errors.some(error => error.field === 'status')) {
+    errors.push({ field: 'status', message: 'status is required' });
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  req.reviewInput = input;
+  next();
+}
+
+/**
+ * 재고 입고/조정 요청 검증 미들웨어
+ * type, quantity 필수 (restock은 양수만) / variant_id(기본 null), reason 선택
+ */
+function validateStockAdjustment(req, res, next) {
+  const { input, errors } = validateFields(req.body || {}, STOCK_FIELD_RULES);
+
+  for (const field of ['type', 'quantity']) {
+    if (!(field in input) && !errors.some(error => error.field === field)) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  }
+  if (input.type === 'restock' && input.quantity < 0) {
+    errors.push({ field: 'quantity', message: 'quantity must be positive for restock' });
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  req.stockInput = { variant_id: null, reason: null, ...input };
+  next();
+}
+
+export {
+  DEFAULT_CATEGORY,
+  PRODUCT_FIELDS,
+  applyProductDefaults,
+  resolveProductCategory,
+  validateProductCreate,
+  validateProductUpdate,
+  validateProductRestore,
+  validateImportRecord,
+  validateCategoryCreate,
+  validateCategoryUpdate,
+  validateVariantCreate,
+  validateVariantUpdate,
+  validateReviewCreate,
+  validateReviewModeration,
+  validateStockAdjustment
+};
@@ -0,0 +1,116 @@
+import express from "express";
+import {
+  listCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} from "../services/categoryService.js";
+import { validateCategoryCreate, validateCategoryUpdate } from "../middleware/validation.js";
+import { requireProductManager } from "../middleware/permissions.js";
+import { sendProductError } from "../utils/response.js";
+import { logAdminActivity } from "../../shared/auth.js";
+
+// /products/categories (/products/:id보다 먼저 마운트)
+const router = express.Router();
+
+/**
+ * GET /products/categories
+ * 활성 카테고리 트리 (children에 하위 카테고리, sort_order 순)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const categories = await listCategories();
+    return res.json({ success: true, categories });
+  } catch (err) {
+    return sendProductError(res, err, 'CATEGORIES ERROR');
+  }
+});
+
+/**
+ * GET /products/categories/admin
+ * 비활성 카테고리를 포함한 전체 트리 (products.manage 권한)
+ */
+router.get('/admin', requireProductManager, async (req, res) => {
+  try {
+    const categories = await listCategories({ includeInactive: true });
+    return res.json({ success: true, categories });
+  } catch (err) {
+    return sendProductError(res, err, 'ADMIN CATEGORIES ERROR');
+  }
+});
+
+/**
+ * GET /products/categories/:idOrSlug
+ * 카테고리 상세 (ID, slug 또는 이름) — path: 최상위부터의 경로, children: 하위 카테고리 트리
+ * 이 카테고리의 상품은 GET /products?category=:idOrSlug (하위 카테고리 상품 포함)
+ */
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const category = await getCategory(req.params.idOrSlug);
+    if (!category) return res.status(404).json({ success: false, message: 'CATEGORY_NOT_FOUND' });
+    return res.json({ success: true, category });
+  } catch (err) {
+    return sendProductError(res, err, 'GET CATEGORY ERROR');
+  }
+});
+
+/**
+ * POST /products/categories
+ * 카테고리 등록 (products.manage 권한)
+ * name 필수 / slug(기본: 이름에서 생성), parent_id, sort_order, is_active 선택
+ * 같은 상위 카테고리 안에서 이름이 중복되거나 slug가 중복이면 409 DUPLICATE_CATEGORY
+ */
+router.post('/', requireProductManager, validateCategoryCreate, async (req, res) => {
+  try {
+    const category = await createCategory(req.categoryInput);
+
+    await logAdminActivity(req.user.user_id, 'create_category', 'categories', category.id, req.categoryInput, req);
+
+    return res.status(201).json({ success: true, message: 'CATEGORY_CREATED', category });
+  } catch (err) {
+    return sendProductError(res, err, 'CREATE CATEGORY ERROR');
+  }
+});
+
+/**
+ * PATCH /products/categories/:id
+ * 카테고리 수정 (products.manage 권한, 포함된 필드만 변경)
+ * parent_id로 이동 (자신/하위 카테고리 아래로는 불가), 이름을 바꾸면 상품의 카테고리 이름도 변경
+ */
+router.patch('/:id', requireProductManager, validateCategoryUpdate, async (req, res) => {
+  try {
+    const { previous, category } = await updateCategory(req.params.id, req.categoryInput);
+
+    await logAdminActivity(req.user.user_id, 'update_category', 'categories', category.id, {
+      previous,
+      changes: req.categoryInput
+    }, req);
+
+    return res.json({ success: true, message: 'CATEGORY_UPDATED', category });
+  } catch (err) {
+    return sendProductError(res, err, 'UPDATE CATEGORY ERROR');
+  }
+});
+
+/**
+ * DELETE /products/categories/:id
+ * 카테고리 삭제 (products.manage 권한)
+ * 하위 카테고리나 상품이 있으면 409 (숨기려면 is_active: false로 수정)
+ */
+router.delete('/:id', requireProductManager, async (req, res) => {
+  try {
+    const category = await deleteCategory(req.params.id);
+
+    await logAdminActivity(req.user.user_id, 'delete_category', 'categories', category.id, {
+      name: category.name,
+      slug: category.slug
+    }, req);
+
+    return res.json({ success: true, message: 'CATEGORY_DELETED' });
+  } catch (err) {
+    return sendProductError(res, err, 'DELETE CATEGORY ERROR');
+  }
+});
+
+export default router;
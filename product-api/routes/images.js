@@ -0,0 +1,146 @@
+import express from "express";
+import { getProduct } from "../services/productService.js";
+import {
+  listImages, prepareImages, addImages, createImageUploadUrl, confirmImageUpload, deleteImage, reorderImages
+} from "../services/imageService.js";
+import { imagesUpload, uploadedFiles } from "../middleware/upload.js";
+import { requireProductManager } from "../middleware/permissions.js";
+import { sendProductError } from "../utils/response.js";
+import { VIEWABLE_PRODUCT_STATUSES } from "../../shared/productStatus.js";
+import { logAdminActivity } from "../../shared/auth.js";
+
+// /products/:productId/images
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /products/:productId/images
+ * 상품 이미지 목록 (판매 중/단종 상품만, 첫 번째가 대표 이미지)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const product = await getProduct(req.params.productId, VIEWABLE_PRODUCT_STATUSES);
+    if (!product) return res.status(404).json({ success: false, message: 'PRODUCT_NOT_FOUND' });
+
+    const images = await listImages(product.id);
+    return res.json({ success: true, images, count: images.length });
+  } catch (err) {
+    return sendProductError(res, err, 'GET IMAGES ERROR');
+  }
+});
+
+/**
+ * POST /products/:productId/images
+ * 이미지 추가 (products.manage 권한, multipart images 필드, 갤러리 마지막에 추가)
+ * JPEG/PNG/GIF/WebP만 허용 (MIME, 확장자, 파일 시그니처 모두 확인)
+ */
+router.post('/', requireProductManager, imagesUpload, async (req, res) => {
+  try {
+    const files = uploadedFiles(req, 'images');
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, message: 'MISSING_FIELDS', error: 'images is required' });
+    }
+
+    const prepared = await prepareImages(files);
+    const images = await addImages(req.params.productId, prepared);
+
+    await logAdminActivity(req.user.user_id, 'add_product_images', 'products', req.params.productId, {
+      count: prepared.length
+    }, req);
+
+    return res.status(201).json({ success: true, message: 'IMAGES_ADDED', images });
+  } catch (err) {
+    return sendProductError(res, err, 'ADD IMAGES ERROR');
+  }
+});
+
+/**
+ * POST /products/:productId/images/upload-url
+ * 브라우저 직접 업로드 URL 발급 (products.manage 권한)
+ * body: { file_name, content_type, size? }
+ * 응답의 upload_url에 fields와 파일(마지막 file 필드)을 multipart POST로 올린 뒤 POST /confirm 호출
+ * 업로드 크기는 MAX_IMAGE_SIZE 이하로 제한되고, 확인하지 않은 업로드는 PRODUCT_PENDING_UPLOAD_TTL 후 삭제
+ */
+router.post('/upload-url', requireProductManager, async (req, res) => {
+  try {
+    const { file_name, content_type, size } = req.body || {};
+    if (!file_name || !content_type) {
+      return res.status(400).json({ success: false, message: 'MISSING_FIELDS', error: 'file_name and content_type are required' });
+    }
+
+    const upload = await createImageUploadUrl(req.params.productId, { file_name, content_type, size });
+    return res.status(201).json({ success: true, upload });
+  } catch (err) {
+    return sendProductError(res, err, 'CREATE UPLOAD URL ERROR');
+  }
+});
+
+/**
+ * POST /products/:productId/images/confirm
+ * 직접 업로드한 이미지 등록 (products.manage 권한, 파일 내용 검증 후 갤러리에 추가)
+ * body: { key, primary? } - primary가 true면 기존 대표 이미지를 교체
+ */
+router.post('/confirm', requireProductManager, async (req, res) => {
+  try {
+    const { key, primary } = req.body || {};
+    if (!key) {
+      return res.status(400).json({ success: false, message: 'MISSING_FIELDS', error: 'key is required' });
+    }
+
+    const images = await confirmImageUpload(req.params.productId, key, { replacePrimary: primary === true });
+
+    await logAdminActivity(req.user.user_id, 'add_product_images', 'products', req.params.productId, {
+      count: 1,
+      direct_upload: true,
+      primary: primary === true
+    }, req);
+
+    return res.status(201).json({ success: true, message: 'IMAGES_ADDED', images });
+  } catch (err) {
+    return sendProductError(res, err, 'CONFIRM UPLOAD ERROR');
+  }
+});
+
+/**
+ * PUT /products/:productId/images/order
+ * 이미지 순서 변경 (products.manage 권한)
+ * body.image_ids: 상품의 모든 이미지 ID (첫 번째가 대표 이미지)
+ */
+router.put('/order', requireProductManager, async (req, res) => {
+  try {
+    const { image_ids } = req.body || {};
+    if (!Array.isArray(image_ids) || image_ids.length === 0 || !image_ids.every(id => Number.isInteger(Number(id)))) {
+      return res.status(400).json({ success: false, message: 'VALIDATION_ERROR', error: 'image_ids must be a non-empty array of image ids' });
+    }
+
+    const images = await reorderImages(req.params.productId, image_ids);
+
+    await logAdminActivity(req.user.user_id, 'reorder_product_images', 'products', req.params.productId, {
+      image_ids
+    }, req);
+
+    return res.json({ success: true, message: 'IMAGES_REORDERED', images });
+  } catch (err) {
+    return sendProductError(res, err, 'REORDER IMAGES ERROR');
+  }
+});
+
+/**
+ * DELETE /products/:productId/images/:imageId
+ * 이미지 삭제 (products.manage 권한, 원본/썸네일 파일도 저장소에서 삭제)
+ */
+router.delete('/:imageId', requireProductManager, async (req, res) => {
+  try {
+    const image = await deleteImage(req.params.productId, req.params.imageId);
+
+    await logAdminActivity(req.user.user_id, 'delete_product_image', 'products', req.params.productId, {
+      image_id: image.id,
+      url: image.url
+    }, req);
+
+    return res.json({ success: true, message: 'IMAGE_DELETED' });
+  } catch (err) {
+    return sendProductError(res, err, 'DELETE IMAGE ERROR');
+  }
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import express from "express";
+import { getStockHistory, adjustStock } from "../services/inventoryService.js";
+import { validateStockAdjustment } from "../middleware/validation.js";
+import { requireInventoryManager } from "../middleware/permissions.js";
+import { sendProductError } from "../utils/response.js";
+import { logAdminActivity } from "../../shared/auth.js";
+
+// /products/:productId/stock
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /products/:productId/stock/history
+ * 재고 이력 (inventory.manage 권한, 최신순)
+ * 입고, 주문 차감(sale), 주문 취소/환불 반환(cancellation), 수동 조정 — 변경한 사용자와 주문/결제 포함
+ * query: variant_id (옵션 ID 또는 none), type (쉼표 구분), page, limit
+ */
+router.get('/history', requireInventoryManager, async (req, res) => {
+  try {
+    const result = await getStockHistory(req.params.productId, req.query);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendProductError(res, err, 'STOCK HISTORY ERROR');
+  }
+});
+
+/**
+ * POST /products/:productId/stock/adjustments
+ * 입고/재고 조정 (inventory.manage 권한)
+ * body: { type: restock|adjustment, quantity: 증감 수량 (restock은 양수), variant_id?, reason? }
+ * 재고가 0 미만이 되면 409 INSUFFICIENT_STOCK
+ */
+router.post('/adjustments', requireInventoryManager, validateStockAdjustment, async (req, res) => {
+  try {
+    const movement = await adjustStock(req.params.productId, req.stockInput, req.user.user_id);
+
+    await logAdminActivity(req.user.user_id, 'adjust_product_stock', 'products', req.params.productId, movement, req);
+
+    return res.status(201).json({ success: true, message: 'STOCK_ADJUSTED', movement });
+  } catch (err) {
+    return sendProductError(res, err, 'ADJUST STOCK ERROR');
+  }
+});
+
+export default router;
@@ -1,90 +1,284 @@
 import express from "express";
-import { db } from "../../shared/db.js";
-import multer from "multer";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import {
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  discardProduct,
+  restoreProduct
+} from "../services/productService.js";
+import { listImages, prepareImages, addImages } from "../services/imageService.js";
+import { productImageUpload, importFileUpload, uploadedFiles } from "../middleware/upload.js";
+import { validateProductCreate, validateProductUpdate, validateProductRestore } from "../middleware/validation.js";
+import { listVariants } from "../services/variantService.js";
+import { importProducts, exportProducts } from "../services/bulkProductService.js";
+import { requireProductManager } from "../middleware/permissions.js";
+import { sendProductError } from "../utils/response.js";
+import { VIEWABLE_PRODUCT_STATUSES } from "../../shared/productStatus.js";
+import { logAdminActivity } from "../../shared/auth.js";
+import { notifyLowStock } from "../../shared/stockAlerts.js";
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
-const s3 = new S3Client({ region: "ap-northeast-2" });
-const S3_BUCKET = "sb3-u1-web-bucket";
-const S3_FOLDER = "images";
 
+/**
+ * GET /products
+ * 상품 목록 — 판매 중(active) 상품만 (page/limit 페이지네이션, category/min_price/max_price/in_stock 필터,
+ * sort: newest|price_asc|price_desc|name_asc|name_desc|rating_desc|review_count_desc|relevance, q: 상품명/설명 전문 검색)
+ * category는 카테고리 ID, slug 또는 이름 — 하위 카테고리 상품 포함 (GET /products/categories)
+ * 전체 개수와 카테고리별 개수(facets) 포함
+ */
 router.get('/', async (req, res) => {
   try {
-    const [rows] = await db.query('SELECT * FROM products ORDER BY id DESC');
-    return res.json({ success: true, products: rows, count: rows.length });
+    const result = await listProducts(req.query);
+    return res.json({ success: true, ...result, count: result.products.length });
   } catch (err) {
-    console.error('PRODUCTS ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    return sendProductError(res, err, 'PRODUCTS ERROR');
   }
 });
 
-router.get('/:id', async (req, res) => {
+/**
+ * GET /products/admin
+ * 관리자 상품 목록 (products.manage 권한)
+ * GET /products와 같은 필터 + status (쉼표 구분, 기본: deleted 제외 전체)
+ */
+router.get('/admin', requireProductManager, async (req, res) => {
   try {
-    const { id } = req.params;
-    const [rows] = await db.query('SELECT * FROM products WHERE id = ?', [id]);
-    if (rows.length === 0) return res.status(404).json({ success: false, message: 'PRODUCT_NOT_FOUND' });
-    return res.json({ success: true, product: rows[0] });
+    const result = await listProducts(req.query, { includeStatuses: true });
+    return res.json({ success: true, ...result, count: result.products.length });
   } catch (err) {
-    console.error('GET PRODUCT ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    return sendProductError(res, err, 'ADMIN PRODUCTS ERROR');
   }
 });
 
-router.post('/', upload.single('image'), async (req, res) => {
+/**
+ * GET /products/export
+ * 상품 내보내기 (products.manage 권한, 가져오기와 같은 형식의 파일로 다운로드)
+ * format: csv(기본)|json, status: 쉼표 구분 (기본: deleted 제외 전체)
+ * 전체를 메모리에 올리지 않고 배치 단위로 조회하며 응답에 바로 씀
+ */
+router.get('/export', requireProductManager, async (req, res) => {
+  let exported;
   try {
-    const { name, description, category, price, stock } = req.body;
-    if (!name || !price) return res.status(400).json({ success: false, message: '상품명과 가격은 필수입니다.' });
-    let imageUrl = null;
-    if (req.file) {
-      const timestamp = Date.now();
-      const safeFileName = req.file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-      const key = `${S3_FOLDER}/${timestamp}-${safeFileName}`;
-      const command = new PutObjectCommand({ Bucket: S3_BUCKET, Key: key, Body: req.file.buffer, ContentType: req.file.mimetype });
-      await s3.send(command);
-      imageUrl = `https://${S3_BUCKET}.s3.${'ap-northeast-2'}.amazonaws.com/${key}`;
+    exported = exportProducts(req.query);
+  } catch (err) {
+    return sendProductError(res, err, 'EXPORT PRODUCTS ERROR');
+  }
+
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  res.setHeader('Content-Type', exported.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${exported.format}"`);
+
+  try {
+    for await (const chunk of exported.chunks) {
+      if (res.destroyed) break;
+      // 클라이언트가 느리면 버퍼가 비워질 때까지 다음 배치 조회를 미룸
+      if (!res.write(chunk)) {
+        await new Promise(resolve => res.once('drain', resolve).once('close', resolve));
+      }
     }
-    const [result] = await db.query(`INSERT INTO products (name, description, category, price, stock, image_url) VALUES (?, ?, ?, ?, ?, ?)`, [name, description || '', category || '기타', parseFloat(price), parseInt(stock) || 0, imageUrl]);
-    return res.status(201).json({ success: true, message: 'PRODUCT_CREATED', product_id: result.insertId, image_url: imageUrl });
+    res.end();
   } catch (err) {
-    console.error('CREATE PRODUCT ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    // 이미 응답을 보내기 시작했으므로 JSON 에러 대신 연결을 끊어 불완전한 파일임을 알림
+    console.error('EXPORT PRODUCTS ERROR:', err);
+    res.destroy(err);
   }
 });
 
-router.put('/:id', upload.single('image'), async (req, res) => {
+/**
+ * POST /products/import
+ * 상품 일괄 가져오기 (products.manage 권한, multipart file 필드: .csv 또는 .json)
+ * 컬럼: sku(필수), name, description, category(ID, slug 또는 이름), price, stock, low_stock_threshold, status — 내보내기 파일을 그대로 사용 가능
+ * SKU가 없으면 등록 (name, price 필수), 있으면 포함된 필드만 수정 (CSV 빈 칸은 변경 안 함)
+ * dry_run=true면 검증 결과만 반환, 아니면 모든 행이 유효할 때만 한 트랜잭션으로 반영 (오류 시 422)
+ */
+router.post('/import', requireProductManager, importFileUpload, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, description, category, price, stock } = req.body;
-    const [existing] = await db.query('SELECT * FROM products WHERE id = ?', [id]);
-    if (existing.length === 0) return res.status(404).json({ success: false, message: 'PRODUCT_NOT_FOUND' });
-    let imageUrl = existing[0].image_url;
-    if (req.file) {
-      const timestamp = Date.now();
-      const safeFileName = req.file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-      const key = `${S3_FOLDER}/${timestamp}-${safeFileName}`;
-      const command = new PutObjectCommand({ Bucket: S3_BUCKET, Key: key, Body: req.file.buffer, ContentType: req.file.mimetype });
-      await s3.send(command);
-      imageUrl = `https://${S3_BUCKET}.s3.${'ap-northeast-2'}.amazonaws.com/${key}`;
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'MISSING_FIELDS', error: 'file is required' });
     }
-    await db.query(`UPDATE products SET name = ?, description = ?, category = ?, price = ?, stock = ?, image_url = ?, updated_at = NOW() WHERE id = ?`, [name || existing[0].name, description || existing[0].description, category || existing[0].category, parseFloat(price) || existing[0].price, parseInt(stock) || existing[0].stock, imageUrl, id]);
-    return res.json({ success: true, message: 'PRODUCT_UPDATED', image_url: imageUrl });
+
+    const dryRunValue = req.query.dry_run ?? req.body?.dry_run;
+    const dryRun = dryRunValue === 'true' || dryRunValue === '1';
+    const report = await importProducts(req.file, { dryRun, actorId: req.user.user_id });
+
+    if (!dryRun && !report.applied) {
+      return res.status(422).json({
+        success: false,
+        message: 'IMPORT_VALIDATION_FAILED',
+        error: `${report.summary.failed} row(s) failed validation; nothing was imported`,
+        report
+      });
+    }
+
+    if (report.applied) {
+      // 상품별 변경 기록 (단건 등록/수정과 같은 action), 이어서 가져오기 요약 기록
+      for (const row of report.rows) {
+        if (row.action === 'create') {
+          await logAdminActivity(req.user.user_id, 'create_product', 'products', row.product_id, {
+            ...row.changes,
+            import_file: req.file.originalname
+          }, req);
+        } else if (row.action === 'update') {
+          await logAdminActivity(req.user.user_id, 'update_product', 'products', row.product_id, {
+            previous: row.previous,
+            changes: row.changes,
+            import_file: req.file.originalname
+          }, req);
+        }
+      }
+
+      await logAdminActivity(req.user.user_id, 'import_products', 'products', null, {
+        file: req.file.originalname,
+        ...report.summary
+      }, req);
+    }
+
+    return res.json({ success: true, message: dryRun ? 'IMPORT_VALIDATED' : 'PRODUCTS_IMPORTED', report });
   } catch (err) {
-    console.error('UPDATE PRODUCT ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    return sendProductError(res, err, 'IMPORT PRODUCTS ERROR');
   }
 });
 
-router.delete('/:id', async (req, res) => {
+/**
+ * GET /products/:id
+ * 상품 상세 (판매 중/단종 상품만, 그 외 상태는 404)
+ * variants: 판매 중인 옵션 (SKU, 단가 = 상품 가격 + price_delta, 옵션별 재고)
+ * option_groups: 옵션 이름별 값 목록 (예: { color: ['블랙', '화이트'] })
+ * images: 이미지 갤러리 (원본/썸네일 URL, 첫 번째가 대표 이미지)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await getProduct(req.params.id, VIEWABLE_PRODUCT_STATUSES);
+    if (!product) return res.status(404).json({ success: false, message: 'PRODUCT_NOT_FOUND' });
+    const { variants, option_groups } = await listVariants(product);
+    const images = await listImages(product.id);
+    return res.json({ success: true, product: { ...product, variants, option_groups, images } });
+  } catch (err) {
+    return sendProductError(res, err, 'GET PRODUCT ERROR');
+  }
+});
+
+/**
+ * POST /products
+ * 상품 등록 (products.manage 권한)
+ * name, price 필수 / category는 카테고리 ID, slug 또는 이름 (기본 '기타', middleware/validation.js)
+ * image(대표 이미지) + images(추가 이미지) 업로드 — 형식 검증, 썸네일 생성 후 저장
+ */
+router.post('/', requireProductManager, productImageUpload, validateProductCreate, async (req, res) => {
   try {
-    const { id } = req.params;
-    const [existing] = await db.query('SELECT * FROM products WHERE id = ?', [id]);
-    if (existing.length === 0) return res.status(404).json({ success: false, message: 'PRODUCT_NOT_FOUND' });
-    await db.query('DELETE FROM products WHERE id = ?', [id]);
+    const input = req.productInput;
+
+    // 상품을 만들기 전에 이미지부터 검증 (잘못된 파일이면 아무것도 저장하지 않음)
+    const prepared = await prepareImages([...uploadedFiles(req, 'image'), ...uploadedFiles(req, 'images')]);
+    const productId = await createProduct(input, null, { actorId: req.user.user_id });
+
+    let images;
+    try {
+      images = await addImages(productId, prepared);
+    } catch (err) {
+      // 이미지 저장 실패 시 방금 만든 상품도 제거 (아직 주문에서 참조할 수 없음)
+      await discardProduct(productId);
+      throw err;
+    }
+
+    await logAdminActivity(req.user.user_id, 'create_product', 'products', productId, {
+      ...input,
+      image_ids: images.map(image => image.id)
+    }, req);
+
+    return res.status(201).json({
+      success: true,
+      message: 'PRODUCT_CREATED',
+      product_id: productId,
+      image_url: images[0]?.url ?? null,
+      images
+    });
+  } catch (err) {
+    return sendProductError(res, err, 'CREATE PRODUCT ERROR');
+  }
+});
+
+/**
+ * PATCH /products/:id (PUT도 동일하게 처리)
+ * 상품 수정 (products.manage 권한)
+ * 요청에 포함된 필드만 변경 — 빈 description, stock 0도 그대로 반영
+ * stock 변경은 재고 이력에 adjustment로 기록 (입고/사유 기록은 POST /products/:id/stock/adjustments)
+ * image는 대표 이미지 교체 (기존 파일은 저장소에서 삭제), images는 갤러리에 추가
+ */
+const handleProductUpdate = async (req, res) => {
+  try {
+    const primary = await prepareImages(uploadedFiles(req, 'image'));
+    const additional = await prepareImages(uploadedFiles(req, 'images'));
+
+    const result = await updateProduct(req.params.id, req.productInput, { actorId: req.user.user_id });
+    notifyLowStock(result.stockAlerts);
+
+    let images = null;
+    if (primary.length > 0) {
+      images = await addImages(req.params.id, primary, { replacePrimary: true });
+    }
+    if (additional.length > 0) {
+      images = await addImages(req.params.id, additional);
+    }
+
+    await logAdminActivity(req.user.user_id, 'update_product', 'products', req.params.id, {
+      previous: result.previous,
+      changes: result.changes,
+      image_ids: images ? images.map(image => image.id) : undefined
+    }, req);
+
+    return res.json({
+      success: true,
+      message: 'PRODUCT_UPDATED',
+      changes: result.changes,
+      image_url: images ? images[0]?.url ?? null : undefined,
+      images: images ?? undefined
+    });
+  } catch (err) {
+    return sendProductError(res, err, 'UPDATE PRODUCT ERROR');
+  }
+};
+
+router.patch('/:id', requireProductManager, productImageUpload, validateProductUpdate, handleProductUpdate);
+router.put('/:id', requireProductManager, productImageUpload, validateProductUpdate, handleProductUpdate);
+
+/**
+ * DELETE /products/:id
+ * 상품 소프트 삭제 (products.manage 권한)
+ * 주문 내역이 상품을 계속 참조할 수 있도록 행은 남기고 status만 deleted로 변경
+ */
+router.delete('/:id', requireProductManager, async (req, res) => {
+  try {
+    const product = await deleteProduct(req.params.id);
+
+    await logAdminActivity(req.user.user_id, 'delete_product', 'products', req.params.id, {
+      name: product.name,
+      previous_status: product.status
+    }, req);
+
     return res.json({ success: true, message: 'PRODUCT_DELETED' });
   } catch (err) {
-    console.error('DELETE PRODUCT ERROR:', err);
-    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+    return sendProductError(res, err, 'DELETE PRODUCT ERROR');
+  }
+});
+
+/**
+ * POST /products/:id/restore
+ * 삭제된 상품 복구 (products.manage 권한)
+ * body.status로 복구 후 상태 지정 (기본 draft)
+ */
+router.post('/:id/restore', requireProductManager, validateProductRestore, async (req, res) => {
+  try {
+    const result = await restoreProduct(req.params.id, req.productInput.status);
+
+    await logAdminActivity(req.user.user_id, 'restore_product', 'products', req.params.id, {
+      status: result.status
+    }, req);
+
+    return res.json({ success: true, message: 'PRODUCT_RESTORED', status: result.status });
+  } catch (err) {
+    return sendProductError(res, err, 'RESTORE PRODUCT ERROR');
   }
 });
 
@@ -0,0 +1,47 @@
+import express from "express";
+import { listReviewsForModeration, moderateReview } from "../services/reviewService.js";
+import { validateReviewModeration } from "../middleware/validation.js";
+import { requireReviewModerator } from "../middleware/permissions.js";
+import { sendProductError } from "../utils/response.js";
+import { logAdminActivity } from "../../shared/auth.js";
+
+// /products/reviews (/products/:id보다 먼저 마운트)
+const router = express.Router();
+
+/**
+ * GET /products/reviews
+ * 검수용 리뷰 목록 (reviews.moderate 권한)
+ * query: status (pending(기본)|approved|rejected), product_id, page, limit
+ */
+router.get('/', requireReviewModerator, async (req, res) => {
+  try {
+    const result = await listReviewsForModeration(req.query);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendProductError(res, err, 'MODERATION REVIEWS ERROR');
+  }
+});
+
+/**
+ * PATCH /products/reviews/:reviewId
+ * 리뷰 검수 (reviews.moderate 권한)
+ * body: { status: approved|rejected|pending, note? } - 승인된 리뷰만 공개 및 평균 별점에 반영
+ */
+router.patch('/:reviewId', requireReviewModerator, validateReviewModeration, async (req, res) => {
+  try {
+    const { previous_status, review } = await moderateReview(req.params.reviewId, req.reviewInput, req.user.user_id);
+
+    await logAdminActivity(req.user.user_id, 'moderate_product_review', 'product_reviews', review.id, {
+      product_id: review.product_id,
+      previous_status,
+      status: review.status,
+      note: review.moderation_note
+    }, req);
+
+    return res.json({ success: true, message: 'REVIEW_MODERATED', review });
+  } catch (err) {
+    return sendProductError(res, err, 'MODERATE REVIEW ERROR');
+  }
+});
+
+export default router;
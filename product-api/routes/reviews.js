@@ -0,0 +1,103 @@
+import express from "express";
+import {
+  listReviews,
+  createReview,
+  deleteReview,
+  setHelpfulVote
+} from "../services/reviewService.js";
+import { getProduct } from "../services/productService.js";
+import { prepareImages } from "../services/imageService.js";
+import { reviewImagesUpload, uploadedFiles } from "../middleware/upload.js";
+import { validateReviewCreate } from "../middleware/validation.js";
+import { REVIEW_MODERATE_PERMISSION } from "../middleware/permissions.js";
+import { sendProductError } from "../utils/response.js";
+import { VIEWABLE_PRODUCT_STATUSES } from "../../shared/productStatus.js";
+import { authenticate, hasPermission, logAdminActivity } from "../../shared/auth.js";
+
+// /products/:productId/reviews
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /products/:productId/reviews
+ * 승인된 리뷰 목록과 별점 요약 (판매 중/단종 상품만)
+ * query: sort (newest|helpful|rating_desc|rating_asc), rating (1-5), page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const product = await getProduct(req.params.productId, VIEWABLE_PRODUCT_STATUSES);
+    if (!product) return res.status(404).json({ success: false, message: 'PRODUCT_NOT_FOUND' });
+
+    const result = await listReviews(product.id, req.query);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendProductError(res, err, 'GET REVIEWS ERROR');
+  }
+});
+
+/**
+ * POST /products/:productId/reviews
+ * 리뷰 작성 (로그인 필요, 해당 상품을 결제한 주문이 있어야 함, 상품당 1개)
+ * multipart: rating (1-5), content, title?, images (최대 5개)
+ * 작성된 리뷰는 검수(pending) 후 공개
+ */
+router.post('/', authenticate, reviewImagesUpload, validateReviewCreate, async (req, res) => {
+  try {
+    const prepared = await prepareImages(uploadedFiles(req, 'images'));
+    const review = await createReview(req.params.productId, req.user.user_id, req.reviewInput, prepared);
+
+    return res.status(201).json({ success: true, message: 'REVIEW_SUBMITTED', review });
+  } catch (err) {
+    return sendProductError(res, err, 'CREATE REVIEW ERROR');
+  }
+});
+
+/**
+ * DELETE /products/:productId/reviews/:reviewId
+ * 리뷰 삭제 (작성자 또는 reviews.moderate 권한)
+ */
+router.delete('/:reviewId', authenticate, async (req, res) => {
+  try {
+    const isManager = await hasPermission(req.user.user_id, REVIEW_MODERATE_PERMISSION);
+    const review = await deleteReview(req.params.productId, req.params.reviewId, req.user.user_id, isManager);
+
+    // 관리자가 다른 사용자의 리뷰를 삭제한 경우만 기록
+    if (String(review.user_id) !== String(req.user.user_id)) {
+      await logAdminActivity(req.user.user_id, 'delete_product_review', 'product_reviews', review.id, {
+        product_id: review.product_id,
+        author_id: review.user_id
+      }, req);
+    }
+
+    return res.json({ success: true, message: 'REVIEW_DELETED' });
+  } catch (err) {
+    return sendProductError(res, err, 'DELETE REVIEW ERROR');
+  }
+});
+
+/**
+ * POST /products/:productId/reviews/:reviewId/helpful
+ * "도움이 돼요" 투표 (로그인 필요, 중복 투표는 무시, 자신의 리뷰는 불가)
+ */
+router.post('/:reviewId/helpful', authenticate, async (req, res) => {
+  try {
+    const helpfulCount = await setHelpfulVote(req.params.productId, req.params.reviewId, req.user.user_id, true);
+    return res.json({ success: true, helpful_count: helpfulCount });
+  } catch (err) {
+    return sendProductError(res, err, 'REVIEW HELPFUL ERROR');
+  }
+});
+
+/**
+ * DELETE /products/:productId/reviews/:reviewId/helpful
+ * "도움이 돼요" 투표 취소
+ */
+router.delete('/:reviewId/helpful', authenticate, async (req, res) => {
+  try {
+    const helpfulCount = await setHelpfulVote(req.params.productId, req.params.reviewId, req.user.user_id, false);
+    return res.json({ success: true, helpful_count: helpfulCount });
+  } catch (err) {
+    return sendProductError(res, err, 'REVIEW HELPFUL ERROR');
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+import express from "express";
+import { getStorage, verifyLocalUpload, LOCAL_STORAGE_DIR } from "../services/storage.js";
+import { directImageUpload } from "../middleware/upload.js";
+
+// 로컬 저장소 (STORAGE_DRIVER=local) 파일 제공 및 직접 업로드 — app.js가 LOCAL_MOUNT_PATH에 마운트
+const router = express.Router();
+
+/**
+ * POST /uploads/direct
+ * 서명된 폼으로 파일 직접 업로드 (S3 presigned POST와 같은 방식)
+ * multipart 필드: key, Content-Type, max_bytes, expires, signature, file (마지막)
+ * 폼 필드는 POST /products/:productId/images/upload-url에서 발급
+ */
+router.post('/direct', directImageUpload, async (req, res) => {
+  try {
+    const { key, 'Content-Type': contentType, max_bytes: maxBytes, expires, signature } = req.body || {};
+
+    if (!verifyLocalUpload({ key, contentType, maxBytes, expires, signature })) {
+      return res.status(403).json({ success: false, message: 'INVALID_UPLOAD_SIGNATURE' });
+    }
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({ success: false, message: 'EMPTY_UPLOAD' });
+    }
+    if (req.file.size > Number(maxBytes)) {
+      return res.status(400).json({ success: false, message: 'INVALID_UPLOAD', error: `File must be at most ${maxBytes} bytes` });
+    }
+
+    await getStorage().put(key, req.file.buffer, contentType);
+    return res.json({ success: true, key });
+  } catch (err) {
+    console.error('DIRECT UPLOAD ERROR:', err);
+    return res.status(500).json({ success: false, message: 'SERVER_ERROR', error: err.message });
+  }
+});
+
+// 저장된 파일 제공 (브라우저가 내용을 다른 형식으로 해석하지 않도록 nosniff)
+router.use(express.static(LOCAL_STORAGE_DIR, {
+  index: false,
+  dotfiles: 'deny',
+  setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+}));
+
+export default router;
@@ -0,0 +1,93 @@
+import express from "express";
+import { getProduct } from "../services/productService.js";
+import { listVariants, createVariant, updateVariant, deactivateVariant } from "../services/variantService.js";
+import { validateVariantCreate, validateVariantUpdate } from "../middleware/validation.js";
+import { requireProductManager } from "../middleware/permissions.js";
+import { sendProductError } from "../utils/response.js";
+import { logAdminActivity } from "../../shared/auth.js";
+import { notifyLowStock } from "../../shared/stockAlerts.js";
+
+// /products/:productId/variants
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /products/:productId/variants
+ * 상품 옵션 전체 조회 (비활성 옵션 포함, products.manage 권한)
+ * 일반 사용자용 옵션 목록은 GET /products/:id의 variants
+ */
+router.get('/', requireProductManager, async (req, res) => {
+  try {
+    const product = await getProduct(req.params.productId);
+    if (!product) return res.status(404).json({ success: false, message: 'PRODUCT_NOT_FOUND' });
+
+    const result = await listVariants(product, { includeInactive: true });
+    return res.json({ success: true, ...result, count: result.variants.length });
+  } catch (err) {
+    return sendProductError(res, err, 'GET VARIANTS ERROR');
+  }
+});
+
+/**
+ * POST /products/:productId/variants
+ * 옵션 등록 (products.manage 권한)
+ * SKU 중복이면 409 DUPLICATE_SKU
+ */
+router.post('/', requireProductManager, validateVariantCreate, async (req, res) => {
+  try {
+    const variant = await createVariant(req.params.productId, req.variantInput, { actorId: req.user.user_id });
+
+    await logAdminActivity(req.user.user_id, 'create_product_variant', 'products', req.params.productId, {
+      variant_id: variant.id,
+      ...req.variantInput
+    }, req);
+
+    return res.status(201).json({ success: true, message: 'VARIANT_CREATED', variant });
+  } catch (err) {
+    return sendProductError(res, err, 'CREATE VARIANT ERROR');
+  }
+});
+
+/**
+ * PATCH /products/:productId/variants/:variantId
+ * 옵션 수정 (products.manage 권한, 요청에 포함된 필드만 변경)
+ */
+router.patch('/:variantId', requireProductManager, validateVariantUpdate, async (req, res) => {
+  try {
+    const result = await updateVariant(req.params.productId, req.params.variantId, req.variantInput, {
+      actorId: req.user.user_id
+    });
+    notifyLowStock(result.stockAlerts);
+
+    await logAdminActivity(req.user.user_id, 'update_product_variant', 'products', req.params.productId, {
+      variant_id: result.variant.id,
+      previous: result.previous,
+      changes: req.variantInput
+    }, req);
+
+    return res.json({ success: true, message: 'VARIANT_UPDATED', variant: result.variant });
+  } catch (err) {
+    return sendProductError(res, err, 'UPDATE VARIANT ERROR');
+  }
+});
+
+/**
+ * DELETE /products/:productId/variants/:variantId
+ * 옵션 비활성화 (products.manage 권한)
+ * 주문 내역이 옵션을 계속 참조할 수 있도록 행은 유지
+ */
+router.delete('/:variantId', requireProductManager, async (req, res) => {
+  try {
+    const variant = await deactivateVariant(req.params.productId, req.params.variantId, { actorId: req.user.user_id });
+
+    await logAdminActivity(req.user.user_id, 'deactivate_product_variant', 'products', req.params.productId, {
+      variant_id: variant.id,
+      sku: variant.sku
+    }, req);
+
+    return res.json({ success: true, message: 'VARIANT_DEACTIVATED', variant });
+  } catch (err) {
+    return sendProductError(res, err, 'DELETE VARIANT ERROR');
+  }
+});
+
+export default router;
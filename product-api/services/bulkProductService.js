@@ -0,0 +1,338 @@
+/**
+ * 상품 일괄 가져오기/내보내기 서비스
+ * 가져오기: CSV/JSON 파일의 각 행을 SKU 기준으로 upsert (없으면 등록, 있으면 포함된 필드만 수정)
+ *   - 모든 행을 먼저 검증하고, 하나라도 오류가 있으면 아무것도 반영하지 않음
+ *   - dry run은 검증 결과(행별 처리 예정/오류)만 반환
+ *   - 반영은 하나의 트랜잭션 (중간에 실패하면 전체 롤백)
+ *   - 재고 변경은 재고 이력에 reason 'import'로 기록, 재고 부족 알림은 커밋 후 발송
+ * 내보내기: 가져오기와 같은 형식, id 순 배치 조회로 전체 카탈로그를 메모리에 올리지 않고 스트리밍
+ */
+
+import { db } from '../../shared/db.js';
+import { DELETED_PRODUCT_STATUS } from '../../shared/productStatus.js';
+import { createCategoryLookup } from '../../shared/categories.js';
+import { notifyLowStock } from '../../shared/stockAlerts.js';
+import {
+  createProductError,
+  parseStatusFilter,
+  createProduct,
+  applyProductChanges
+} from './productService.js';
+import {
+  PRODUCT_FIELDS,
+  applyProductDefaults,
+  resolveProductCategory,
+  validateImportRecord
+} from '../middleware/validation.js';
+import { parseCsv, formatCsvRow } from '../utils/csv.js';
+
+// 파일당 최대 행 수
+const MAX_IMPORT_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS, 10) || 5000;
+
+// 내보내기 배치 크기
+const EXPORT_BATCH_SIZE = 500;
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// 내보내기 컬럼 (id는 참고용, 가져오기에서는 무시)
+const EXPORT_COLUMNS = ['id', ...PRODUCT_FIELDS];
+
+/**
+ * 금액을 센트 단위 정수로 변환 (DECIMAL 문자열 포함)
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * 업로드 파일 형식 판별 (확장자 우선, 없으면 MIME 타입)
+ * @returns {string|null} - 'csv' | 'json'
+ */
+function detectImportFormat(file) {
+  const extension = (file.originalname.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) {
+    return extension;
+  }
+  if (['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype)) {
+    return 'csv';
+  }
+  if (file.mimetype === 'application/json') {
+    return 'json';
+  }
+  return null;
+}
+
+/**
+ * 가져오기 파일 → 레코드 배열
+ * JSON은 상품 객체 배열 또는 { products: [...] }
+ * @param {Object} file - multer 파일
+ * @returns {{ format: string, records: Array<Object> }}
+ */
+function parseImportFile(file) {
+  const format = detectImportFormat(file);
+  if (!format) {
+    throw createProductError(400, 'INVALID_IMPORT_FILE', 'file must be a .csv or .json file');
+  }
+
+  let records;
+  try {
+    const text = file.buffer.toString('utf8');
+    if (format === 'csv') {
+      records = parseCsv(text);
+    } else {
+      const parsed = JSON.parse(text.charCodeAt(0) === 0xfeff ? text.slice(1) : text);
+      records = Array.isArray(parsed) ? parsed : parsed?.products;
+    }
+  } catch (err) {
+    throw createProductError(400, 'INVALID_IMPORT_FILE', `Could not parse ${format} file: ${err.message}`);
+  }
+
+  if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+    throw createProductError(400, 'INVALID_IMPORT_FILE', 'JSON file must be an array of product objects or { "products": [...] }');
+  }
+  if (records.length === 0) {
+    throw createProductError(400, 'INVALID_IMPORT_FILE', 'file has no product rows');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw createProductError(400, 'INVALID_IMPORT_FILE', `file can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return { format, records };
+}
+
+/**
+ * 기존 상품 값과 다른 필드만 추림
+ */
+function diffProduct(product, input) {
+  const changes = {};
+  for (const [field, value] of Object.entries(input)) {
+    const same = field === 'price'
+      ? toCents(product.price) === toCents(value)
+      : product[field] === value;
+    if (!same) {
+      changes[field] = value;
+    }
+  }
+  return changes;
+}
+
+/**
+ * 가져오기 계획 생성 (행별 create/update/unchanged 또는 오류)
+ * @param {Array<Object>} records - parseImportFile 결과
+ * @param {Object} connection - 데이터베이스 연결
+ * @param {boolean} lock - 기존 상품 행 잠금 여부 (반영 트랜잭션 안에서 사용)
+ * @returns {Promise<{ rows: Array, errors: Array }>}
+ */
+async function buildImportPlan(records, connection, lock) {
+  const validated = records.map(record => validateImportRecord(record));
+
+  const skus = [...new Set(validated.map(({ input }) => input.sku).filter(Boolean))];
+  const existingBySku = new Map();
+  if (skus.length > 0) {
+    const [products] = await connection.query(
+      `SELECT * FROM products WHERE sku IN (?)${lock ? ' FOR UPDATE' : ''}`,
+      [skus]
+    );
+    for (const product of products) {
+      existingBySku.set(product.sku, product);
+    }
+  }
+
+  // 카테고리(ID, slug 또는 이름)는 한 번 읽어 둔 목록에서 확인
+  const [categories] = await connection.query('SELECT id, name, slug FROM categories');
+  const lookupCategory = createCategoryLookup(categories);
+
+  const rows = [];
+  const errors = [];
+  const seenSkus = new Set();
+
+  for (const [index, { input, errors: rowErrors }] of validated.entries()) {
+    const row = index + 1;
+    const { sku, ...rest } = input;
+    const existing = sku ? existingBySku.get(sku) : null;
+    const fieldErrors = [...rowErrors];
+    const fields = existing ? rest : applyProductDefaults(rest);
+
+    if (sku && seenSkus.has(sku)) {
+      fieldErrors.push({ field: 'sku', message: `sku ${sku} appears more than once in the file` });
+    }
+    if (existing?.status === DELETED_PRODUCT_STATUS) {
+      fieldErrors.push({ field: 'sku', message: 'Product is deleted; restore it before importing' });
+    }
+    if (!existing) {
+      for (const field of ['name', 'price']) {
+        if (!(field in fields) && !fieldErrors.some(error => error.field === field)) {
+          fieldErrors.push({ field, message: `${field} is required for new products` });
+        }
+      }
+    }
+    if (sku) {
+      seenSkus.add(sku);
+    }
+    if (!fieldErrors.some(error => error.field === 'category')) {
+      const categoryError = await resolveProductCategory(fields, lookupCategory);
+      if (categoryError) fieldErrors.push(categoryError);
+    }
+
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors.map(error => ({ row, sku: sku ?? null, ...error })));
+      rows.push({ row, sku: sku ?? null, action: 'error' });
+    } else if (!existing) {
+      rows.push({ row, sku, action: 'create', input: { ...fields, sku } });
+    } else {
+      const changes = diffProduct(existing, fields);
+      rows.push({
+        row,
+        sku,
+        action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+        product_id: existing.id,
+        previous: Object.fromEntries(Object.keys(changes).map(field => [field, existing[field]])),
+        changes
+      });
+    }
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * 가져오기 결과 보고서
+ */
+function buildReport(plan, { format, dryRun, applied }) {
+  const count = action => plan.rows.filter(row => row.action === action).length;
+
+  return {
+    format,
+    dry_run: dryRun,
+    applied,
+    summary: {
+      total: plan.rows.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      failed: count('error')
+    },
+    // create는 등록한 값 전체, update는 변경 전(previous)/후(changes) 값 (관리자 활동 로그에도 사용)
+    rows: plan.rows.map(({ row, sku, action, product_id, input, previous, changes }) => ({
+      row,
+      sku,
+      action,
+      product_id,
+      previous,
+      changes: action === 'create' ? input : changes
+    })),
+    errors: plan.errors
+  };
+}
+
+/**
+ * 상품 일괄 가져오기
+ * 오류가 있는 행이 하나라도 있으면 반영하지 않음 (report.applied = false)
+ * @param {Object} file - multer 파일 (.csv 또는 .json)
+ * @param {Object} options - { dryRun: 검증만 수행, actorId: 가져오기를 실행한 사용자 ID (재고 이력) }
+ * @returns {Promise<Object>} - 보고서 ({ format, dry_run, applied, summary, rows, errors })
+ */
+async function importProducts(file, { dryRun = false, actorId = null } = {}) {
+  const { format, records } = parseImportFile(file);
+
+  if (dryRun) {
+    const plan = await buildImportPlan(records, db, false);
+    return buildReport(plan, { format, dryRun, applied: false });
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // 잠근 상태에서 다시 검증 (dry run 이후 바뀐 상품 반영)
+    const plan = await buildImportPlan(records, conn, true);
+    if (plan.errors.length > 0) {
+      await conn.rollback();
+      return buildReport(plan, { format, dryRun, applied: false });
+    }
+
+    const stockAlerts = [];
+    for (const row of plan.rows) {
+      if (row.action === 'create') {
+        row.product_id = await createProduct(row.input, conn, { actorId, reason: 'import' });
+      } else if (row.action === 'update') {
+        stockAlerts.push(await applyProductChanges(row.product_id, row.changes, conn, { actorId, reason: 'import' }));
+      }
+    }
+
+    await conn.commit();
+    // 재고 부족 알림은 응답을 기다리게 하지 않음
+    notifyLowStock(stockAlerts);
+    return buildReport(plan, { format, dryRun, applied: true });
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 내보내기 형식별 응답 정보와 직렬화
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    // 엑셀에서 한글이 깨지지 않도록 UTF-8 BOM 포함
+    header: () => '\ufeff' + formatCsvRow(EXPORT_COLUMNS),
+    row: (product) => formatCsvRow(EXPORT_COLUMNS.map(column => product[column])),
+    footer: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    header: () => '[\n',
+    row: (product, index) => (index > 0 ? ',\n' : '') + JSON.stringify({ ...product, price: Number(product.price) }),
+    footer: () => '\n]\n'
+  }
+};
+
+/**
+ * 상품 내보내기
+ * 형식/상태 필터는 즉시 검증하고, 내용은 id 순으로 EXPORT_BATCH_SIZE씩 조회하며 생성
+ * @param {Object} query - req.query (format: csv|json, status: 쉼표 구분, 기본 deleted 제외 전체)
+ * @returns {{ format: string, contentType: string, chunks: AsyncGenerator<string> }}
+ */
+function exportProducts(query) {
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    throw createProductError(400, 'INVALID_QUERY', `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const statuses = parseStatusFilter(query.status);
+  const serializer = EXPORT_FORMATS[format];
+
+  async function* generateChunks() {
+    yield serializer.header();
+
+    let lastId = 0;
+    let index = 0;
+    while (true) {
+      const [products] = await db.query(
+        `SELECT ${EXPORT_COLUMNS.join(', ')} FROM products
+         WHERE status IN (?) AND id > ?
+         ORDER BY id ASC
+         LIMIT ?`,
+        [statuses, lastId, EXPORT_BATCH_SIZE]
+      );
+      if (products.length === 0) {
+        break;
+      }
+
+      yield products.map(product => serializer.row(product, index++)).join('');
+      lastId = products[products.length - 1].id;
+    }
+
+    yield serializer.footer();
+  }
+
+  return { format, contentType: serializer.contentType, chunks: generateChunks() };
+}
+
+export {
+  importProducts,
+  exportProducts
+};
@@ -0,0 +1,258 @@
+/**
+ * 카테고리 서비스
+ * categories (parent_id로 연결된 트리, slug, 표시 순서, 활성 여부) 조회/등록/수정/삭제
+ * 카테고리 이름을 바꾸면 products.category(이름 사본)도 함께 변경
+ */
+
+import { db } from '../../shared/db.js';
+import { findCategory } from '../../shared/categories.js';
+import { createProductError } from './productService.js';
+
+/**
+ * categories 행 → 응답 형태
+ */
+function formatCategory(row) {
+  return {
+    id: row.id,
+    parent_id: row.parent_id,
+    name: row.name,
+    slug: row.slug,
+    sort_order: row.sort_order,
+    is_active: Boolean(row.is_active)
+  };
+}
+
+/**
+ * 전체 카테고리 (트리 계산은 JS에서 — 카테고리 수가 적음)
+ */
+async function loadCategories(connection = db) {
+  const [rows] = await connection.query('SELECT * FROM categories ORDER BY sort_order ASC, id ASC');
+  return rows.map(formatCategory);
+}
+
+/**
+ * 카테고리 트리 생성
+ * includeInactive가 아니면 비활성 카테고리와 그 하위 카테고리는 제외
+ * @param {Array} categories - loadCategories 결과
+ * @param {boolean} includeInactive - 비활성 카테고리 포함 여부
+ * @returns {{ roots: Array, nodes: Map }} - 최상위 카테고리 (children에 하위 카테고리), ID → 노드
+ */
+function buildTree(categories, includeInactive) {
+  const nodes = new Map(categories
+    .filter(category => includeInactive || category.is_active)
+    .map(category => [category.id, { ...category, children: [] }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    if (node.parent_id === null) {
+      roots.push(node);
+    } else if (nodes.has(node.parent_id)) {
+      nodes.get(node.parent_id).children.push(node);
+    }
+    // 상위 카테고리가 제외된 경우(비활성) 하위 카테고리도 제외
+  }
+  return { roots, nodes };
+}
+
+/**
+ * 카테고리의 상위 카테고리 경로 (최상위 → 자신)
+ */
+function buildPath(categories, category) {
+  const byId = new Map(categories.map(item => [item.id, item]));
+  const path = [];
+  for (let current = category; current; current = byId.get(current.parent_id)) {
+    path.unshift({ id: current.id, name: current.name, slug: current.slug });
+  }
+  return path;
+}
+
+/**
+ * 카테고리의 모든 하위 카테고리 ID (자신 제외)
+ */
+function collectDescendantIds(categories, categoryId) {
+  const ids = [];
+  const queue = [categoryId];
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    for (const category of categories) {
+      if (category.parent_id === parentId) {
+        ids.push(category.id);
+        queue.push(category.id);
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * 카테고리 트리 조회
+ * @param {Object} options - { includeInactive: 비활성 카테고리 포함 여부 (관리자) }
+ * @returns {Promise<Array>} - 최상위 카테고리 배열 (children 포함)
+ */
+async function listCategories({ includeInactive = false } = {}) {
+  return buildTree(await loadCategories(), includeInactive).roots;
+}
+
+/**
+ * 카테고리 단건 조회 (경로와 하위 카테고리 트리 포함)
+ * @param {number|string} identifier - 카테고리 ID, slug 또는 이름
+ * @param {Object} options - { includeInactive: 비활성 카테고리 조회 허용 (관리자) }
+ * @returns {Promise<Object|null>} - { ...카테고리, path, children }
+ */
+async function getCategory(identifier, { includeInactive = false } = {}) {
+  const found = await findCategory(identifier);
+  if (!found) {
+    return null;
+  }
+
+  const categories = await loadCategories();
+  const { nodes } = buildTree(categories, includeInactive);
+  const node = nodes.get(found.id);
+  const path = buildPath(categories, categories.find(item => item.id === found.id));
+
+  // 자신이나 상위 카테고리가 비활성이면 일반 조회에서는 없는 카테고리로 처리
+  if (!node || path.some(item => !nodes.has(item.id))) {
+    return null;
+  }
+
+  return { ...node, path };
+}
+
+/**
+ * 카테고리 조회 (없으면 404)
+ */
+async function findCategoryById(categoryId, connection = db) {
+  const [rows] = await connection.query('SELECT * FROM categories WHERE id = ?', [categoryId]);
+  if (rows.length === 0) {
+    throw createProductError(404, 'CATEGORY_NOT_FOUND', 'Category not found');
+  }
+  return formatCategory(rows[0]);
+}
+
+/**
+ * 상위 카테고리 존재 여부 확인
+ */
+async function assertParentExists(parentId, connection) {
+  if (parentId === null) {
+    return;
+  }
+  const [rows] = await connection.query('SELECT id FROM categories WHERE id = ?', [parentId]);
+  if (rows.length === 0) {
+    throw createProductError(400, 'VALIDATION_ERROR', `parent_id ${parentId} does not exist`);
+  }
+}
+
+/**
+ * 이름(같은 상위 카테고리 안)/slug 중복 에러 변환
+ */
+function translateDuplicateCategory(err) {
+  if (err.code === 'ER_DUP_ENTRY') {
+    return createProductError(409, 'DUPLICATE_CATEGORY', 'A category with the same name under the same parent, or the same slug, already exists');
+  }
+  return err;
+}
+
+/**
+ * 카테고리 등록
+ * @param {Object} input - 검증된 입력 (name, slug, parent_id, sort_order, is_active)
+ * @returns {Promise<Object>} - 생성된 카테고리
+ */
+async function createCategory(input) {
+  await assertParentExists(input.parent_id, db);
+
+  try {
+    const [result] = await db.query(
+      `INSERT INTO categories (parent_id, name, slug, sort_order, is_active)
+       VALUES (?, ?, ?, ?, ?)`,
+      [input.parent_id, input.name, input.slug, input.sort_order, input.is_active]
+    );
+    return findCategoryById(result.insertId);
+  } catch (err) {
+    throw translateDuplicateCategory(err);
+  }
+}
+
+/**
+ * 카테고리 수정 (포함된 필드만 변경)
+ * 자신이나 하위 카테고리 아래로는 옮길 수 없음 (순환 방지)
+ * @param {number|string} categoryId - 카테고리 ID
+ * @param {Object} changes - 변경할 컬럼 → 값
+ * @returns {Promise<Object>} - { previous: 변경 전 카테고리, category: 변경 후 카테고리 }
+ */
+async function updateCategory(categoryId, changes) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // 트리 구조 변경이 동시에 일어나지 않도록 카테고리 전체를 잠금
+    const [rows] = await conn.query('SELECT * FROM categories ORDER BY id FOR UPDATE');
+    const categories = rows.map(formatCategory);
+    const previous = categories.find(category => category.id === Number(categoryId));
+    if (!previous) {
+      throw createProductError(404, 'CATEGORY_NOT_FOUND', 'Category not found');
+    }
+
+    if (changes.parent_id !== undefined && changes.parent_id !== null) {
+      if (changes.parent_id === previous.id || collectDescendantIds(categories, previous.id).includes(changes.parent_id)) {
+        throw createProductError(400, 'VALIDATION_ERROR', 'A category cannot be moved under itself or its descendants');
+      }
+      await assertParentExists(changes.parent_id, conn);
+    }
+
+    const columns = Object.keys(changes);
+    await conn.query(
+      `UPDATE categories SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => changes[column]), previous.id]
+    );
+
+    // 상품에 저장된 카테고리 이름 사본 갱신
+    if (changes.name !== undefined && changes.name !== previous.name) {
+      await conn.query(
+        'UPDATE products SET category = ? WHERE category_id = ?',
+        [changes.name, previous.id]
+      );
+    }
+
+    const category = await findCategoryById(previous.id, conn);
+    await conn.commit();
+    return { previous, category };
+  } catch (err) {
+    await conn.rollback();
+    throw translateDuplicateCategory(err);
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 카테고리 삭제
+ * 하위 카테고리나 상품(삭제된 상품 포함)이 있으면 409 — 먼저 옮기거나 비활성화
+ * @param {number|string} categoryId - 카테고리 ID
+ * @returns {Promise<Object>} - 삭제된 카테고리
+ */
+async function deleteCategory(categoryId) {
+  const category = await findCategoryById(categoryId);
+
+  const [[{ children }]] = await db.query('SELECT COUNT(*) AS children FROM categories WHERE parent_id = ?', [category.id]);
+  if (Number(children) > 0) {
+    throw createProductError(409, 'CATEGORY_HAS_CHILDREN', 'Move or delete the subcategories first');
+  }
+
+  const [[{ products }]] = await db.query('SELECT COUNT(*) AS products FROM products WHERE category_id = ?', [category.id]);
+  if (Number(products) > 0) {
+    throw createProductError(409, 'CATEGORY_IN_USE', 'Move the products to another category first (or deactivate the category)', {
+      product_count: Number(products)
+    });
+  }
+
+  await db.query('DELETE FROM categories WHERE id = ?', [category.id]);
+  return category;
+}
+
+export {
+  listCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
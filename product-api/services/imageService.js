@@ -0,0 +1,420 @@
+/**
+ * 상품 이미지 서비스
+ * product_images (상품별 여러 이미지, sort_order 순서, 첫 번째 이미지가 대표 이미지)
+ * 업로드 검증 → 썸네일 생성 → 저장소(services/storage.js) 업로드 → DB 기록
+ * 대표 이미지는 products.image_url / thumbnail_url에 동기화 (목록 조회용)
+ * 교체/삭제된 이미지와 DB 기록에 실패한 업로드는 저장소에서도 삭제
+ * 브라우저 직접 업로드: 업로드 URL 발급(images/pending/...) → 업로드 → 확인 시 검증 후 정식 경로로 저장
+ *   - 업로드 크기는 발급한 폼(presigned POST)의 조건으로 MAX_IMAGE_SIZE 이하로 제한
+ *   - 확인되지 않은 임시 파일은 sweepPendingUploads가 주기적으로 삭제 (app.js)
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { db } from '../../shared/db.js';
+import { getStorage } from './storage.js';
+import { createProductError, findEditableProduct } from './productService.js';
+import { MAX_IMAGE_SIZE, IMAGE_TYPES, validateImageName, validateImageFile, imageExtension } from '../utils/imageFile.js';
+
+// 상품당 최대 이미지 수
+const MAX_IMAGES_PER_PRODUCT = parseInt(process.env.PRODUCT_MAX_IMAGES, 10) || 10;
+
+// 썸네일 최대 가로/세로 (px)
+const THUMBNAIL_SIZE = parseInt(process.env.PRODUCT_THUMBNAIL_SIZE, 10) || 300;
+
+// 직접 업로드 URL 유효 시간 (초)
+const UPLOAD_URL_EXPIRES_IN = parseInt(process.env.PRODUCT_UPLOAD_URL_EXPIRES_IN, 10) || 900;
+
+// 확인되지 않은 임시 파일 보관 시간 (초, 기본: 업로드 URL 유효 시간 + 확인 요청 대기 1시간)
+const PENDING_UPLOAD_TTL = parseInt(process.env.PRODUCT_PENDING_UPLOAD_TTL, 10) || UPLOAD_URL_EXPIRES_IN + 3600;
+
+const IMAGE_FOLDER = 'images';
+// 직접 업로드 후 확인 전 임시 경로
+const PENDING_FOLDER = `${IMAGE_FOLDER}/pending`;
+
+/**
+ * product_images 행 → 응답 형태
+ */
+function formatImage(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    thumbnail_url: row.thumbnail_url,
+    content_type: row.content_type,
+    size_bytes: row.size_bytes,
+    width: row.width,
+    height: row.height,
+    sort_order: row.sort_order
+  };
+}
+
+/**
+ * 상품 이미지 목록 (대표 이미지가 첫 번째)
+ * @param {number|string} productId - 상품 ID
+ * @param {Object} connection - 데이터베이스 연결 (기본 db)
+ * @returns {Promise<Array>}
+ */
+async function listImages(productId, connection = db) {
+  const [rows] = await connection.query(
+    'SELECT * FROM product_images WHERE product_id = ? ORDER BY sort_order ASC, id ASC',
+    [productId]
+  );
+  return rows.map(formatImage);
+}
+
+/**
+ * 업로드 이미지 검증 및 썸네일 생성 (저장 전 단계, DB/저장소 변경 없음)
+ * 하나라도 잘못된 파일이 있으면 400 INVALID_IMAGE
+ * @param {Array} files - multer 파일 배열
+ * @returns {Promise<Array>} - 저장 준비된 이미지 ({ file, type, width, height, thumbnail })
+ */
+async function prepareImages(files) {
+  const prepared = [];
+
+  for (const file of files) {
+    const { type, error } = validateImageFile(file);
+    if (error) {
+      throw createProductError(400, 'INVALID_IMAGE', error, { file: file.originalname });
+    }
+
+    try {
+      const metadata = await sharp(file.buffer).metadata();
+      const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      prepared.push({ file, type, width: metadata.width, height: metadata.height, thumbnail });
+    } catch (err) {
+      throw createProductError(400, 'INVALID_IMAGE', `Could not read image: ${err.message}`, { file: file.originalname });
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * 저장소에서 파일 삭제 (실패해도 요청은 계속 진행, 로그만 남김)
+ * @param {Array<string|null>} keys - 저장소 키 (null은 무시 — 저장소 밖 URL로 등록된 기존 이미지)
+ */
+async function deleteStoredObjects(keys) {
+  const storage = getStorage();
+
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storage.delete(key);
+      console.log(`IMAGE DELETED (${key})`);
+    } catch (err) {
+      console.error(`IMAGE DELETE ERROR (${key}):`, err);
+    }
+  }
+}
+
+/**
+ * 준비된 이미지를 저장소에 업로드 (상품 갤러리, 리뷰 이미지 공통)
+ * 중간에 실패하면 이미 올린 파일을 지우고 에러를 다시 던짐
+ * @param {string} folder - 저장소 경로 (예: images/12, reviews/12)
+ * @param {Array} prepared - prepareImages 결과
+ * @returns {Promise<Array>} - 업로드된 이미지 ({ ...prepared, key, url, thumbnailKey, thumbnailUrl })
+ */
+async function uploadImages(folder, prepared) {
+  const storage = getStorage();
+  const uploaded = [];
+
+  try {
+    for (const image of prepared) {
+      const baseName = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+      const key = `${folder}/${baseName}.${imageExtension(image.type)}`;
+      const thumbnailKey = `${folder}/thumbs/${baseName}.webp`;
+
+      // 업로드 전에 목록에 추가해 실패 시 정리 대상에 포함 (없는 키 삭제는 무시됨)
+      const entry = { ...image, key, thumbnailKey };
+      uploaded.push(entry);
+      entry.url = await storage.put(key, image.file.buffer, image.file.mimetype);
+      entry.thumbnailUrl = await storage.put(thumbnailKey, image.thumbnail, 'image/webp');
+    }
+  } catch (err) {
+    await deleteStoredObjects(uploaded.flatMap(image => [image.key, image.thumbnailKey]));
+    throw err;
+  }
+
+  return uploaded;
+}
+
+/**
+ * 대표 이미지(sort_order가 가장 앞선 이미지)를 products.image_url / thumbnail_url에 반영
+ * @param {number|string} productId - 상품 ID
+ * @param {Object} connection - 트랜잭션 커넥션
+ */
+async function syncPrimaryImage(productId, connection) {
+  const [rows] = await connection.query(
+    'SELECT url, thumbnail_url FROM product_images WHERE product_id = ? ORDER BY sort_order ASC, id ASC LIMIT 1',
+    [productId]
+  );
+
+  await connection.query(
+    'UPDATE products SET image_url = ?, thumbnail_url = ? WHERE id = ?',
+    [rows[0]?.url ?? null, rows[0]?.thumbnail_url ?? null, productId]
+  );
+}
+
+/**
+ * 상품 이미지 추가
+ * replacePrimary면 새 이미지 중 첫 번째가 기존 대표 이미지를 대체 (기존 파일은 저장소에서 삭제)
+ * @param {number|string} productId - 상품 ID
+ * @param {Array} prepared - prepareImages 결과
+ * @param {Object} options - { replacePrimary: 대표 이미지 교체 여부 }
+ * @returns {Promise<Array>} - 상품의 전체 이미지 목록
+ */
+async function addImages(productId, prepared, { replacePrimary = false } = {}) {
+  if (prepared.length === 0) {
+    return listImages(productId);
+  }
+
+  await findEditableProduct(productId);
+
+  // 업로드 전 개수 확인 (트랜잭션 안에서 잠근 뒤 다시 확인)
+  const [[{ count }]] = await db.query('SELECT COUNT(*) AS count FROM product_images WHERE product_id = ?', [productId]);
+  if (Number(count) - (replacePrimary && Number(count) > 0 ? 1 : 0) + prepared.length > MAX_IMAGES_PER_PRODUCT) {
+    throw createProductError(409, 'TOO_MANY_IMAGES', `A product can have at most ${MAX_IMAGES_PER_PRODUCT} images`);
+  }
+
+  const uploaded = await uploadImages(`${IMAGE_FOLDER}/${productId}`, prepared);
+  let replacedKeys = [];
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [existing] = await conn.query(
+      'SELECT id, storage_key, thumbnail_key, sort_order FROM product_images WHERE product_id = ? ORDER BY sort_order ASC, id ASC FOR UPDATE',
+      [productId]
+    );
+
+    const replaced = replacePrimary ? existing[0] : null;
+    if (replaced) {
+      await conn.query('DELETE FROM product_images WHERE id = ?', [replaced.id]);
+      replacedKeys = [replaced.storage_key, replaced.thumbnail_key];
+    }
+
+    const remaining = existing.length - (replaced ? 1 : 0);
+    if (remaining + uploaded.length > MAX_IMAGES_PER_PRODUCT) {
+      throw createProductError(409, 'TOO_MANY_IMAGES', `A product can have at most ${MAX_IMAGES_PER_PRODUCT} images`);
+    }
+
+    // 대표 이미지 교체는 기존 대표 이미지 자리(가장 앞), 그 외는 마지막에 추가
+    let sortOrder = replaced
+      ? replaced.sort_order - uploaded.length + 1
+      : (existing.length > 0 ? existing[existing.length - 1].sort_order + 1 : 0);
+
+    for (const image of uploaded) {
+      await conn.query(
+        `INSERT INTO product_images
+         (product_id, storage_key, url, thumbnail_key, thumbnail_url, content_type, size_bytes, width, height, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          productId, image.key, image.url, image.thumbnailKey, image.thumbnailUrl,
+          image.file.mimetype, image.file.size ?? image.file.buffer.length, image.width, image.height, sortOrder++
+        ]
+      );
+    }
+
+    await syncPrimaryImage(productId, conn);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    // DB에 기록되지 않은 업로드 파일 정리
+    await deleteStoredObjects(uploaded.flatMap(image => [image.key, image.thumbnailKey]));
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await deleteStoredObjects(replacedKeys);
+  return listImages(productId);
+}
+
+/**
+ * 브라우저 직접 업로드 URL 발급
+ * 파일명/형식/크기만 먼저 확인하고, 내용 검증은 confirmImageUpload에서 수행
+ * @param {number|string} productId - 상품 ID
+ * @param {Object} input - { file_name, content_type, size }
+ * @returns {Promise<Object>} - { key, upload_url, method: 'POST', fields, expires_in }
+ *   fields를 multipart 폼에 먼저 넣고 파일은 마지막 file 필드로 전송
+ */
+async function createImageUploadUrl(productId, { file_name, content_type, size }) {
+  await findEditableProduct(productId);
+
+  const { type, error } = validateImageName(file_name, content_type);
+  if (error) {
+    throw createProductError(400, 'INVALID_IMAGE', error, { file: file_name });
+  }
+  if (size !== undefined && (!Number.isInteger(Number(size)) || Number(size) <= 0 || Number(size) > MAX_IMAGE_SIZE)) {
+    throw createProductError(400, 'INVALID_IMAGE', `Image must be at most ${MAX_IMAGE_SIZE} bytes`, { file: file_name });
+  }
+
+  const key = `${PENDING_FOLDER}/${productId}/${crypto.randomUUID()}.${imageExtension(type)}`;
+  const { url, method, fields } = await getStorage().createUploadUrl(key, content_type, UPLOAD_URL_EXPIRES_IN, MAX_IMAGE_SIZE);
+
+  return { key, upload_url: url, method, fields, expires_in: UPLOAD_URL_EXPIRES_IN };
+}
+
+/**
+ * 직접 업로드한 이미지 확인 후 갤러리에 추가
+ * 임시 파일을 읽어 multer 업로드와 같은 검증/썸네일 생성을 거친 뒤 정식 경로로 저장하고,
+ * 결과와 관계없이 임시 파일은 삭제 (MAX_IMAGE_SIZE보다 큰 파일은 내용을 읽지 않고 400 INVALID_IMAGE)
+ * @param {number|string} productId - 상품 ID
+ * @param {string} key - createImageUploadUrl이 발급한 키
+ * @param {Object} options - { replacePrimary: 대표 이미지 교체 여부 }
+ * @returns {Promise<Array>} - 상품의 전체 이미지 목록
+ */
+async function confirmImageUpload(productId, key, { replacePrimary = false } = {}) {
+  const prefix = `${PENDING_FOLDER}/${productId}/`;
+  if (typeof key !== 'string' || !key.startsWith(prefix) || key.slice(prefix.length).includes('/')) {
+    throw createProductError(400, 'VALIDATION_ERROR', 'key must be an upload key issued for this product');
+  }
+
+  await findEditableProduct(productId);
+
+  try {
+    let buffer;
+    try {
+      buffer = await getStorage().get(key, { maxBytes: MAX_IMAGE_SIZE });
+    } catch (err) {
+      if (err.code === 'OBJECT_TOO_LARGE') {
+        throw createProductError(400, 'INVALID_IMAGE', `Image must be at most ${MAX_IMAGE_SIZE} bytes`, { file: key.slice(prefix.length) });
+      }
+      throw err;
+    }
+    if (!buffer) {
+      throw createProductError(404, 'UPLOAD_NOT_FOUND', 'Uploaded file not found (expired or not uploaded yet)');
+    }
+
+    // 발급 시 확장자를 형식에 맞춰 정했으므로 확장자로 선언 형식 복원
+    const fileName = key.slice(prefix.length);
+    const extension = fileName.slice(fileName.lastIndexOf('.'));
+    const type = Object.keys(IMAGE_TYPES).find(name => IMAGE_TYPES[name].extensions.includes(extension));
+    const file = {
+      originalname: fileName,
+      mimetype: type ? IMAGE_TYPES[type].mimeTypes[0] : 'application/octet-stream',
+      buffer,
+      size: buffer.length
+    };
+
+    const prepared = await prepareImages([file]);
+    return await addImages(productId, prepared, { replacePrimary });
+  } finally {
+    await deleteStoredObjects([key]);
+  }
+}
+
+/**
+ * 확인되지 않은 직접 업로드 임시 파일 삭제
+ * PENDING_UPLOAD_TTL보다 오래된 images/pending/ 아래 파일 (확인 요청이 오지 않은 업로드)
+ * @returns {Promise<number>} - 삭제된 파일 수
+ */
+async function sweepPendingUploads() {
+  const cutoff = Date.now() - PENDING_UPLOAD_TTL * 1000;
+  const objects = await getStorage().list(`${PENDING_FOLDER}/`);
+  const expiredKeys = objects
+    .filter(object => new Date(object.lastModified).getTime() < cutoff)
+    .map(object => object.key);
+
+  await deleteStoredObjects(expiredKeys);
+  if (expiredKeys.length > 0) {
+    console.log(`PENDING UPLOADS SWEPT (${expiredKeys.length})`);
+  }
+  return expiredKeys.length;
+}
+
+/**
+ * 상품 이미지 삭제 (DB 삭제 후 저장소 파일 삭제)
+ * @param {number|string} productId - 상품 ID
+ * @param {number|string} imageId - 이미지 ID
+ * @returns {Promise<Object>} - 삭제된 이미지
+ */
+async function deleteImage(productId, imageId) {
+  await findEditableProduct(productId);
+
+  const conn = await db.getConnection();
+  let image;
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT * FROM product_images WHERE id = ? AND product_id = ? FOR UPDATE',
+      [imageId, productId]
+    );
+    if (rows.length === 0) {
+      throw createProductError(404, 'IMAGE_NOT_FOUND', 'Image not found');
+    }
+    image = rows[0];
+
+    await conn.query('DELETE FROM product_images WHERE id = ?', [image.id]);
+    await syncPrimaryImage(productId, conn);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await deleteStoredObjects([image.storage_key, image.thumbnail_key]);
+  return formatImage(image);
+}
+
+/**
+ * 상품 이미지 순서 변경 (첫 번째가 대표 이미지)
+ * @param {number|string} productId - 상품 ID
+ * @param {Array<number>} imageIds - 상품의 모든 이미지 ID (원하는 순서)
+ * @returns {Promise<Array>} - 변경된 이미지 목록
+ */
+async function reorderImages(productId, imageIds) {
+  await findEditableProduct(productId);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT id FROM product_images WHERE product_id = ? FOR UPDATE',
+      [productId]
+    );
+
+    const currentIds = rows.map(row => Number(row.id)).sort((x, y) => x - y);
+    const requestedIds = imageIds.map(Number).sort((x, y) => x - y);
+    if (currentIds.length !== requestedIds.length || currentIds.some((id, index) => id !== requestedIds[index])) {
+      throw createProductError(400, 'VALIDATION_ERROR', 'image_ids must list every image of the product exactly once');
+    }
+
+    for (const [index, imageId] of imageIds.entries()) {
+      await conn.query('UPDATE product_images SET sort_order = ? WHERE id = ?', [index, imageId]);
+    }
+
+    await syncPrimaryImage(productId, conn);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return listImages(productId);
+}
+
+export {
+  MAX_IMAGES_PER_PRODUCT,
+  listImages,
+  prepareImages,
+  uploadImages,
+  deleteStoredObjects,
+  addImages,
+  createImageUploadUrl,
+  confirmImageUpload,
+  sweepPendingUploads,
+  deleteImage,
+  reorderImages
+};
@@ -0,0 +1,173 @@
+/**
+ * 재고 서비스
+ * 상품 재고 이력 조회 (inventory_movements) 및 관리자 입고/재고 조정
+ * 재고 변경 자체는 shared/inventory.js (order-api 주문 재고 예약/반환과 같은 경로)
+ */
+
+import { db } from '../../shared/db.js';
+import { MOVEMENT_TYPES, changeStock } from '../../shared/inventory.js';
+import { DEFAULT_LOW_STOCK_THRESHOLD, notifyLowStock } from '../../shared/stockAlerts.js';
+import {
+  createProductError,
+  parsePositiveInt,
+  getProduct,
+  findEditableProduct
+} from './productService.js';
+
+// 페이지 크기 (기본 50, 최대 200)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * inventory_movements 행 → 응답 형태
+ */
+function formatMovement(row) {
+  return {
+    id: row.id,
+    variant_id: row.variant_id,
+    variant_name: row.variant_name ?? null,
+    type: row.movement_type,
+    quantity_change: row.quantity_change,
+    stock_after: row.stock_after,
+    reason: row.reason,
+    actor_id: row.actor_id,
+    order_id: row.order_id,
+    payment_id: row.payment_id,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * 상품 재고 현황 (상품 재고, 옵션별 재고, 재고 부족 기준)
+ */
+async function getStockSummary(product) {
+  const [variants] = await db.query(
+    'SELECT id, sku, name, stock, is_active FROM product_variants WHERE product_id = ? ORDER BY sort_order ASC, id ASC',
+    [product.id]
+  );
+
+  return {
+    product_id: product.id,
+    stock: product.stock,
+    low_stock_threshold: product.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD,
+    uses_default_threshold: product.low_stock_threshold === null || product.low_stock_threshold === undefined,
+    variants: variants.map(variant => ({
+      id: variant.id,
+      sku: variant.sku,
+      name: variant.name,
+      stock: variant.stock,
+      is_active: Boolean(variant.is_active)
+    }))
+  };
+}
+
+/**
+ * 상품 재고 이력 (최신순)
+ * @param {number|string} productId - 상품 ID (삭제된 상품 포함)
+ * @param {Object} query - req.query (variant_id: 옵션 ID 또는 'none'(상품 재고만), type: 변경 종류(쉼표 구분), page, limit)
+ * @returns {Promise<Object>} - { stock: 재고 현황, movements, pagination }
+ */
+async function getStockHistory(productId, query) {
+  const product = await getProduct(productId);
+  if (!product) {
+    throw createProductError(404, 'PRODUCT_NOT_FOUND', 'Product not found');
+  }
+
+  const page = parsePositiveInt(query.page, 'page', 1);
+  const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+  const conditions = ['m.product_id = ?'];
+  const params = [product.id];
+
+  if (query.variant_id === 'none') {
+    conditions.push('m.variant_id IS NULL');
+  } else if (query.variant_id !== undefined && query.variant_id !== '') {
+    conditions.push('m.variant_id = ?');
+    params.push(parsePositiveInt(query.variant_id, 'variant_id'));
+  }
+
+  if (query.type !== undefined && query.type !== '') {
+    const types = String(query.type).split(',').map(type => type.trim());
+    const invalid = types.filter(type => !MOVEMENT_TYPES.includes(type));
+    if (invalid.length > 0) {
+      throw createProductError(400, 'INVALID_QUERY', `type must be one of: ${MOVEMENT_TYPES.join(', ')}`);
+    }
+    conditions.push('m.movement_type IN (?)');
+    params.push(types);
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const [rows] = await db.query(
+    `SELECT m.*, v.name AS variant_name
+     FROM inventory_movements m
+     LEFT JOIN product_variants v ON v.id = m.variant_id
+     ${where}
+     ORDER BY m.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM inventory_movements m ${where}`, params);
+
+  return {
+    stock: await getStockSummary(product),
+    movements: rows.map(formatMovement),
+    pagination: {
+      page,
+      limit,
+      total: Number(total),
+      total_pages: Math.ceil(Number(total) / limit)
+    }
+  };
+}
+
+/**
+ * 입고/재고 조정 (관리자)
+ * 결과 재고가 0 미만이면 409 INSUFFICIENT_STOCK, 기준 이하로 내려가면 커밋 후 재고 부족 알림 발송
+ * @param {number|string} productId - 상품 ID (삭제된 상품 제외)
+ * @param {Object} input - 검증된 입력 ({ variant_id, type: restock|adjustment, quantity: 증감, reason })
+ * @param {number} actorId - 변경한 사용자 ID
+ * @returns {Promise<Object>} - 기록된 이력 ({ id, variant_id, type, quantity_change, stock_before, stock_after, reason, low_stock_alert })
+ */
+async function adjustStock(productId, input, actorId) {
+  const product = await findEditableProduct(productId);
+
+  const conn = await db.getConnection();
+  let result;
+  try {
+    await conn.beginTransaction();
+    result = await changeStock(conn, {
+      productId: product.id,
+      variantId: input.variant_id,
+      quantity: input.quantity,
+      type: input.type,
+      reason: input.reason,
+      actorId
+    });
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  // 재고 부족 알림은 응답을 기다리게 하지 않음
+  notifyLowStock([result.alert]);
+
+  return {
+    id: result.movementId,
+    variant_id: input.variant_id,
+    type: input.type,
+    quantity_change: input.quantity,
+    stock_before: result.stockBefore,
+    stock_after: result.stockAfter,
+    reason: input.reason,
+    low_stock_alert: result.alert !== null
+  };
+}
+
+export {
+  getStockHistory,
+  adjustStock
+};
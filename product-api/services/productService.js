@@ -0,0 +1,443 @@
+/**
+ * 상품 서비스
+ * 상품 목록 조회 (페이지네이션, 필터, 정렬, 전문 검색, 카테고리별 개수 — 카테고리 필터는 하위 카테고리 포함)
+ * 상품 등록/수정/소프트 삭제/복구 (입력 검증은 middleware/validation.js)
+ * 상품 SKU는 선택 값이지만 있으면 고유 (일괄 가져오기의 upsert 기준)
+ * 재고(stock)는 shared/inventory.js를 통해 변경 (inventory_movements에 이력 기록)
+ */
+
+import { db } from '../../shared/db.js';
+import { setStock, recordInitialStock, availableStockSql } from '../../shared/inventory.js';
+import {
+  PRODUCT_STATUSES,
+  LISTED_PRODUCT_STATUSES,
+  DELETED_PRODUCT_STATUS
+} from '../../shared/productStatus.js';
+import { findCategoryScope } from '../../shared/categories.js';
+
+// 페이지 크기 (기본 20, 최대 100)
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 정렬 옵션 → ORDER BY 절 (relevance는 q가 있을 때만 사용)
+const SORT_OPTIONS = {
+  newest: 'p.id DESC',
+  price_asc: 'p.price ASC, p.id DESC',
+  price_desc: 'p.price DESC, p.id DESC',
+  name_asc: 'p.name ASC, p.id DESC',
+  name_desc: 'p.name DESC, p.id DESC',
+  rating_desc: 'p.rating_avg DESC, p.review_count DESC, p.id DESC',
+  review_count_desc: 'p.review_count DESC, p.rating_avg DESC, p.id DESC',
+  relevance: 'relevance DESC, p.id DESC'
+};
+
+/**
+ * 상품 에러 생성 (HTTP 상태/에러 코드 포함)
+ */
+function createProductError(status, code, message, details = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * SKU 중복 에러 변환
+ */
+function translateDuplicateSku(err, sku) {
+  if (err.code === 'ER_DUP_ENTRY') {
+    return createProductError(409, 'DUPLICATE_SKU', `SKU already exists: ${sku}`);
+  }
+  return err;
+}
+
+/**
+ * 양의 정수 쿼리 파라미터 파싱
+ */
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createProductError(400, 'INVALID_QUERY', `${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * 가격 쿼리 파라미터 파싱
+ */
+function parsePrice(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw createProductError(400, 'INVALID_QUERY', `${name} must be a non-negative number`);
+  }
+  return number;
+}
+
+/**
+ * 관리자 목록/내보내기의 status 쿼리 파싱 (쉼표 구분, 없으면 삭제되지 않은 전체)
+ */
+function parseStatusFilter(value) {
+  if (value === undefined || value === '') {
+    return PRODUCT_STATUSES.filter(status => status !== DELETED_PRODUCT_STATUS);
+  }
+
+  const statuses = String(value).split(',').map(status => status.trim());
+  const invalid = statuses.filter(status => !PRODUCT_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw createProductError(400, 'INVALID_QUERY', `status must be one of: ${PRODUCT_STATUSES.join(', ')}`);
+  }
+  return statuses;
+}
+
+/**
+ * 목록 조회 쿼리 파라미터 검증/정리
+ * @param {Object} query - req.query
+ * @param {Array<string>} statuses - 조회할 상품 상태
+ */
+function parseListQuery(query, statuses) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const sort = query.sort || (q ? 'relevance' : 'newest');
+
+  if (!SORT_OPTIONS[sort] || (sort === 'relevance' && !q)) {
+    throw createProductError(400, 'INVALID_QUERY', `sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')} (relevance requires q)`);
+  }
+
+  const minPrice = parsePrice(query.min_price, 'min_price');
+  const maxPrice = parsePrice(query.max_price, 'max_price');
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw createProductError(400, 'INVALID_QUERY', 'min_price must not exceed max_price');
+  }
+
+  return {
+    q,
+    category: typeof query.category === 'string' && query.category !== '' ? query.category : null,
+    minPrice,
+    maxPrice,
+    inStock: query.in_stock === 'true' || query.in_stock === '1',
+    sort,
+    statuses,
+    page: parsePositiveInt(query.page, 'page', 1),
+    limit: Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE)
+  };
+}
+
+/**
+ * WHERE 조건 생성
+ * @param {Object} filters - parseListQuery 결과
+ * @param {boolean} includeCategory - 카테고리 조건 포함 여부 (카테고리 개수는 카테고리 조건 없이 집계)
+ */
+function buildConditions(filters, includeCategory = true) {
+  const conditions = ['p.status IN (?)'];
+  const params = [filters.statuses];
+
+  if (filters.q) {
+    conditions.push('MATCH(p.name, p.description) AGAINST (? IN NATURAL LANGUAGE MODE)');
+    params.push(filters.q);
+  }
+  if (includeCategory && filters.category) {
+    // 선택한 카테고리와 하위 카테고리 (없는 카테고리면 결과 없음)
+    conditions.push(filters.categoryIds.length > 0 ? 'p.category_id IN (?)' : 'FALSE');
+    params.push(filters.categoryIds);
+  }
+  if (filters.minPrice !== null) {
+    conditions.push('p.price >= ?');
+    params.push(filters.minPrice);
+  }
+  if (filters.maxPrice !== null) {
+    conditions.push('p.price <= ?');
+    params.push(filters.maxPrice);
+  }
+  if (filters.inStock) {
+    // 옵션 상품은 판매 중인 옵션 중 하나라도 재고가 있으면 재고 있음
+    conditions.push(`${availableStockSql('p')} > 0`);
+  }
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+}
+
+/**
+ * 상품 목록 조회
+ * q는 products의 FULLTEXT(name, description) ngram 인덱스로 검색
+ * category는 카테고리 ID, slug 또는 이름 — 하위 카테고리 상품 포함
+ * (일반 목록은 활성 카테고리만, 관리자 목록은 비활성 카테고리도 조회 가능)
+ * @param {Object} query - req.query (q, category, min_price, max_price, in_stock, sort, page, limit)
+ * @param {Object} options - { includeStatuses: true면 query.status로 상태 필터 (관리자 목록) }
+ * @returns {Promise<Object>} - { products, pagination, facets }
+ */
+async function listProducts(query, { includeStatuses = false } = {}) {
+  const statuses = includeStatuses ? parseStatusFilter(query.status) : LISTED_PRODUCT_STATUSES;
+  const filters = parseListQuery(query, statuses);
+  if (filters.category) {
+    const scope = await findCategoryScope(filters.category, { activeOnly: !includeStatuses });
+    filters.categoryIds = scope ? scope.ids : [];
+  }
+  const { where, params } = buildConditions(filters);
+  const offset = (filters.page - 1) * filters.limit;
+
+  const relevanceColumn = filters.q
+    ? ', MATCH(p.name, p.description) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance'
+    : '';
+  const relevanceParams = filters.q ? [filters.q] : [];
+
+  const [products] = await db.query(
+    `SELECT p.*${relevanceColumn}
+     FROM products p
+     ${where}
+     ORDER BY ${SORT_OPTIONS[filters.sort]}
+     LIMIT ? OFFSET ?`,
+    [...relevanceParams, ...params, filters.limit, offset]
+  );
+
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM products p ${where}`,
+    params
+  );
+
+  // 카테고리별 개수 (선택한 카테고리 외 다른 필터는 모두 적용)
+  const facetConditions = buildConditions(filters, false);
+  const [categoryRows] = await db.query(
+    `SELECT p.category_id, c.name, c.slug, COUNT(*) AS count
+     FROM products p
+     LEFT JOIN categories c ON c.id = p.category_id
+     ${facetConditions.where}
+     GROUP BY p.category_id, c.name, c.slug
+     ORDER BY count DESC, c.name ASC`,
+    facetConditions.params
+  );
+
+  return {
+    products,
+    pagination: {
+      page: filters.page,
+      limit: filters.limit,
+      total: Number(total),
+      total_pages: Math.ceil(Number(total) / filters.limit)
+    },
+    facets: {
+      categories: categoryRows.map(row => ({
+        category_id: row.category_id,
+        category: row.name,
+        slug: row.slug,
+        count: Number(row.count)
+      }))
+    }
+  };
+}
+
+/**
+ * 상품 단건 조회
+ * @param {number|string} productId - 상품 ID
+ * @param {Array<string>|null} statuses - 허용 상태 (null이면 상태 무관)
+ * @returns {Promise<Object|null>}
+ */
+async function getProduct(productId, statuses = null) {
+  const [rows] = await db.query('SELECT * FROM products WHERE id = ?', [productId]);
+  if (rows.length === 0 || (statuses && !statuses.includes(rows[0].status))) {
+    return null;
+  }
+  return rows[0];
+}
+
+/**
+ * 상품 등록 (이미지는 imageService.addImages로 추가)
+ * 최초 재고를 재고 이력(initial)에 함께 기록 — connection이 없으면 새 트랜잭션에서 실행
+ * @param {Object} input - 검증된 입력 (sku, name, description, category_id, category(이름), price, stock, low_stock_threshold, status)
+ * @param {Object|null} connection - 트랜잭션 커넥션 (일괄 가져오기)
+ * @param {Object} options - { actorId: 등록한 사용자 ID, reason: 재고 이력 사유 }
+ * @returns {Promise<number>} - 생성된 상품 ID
+ */
+async function createProduct(input, connection = null, { actorId = null, reason = null } = {}) {
+  if (!connection) {
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      const productId = await createProduct(input, conn, { actorId, reason });
+      await conn.commit();
+      return productId;
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+
+  try {
+    const [result] = await connection.query(
+      `INSERT INTO products (sku, name, description, category_id, category, price, stock, low_stock_threshold, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        input.sku ?? null, input.name, input.description, input.category_id, input.category,
+        input.price, input.stock, input.low_stock_threshold ?? null, input.status
+      ]
+    );
+    await recordInitialStock(connection, { productId: result.insertId, stock: input.stock, actorId, reason });
+    return result.insertId;
+  } catch (err) {
+    throw translateDuplicateSku(err, input.sku);
+  }
+}
+
+/**
+ * 방금 등록한 상품 제거 (등록 직후 이미지 저장 실패 시에만 사용 — 그 외 삭제는 deleteProduct)
+ * 재고 이력은 상품 삭제와 함께 지워지지 않으므로, 등록이 취소된 상품의 최초 재고 이력도 함께 삭제
+ * @param {number} productId - 상품 ID
+ */
+async function discardProduct(productId) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM inventory_movements WHERE product_id = ?', [productId]);
+    await conn.query('DELETE FROM products WHERE id = ?', [productId]);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 삭제되지 않은 상품 조회 (수정/삭제 대상)
+ * 삭제된 상품은 복구 후에만 변경 가능
+ */
+async function findEditableProduct(productId) {
+  const product = await getProduct(productId);
+  if (!product) {
+    throw createProductError(404, 'PRODUCT_NOT_FOUND', 'Product not found');
+  }
+  if (product.status === DELETED_PRODUCT_STATUS) {
+    throw createProductError(409, 'PRODUCT_DELETED', 'Product is deleted; restore it before making changes');
+  }
+  return product;
+}
+
+/**
+ * 상품 부분 수정
+ * changes에 포함된 컬럼만 변경 (값이 ''이나 0이어도 그대로 반영, 비어 있으면 updated_at만 갱신)
+ * stock은 재고 이력(adjustment)을 남기며 변경
+ * @param {number|string} productId - 상품 ID
+ * @param {Object} changes - 변경할 컬럼 → 값 (sku, name, description, category_id, category, price, stock, low_stock_threshold, status)
+ * @param {Object} options - { actorId: 수정한 사용자 ID }
+ * @returns {Promise<Object>} - { previous: 변경 전 값, changes, stockAlerts(커밋 후 발송할 재고 부족 알림) }
+ */
+async function updateProduct(productId, changes, { actorId = null } = {}) {
+  const product = await findEditableProduct(productId);
+
+  const columns = Object.keys(changes);
+  const previous = {};
+  for (const column of columns) {
+    previous[column] = product[column];
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const alert = await applyProductChanges(product.id, changes, conn, { actorId, reason: 'product_update' });
+    await conn.commit();
+    return { previous, changes, stockAlerts: alert ? [alert] : [] };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 상품 컬럼 변경 (검증/상태 확인은 호출하는 쪽에서 수행)
+ * stock은 shared/inventory.js로 변경 (재고 행 잠금 후 차이만큼 adjustment 이력 기록)
+ * @param {number|string} productId - 상품 ID
+ * @param {Object} changes - 변경할 컬럼 → 값
+ * @param {Object} connection - 트랜잭션 커넥션
+ * @param {Object} options - { actorId: 변경한 사용자 ID, reason: 재고 이력 사유 }
+ * @returns {Promise<Object|null>} - 재고 부족 알림 (없으면 null)
+ */
+async function applyProductChanges(productId, changes, connection, { actorId = null, reason = null } = {}) {
+  const { stock, ...fields } = changes;
+  const columns = Object.keys(fields);
+  const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = NOW()'];
+
+  try {
+    await connection.query(
+      `UPDATE products SET ${assignments.join(', ')} WHERE id = ?`,
+      [...columns.map(column => fields[column]), productId]
+    );
+  } catch (err) {
+    throw translateDuplicateSku(err, changes.sku);
+  }
+
+  if (stock === undefined) {
+    return null;
+  }
+  const movement = await setStock(connection, { productId, stock, actorId, reason });
+  return movement?.alert ?? null;
+}
+
+/**
+ * 상품 소프트 삭제
+ * order_items.product_id가 계속 참조할 수 있도록 행은 유지하고 status만 'deleted'로 변경
+ * @param {number|string} productId - 상품 ID
+ * @returns {Promise<Object>} - 삭제 전 상품
+ */
+async function deleteProduct(productId) {
+  const product = await findEditableProduct(productId);
+
+  await db.query(
+    'UPDATE products SET status = ?, deleted_at = NOW(), updated_at = NOW() WHERE id = ?',
+    [DELETED_PRODUCT_STATUS, productId]
+  );
+  return product;
+}
+
+/**
+ * 삭제된 상품 복구
+ * 기본은 draft로 복구 (관리자가 확인 후 다시 판매 상태로 변경)
+ * @param {number|string} productId - 상품 ID
+ * @param {string} status - 복구 후 상태 (deleted 제외)
+ * @returns {Promise<Object>} - { status }
+ */
+async function restoreProduct(productId, status = 'draft') {
+  const product = await getProduct(productId);
+  if (!product) {
+    throw createProductError(404, 'PRODUCT_NOT_FOUND', 'Product not found');
+  }
+  if (product.status !== DELETED_PRODUCT_STATUS) {
+    throw createProductError(409, 'PRODUCT_NOT_DELETED', 'Product is not deleted');
+  }
+
+  await db.query(
+    'UPDATE products SET status = ?, deleted_at = NULL, updated_at = NOW() WHERE id = ?',
+    [status, productId]
+  );
+  return { status };
+}
+
+export {
+  createProductError,
+  translateDuplicateSku,
+  parsePositiveInt,
+  parseStatusFilter,
+  listProducts,
+  getProduct,
+  findEditableProduct,
+  createProduct,
+  discardProduct,
+  updateProduct,
+  applyProductChanges,
+  deleteProduct,
+  restoreProduct
+};
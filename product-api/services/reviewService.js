@@ -0,0 +1,443 @@
+/**
+ * 상품 리뷰 서비스
+ * product_reviews (별점, 내용, 이미지, 검수 상태) / review_helpful_votes ("도움이 돼요" 투표)
+ *
+ * - 작성: 해당 상품을 결제한 주문(결제 완료 ~ 배송 완료)이 있는 사용자만, 상품당 1개
+ * - 검수: 새 리뷰는 pending, 관리자가 approved/rejected로 변경 (승인된 리뷰만 공개)
+ * - 집계: 승인된 리뷰의 평균 별점/개수를 products.rating_avg / review_count에 반영 (목록 정렬용)
+ */
+
+import { db } from '../../shared/db.js';
+import { VIEWABLE_PRODUCT_STATUSES } from '../../shared/productStatus.js';
+import { createProductError, getProduct } from './productService.js';
+import { uploadImages, deleteStoredObjects } from './imageService.js';
+
+// 리뷰 작성이 가능한 주문 상태 (결제 후, 취소/환불 전)
+const REVIEWABLE_ORDER_STATUSES = ['paid', 'preparing', 'shipped', 'delivered'];
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// 리뷰당 최대 이미지 수
+const MAX_REVIEW_IMAGES = 5;
+
+const REVIEW_IMAGE_FOLDER = 'reviews';
+
+// 페이지 크기 (기본 10, 최대 50)
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// 정렬 옵션 → ORDER BY 절
+const SORT_OPTIONS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  helpful: 'r.helpful_count DESC, r.created_at DESC, r.id DESC',
+  rating_desc: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  rating_asc: 'r.rating ASC, r.created_at DESC, r.id DESC'
+};
+
+/**
+ * 작성자 이름 마스킹 (홍길동 → 홍**)
+ */
+function maskName(name) {
+  if (!name) {
+    return '구매자';
+  }
+  return name.length <= 1 ? `${name}*` : `${name[0]}${'*'.repeat(Math.min(name.length - 1, 4))}`;
+}
+
+/**
+ * product_reviews 행 → 응답 형태
+ * @param {Object} row - product_reviews 행 (+ author_name)
+ * @param {Object} options - { moderation: 검수 정보 포함 여부 (관리자) }
+ */
+function formatReview(row, { moderation = false } = {}) {
+  const images = typeof row.images === 'string' ? JSON.parse(row.images) : row.images;
+
+  const review = {
+    id: row.id,
+    product_id: row.product_id,
+    author: maskName(row.author_name),
+    rating: row.rating,
+    title: row.title,
+    content: row.content,
+    images: (images || []).map(image => ({ url: image.url, thumbnail_url: image.thumbnail_url })),
+    helpful_count: row.helpful_count,
+    verified_purchase: true,
+    created_at: row.created_at
+  };
+
+  if (moderation) {
+    Object.assign(review, {
+      user_id: row.user_id,
+      order_item_id: row.order_item_id,
+      status: row.status,
+      moderation_note: row.moderation_note,
+      moderated_by: row.moderated_by,
+      moderated_at: row.moderated_at
+    });
+  }
+  return review;
+}
+
+/**
+ * 페이지 쿼리 파라미터 파싱
+ */
+function parsePage(query) {
+  const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+    throw createProductError(400, 'INVALID_QUERY', 'page and limit must be positive integers');
+  }
+  return { page, limit: Math.min(limit, MAX_PAGE_SIZE) };
+}
+
+/**
+ * 승인된 리뷰 요약 (평균 별점, 개수, 별점 분포)
+ * @param {number|string} productId - 상품 ID
+ * @returns {Promise<Object>} - { average, count, distribution: { 1..5: 개수 } }
+ */
+async function getReviewSummary(productId) {
+  const [rows] = await db.query(
+    `SELECT rating, COUNT(*) AS count FROM product_reviews
+     WHERE product_id = ? AND status = 'approved'
+     GROUP BY rating`,
+    [productId]
+  );
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+  for (const row of rows) {
+    distribution[row.rating] = Number(row.count);
+    count += Number(row.count);
+    total += row.rating * Number(row.count);
+  }
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 100) / 100 : 0,
+    count,
+    distribution
+  };
+}
+
+/**
+ * 상품의 승인된 리뷰 목록
+ * @param {number|string} productId - 상품 ID
+ * @param {Object} query - req.query (sort: newest|helpful|rating_desc|rating_asc, rating: 별점 필터, page, limit)
+ * @returns {Promise<Object>} - { reviews, summary, pagination }
+ */
+async function listReviews(productId, query) {
+  const sort = query.sort || 'newest';
+  if (!SORT_OPTIONS[sort]) {
+    throw createProductError(400, 'INVALID_QUERY', `sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+  const { page, limit } = parsePage(query);
+
+  const conditions = ['r.product_id = ?', "r.status = 'approved'"];
+  const params = [productId];
+  if (query.rating !== undefined && query.rating !== '') {
+    const rating = Number(query.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw createProductError(400, 'INVALID_QUERY', 'rating must be an integer between 1 and 5');
+    }
+    conditions.push('r.rating = ?');
+    params.push(rating);
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const [rows] = await db.query(
+    `SELECT r.*, u.name AS author_name
+     FROM product_reviews r
+     LEFT JOIN users u ON u.user_id = r.user_id
+     ${where}
+     ORDER BY ${SORT_OPTIONS[sort]}
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM product_reviews r ${where}`, params);
+
+  return {
+    reviews: rows.map(row => formatReview(row)),
+    summary: await getReviewSummary(productId),
+    pagination: {
+      page,
+      limit,
+      total: Number(total),
+      total_pages: Math.ceil(Number(total) / limit)
+    }
+  };
+}
+
+/**
+ * 승인된 리뷰 기준으로 상품의 평균 별점/리뷰 수 갱신
+ * @param {number|string} productId - 상품 ID
+ * @param {Object} connection - 데이터베이스 연결 (기본 db)
+ */
+async function refreshProductRating(productId, connection = db) {
+  await connection.query(
+    `UPDATE products p
+     SET p.rating_avg = (SELECT COALESCE(AVG(r.rating), 0) FROM product_reviews r WHERE r.product_id = p.id AND r.status = 'approved'),
+         p.review_count = (SELECT COUNT(*) FROM product_reviews r WHERE r.product_id = p.id AND r.status = 'approved')
+     WHERE p.id = ?`,
+    [productId]
+  );
+}
+
+/**
+ * 리뷰 작성
+ * 상품을 결제한 주문 항목이 있어야 하며 (403 REVIEW_NOT_ALLOWED), 상품당 1개 (409 REVIEW_EXISTS)
+ * @param {number|string} productId - 상품 ID
+ * @param {number} userId - 작성자
+ * @param {Object} input - 검증된 입력 (rating, title, content)
+ * @param {Array} prepared - 첨부 이미지 (imageService.prepareImages 결과)
+ * @returns {Promise<Object>} - 작성된 리뷰 (검수 대기)
+ */
+async function createReview(productId, userId, input, prepared = []) {
+  const product = await getProduct(productId, VIEWABLE_PRODUCT_STATUSES);
+  if (!product) {
+    throw createProductError(404, 'PRODUCT_NOT_FOUND', 'Product not found');
+  }
+  if (prepared.length > MAX_REVIEW_IMAGES) {
+    throw createProductError(400, 'INVALID_IMAGE', `A review can have at most ${MAX_REVIEW_IMAGES} images`);
+  }
+
+  const [purchases] = await db.query(
+    `SELECT oi.id
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE o.user_id = ? AND oi.product_id = ? AND o.status IN (?)
+     ORDER BY o.created_at DESC
+     LIMIT 1`,
+    [userId, product.id, REVIEWABLE_ORDER_STATUSES]
+  );
+  if (purchases.length === 0) {
+    throw createProductError(403, 'REVIEW_NOT_ALLOWED', 'Only customers with a paid order for this product can review it');
+  }
+
+  const [existing] = await db.query(
+    'SELECT id FROM product_reviews WHERE product_id = ? AND user_id = ?',
+    [product.id, userId]
+  );
+  if (existing.length > 0) {
+    throw createProductError(409, 'REVIEW_EXISTS', 'You have already reviewed this product', { review_id: existing[0].id });
+  }
+
+  const uploaded = await uploadImages(`${REVIEW_IMAGE_FOLDER}/${product.id}`, prepared);
+  const images = uploaded.map(image => ({
+    key: image.key,
+    url: image.url,
+    thumbnail_key: image.thumbnailKey,
+    thumbnail_url: image.thumbnailUrl,
+    width: image.width,
+    height: image.height
+  }));
+
+  // 저장 직후 다시 읽으므로 리더 복제 지연을 피해 같은 라이터 커넥션 사용
+  const conn = await db.getConnection();
+  try {
+    let result;
+    try {
+      [result] = await conn.query(
+        `INSERT INTO product_reviews (product_id, user_id, order_item_id, rating, title, content, images)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [product.id, userId, purchases[0].id, input.rating, input.title ?? null, input.content, JSON.stringify(images)]
+      );
+    } catch (err) {
+      // DB에 기록되지 않은 이미지 정리
+      await deleteStoredObjects(images.flatMap(image => [image.key, image.thumbnail_key]));
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw createProductError(409, 'REVIEW_EXISTS', 'You have already reviewed this product');
+      }
+      throw err;
+    }
+
+    const [rows] = await conn.query('SELECT * FROM product_reviews WHERE id = ?', [result.insertId]);
+    return formatReview(rows[0], { moderation: true });
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 리뷰 조회 (없으면 404)
+ */
+async function findReview(productId, reviewId, connection = db) {
+  const [rows] = await connection.query(
+    'SELECT * FROM product_reviews WHERE id = ? AND product_id = ?',
+    [reviewId, productId]
+  );
+  if (rows.length === 0) {
+    throw createProductError(404, 'REVIEW_NOT_FOUND', 'Review not found');
+  }
+  return rows[0];
+}
+
+/**
+ * 리뷰 삭제 (작성자 또는 관리자, 첨부 이미지도 저장소에서 삭제)
+ * @param {number|string} productId - 상품 ID
+ * @param {number|string} reviewId - 리뷰 ID
+ * @param {number} userId - 요청 사용자
+ * @param {boolean} isManager - reviews.moderate 권한 여부
+ * @returns {Promise<Object>} - 삭제된 리뷰
+ */
+async function deleteReview(productId, reviewId, userId, isManager) {
+  const review = await findReview(productId, reviewId);
+  if (!isManager && String(review.user_id) !== String(userId)) {
+    throw createProductError(403, 'FORBIDDEN', 'You can only delete your own reviews');
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM product_reviews WHERE id = ?', [review.id]);
+    await refreshProductRating(review.product_id, conn);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  const images = typeof review.images === 'string' ? JSON.parse(review.images) : review.images;
+  await deleteStoredObjects((images || []).flatMap(image => [image.key, image.thumbnail_key]));
+  return formatReview(review, { moderation: true });
+}
+
+/**
+ * "도움이 돼요" 투표/취소 (승인된 리뷰만, 자신의 리뷰는 불가)
+ * @param {number|string} productId - 상품 ID
+ * @param {number|string} reviewId - 리뷰 ID
+ * @param {number} userId - 투표 사용자
+ * @param {boolean} helpful - true면 투표, false면 취소
+ * @returns {Promise<number>} - 갱신된 helpful_count
+ */
+async function setHelpfulVote(productId, reviewId, userId, helpful) {
+  const review = await findReview(productId, reviewId);
+  if (review.status !== 'approved') {
+    throw createProductError(404, 'REVIEW_NOT_FOUND', 'Review not found');
+  }
+  if (String(review.user_id) === String(userId)) {
+    throw createProductError(403, 'CANNOT_VOTE_OWN_REVIEW', 'You cannot vote on your own review');
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    if (helpful) {
+      await conn.query('INSERT IGNORE INTO review_helpful_votes (review_id, user_id) VALUES (?, ?)', [review.id, userId]);
+    } else {
+      await conn.query('DELETE FROM review_helpful_votes WHERE review_id = ? AND user_id = ?', [review.id, userId]);
+    }
+
+    await conn.query(
+      `UPDATE product_reviews
+       SET helpful_count = (SELECT COUNT(*) FROM review_helpful_votes WHERE review_id = ?)
+       WHERE id = ?`,
+      [review.id, review.id]
+    );
+    const [[{ helpful_count }]] = await conn.query('SELECT helpful_count FROM product_reviews WHERE id = ?', [review.id]);
+
+    await conn.commit();
+    return helpful_count;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 검수용 리뷰 목록 (관리자)
+ * @param {Object} query - req.query (status: pending(기본)|approved|rejected, product_id, page, limit)
+ * @returns {Promise<Object>} - { reviews, pagination }
+ */
+async function listReviewsForModeration(query) {
+  const status = query.status || 'pending';
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw createProductError(400, 'INVALID_QUERY', `status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+  const { page, limit } = parsePage(query);
+
+  const conditions = ['r.status = ?'];
+  const params = [status];
+  if (query.product_id !== undefined && query.product_id !== '') {
+    conditions.push('r.product_id = ?');
+    params.push(query.product_id);
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  // 검수 대기는 오래된 것부터
+  const [rows] = await db.query(
+    `SELECT r.*, u.name AS author_name, p.name AS product_name
+     FROM product_reviews r
+     LEFT JOIN users u ON u.user_id = r.user_id
+     LEFT JOIN products p ON p.id = r.product_id
+     ${where}
+     ORDER BY r.created_at ${status === 'pending' ? 'ASC' : 'DESC'}, r.id ASC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM product_reviews r ${where}`, params);
+
+  return {
+    reviews: rows.map(row => ({ ...formatReview(row, { moderation: true }), product_name: row.product_name })),
+    pagination: {
+      page,
+      limit,
+      total: Number(total),
+      total_pages: Math.ceil(Number(total) / limit)
+    }
+  };
+}
+
+/**
+ * 리뷰 검수 (승인/반려/대기로 되돌림) 후 상품 별점 집계 갱신
+ * @param {number|string} reviewId - 리뷰 ID
+ * @param {Object} input - { status, note }
+ * @param {number} moderatorId - 검수자
+ * @returns {Promise<Object>} - { previous_status, review }
+ */
+async function moderateReview(reviewId, { status, note }, moderatorId) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT * FROM product_reviews WHERE id = ? FOR UPDATE', [reviewId]);
+    if (rows.length === 0) {
+      throw createProductError(404, 'REVIEW_NOT_FOUND', 'Review not found');
+    }
+    const previous = rows[0];
+
+    await conn.query(
+      `UPDATE product_reviews
+       SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = NOW()
+       WHERE id = ?`,
+      [status, note ?? null, moderatorId, previous.id]
+    );
+    await refreshProductRating(previous.product_id, conn);
+
+    const [updated] = await conn.query('SELECT * FROM product_reviews WHERE id = ?', [previous.id]);
+    await conn.commit();
+
+    return { previous_status: previous.status, review: formatReview(updated[0], { moderation: true }) };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export {
+  MAX_REVIEW_IMAGES,
+  REVIEW_STATUSES,
+  getReviewSummary,
+  listReviews,
+  createReview,
+  deleteReview,
+  setHelpfulVote,
+  listReviewsForModeration,
+  moderateReview
+};
@@ -0,0 +1,252 @@
+/**
+ * 파일 저장소
+ * 상품 이미지 저장 위치를 교체할 수 있도록 분리 (STORAGE_DRIVER 환경 변수로 선택)
+ *   - s3: S3 버킷에 저장 (기본값, S3_BUCKET / AWS_REGION / S3_PUBLIC_BASE_URL)
+ *   - local: STORAGE_LOCAL_DIR 디렉토리에 저장, routes/storage.js가 정적 파일로 제공 (AWS 없이 로컬 개발/테스트용)
+ * 다른 저장소는 registerStorageDriver로 등록해서 사용
+ *
+ * 저장소 인터페이스:
+ *   put(key, body, contentType) → URL
+ *   get(key, { maxBytes }) → Buffer (없으면 null, maxBytes보다 크면 code OBJECT_TOO_LARGE 에러 — 끝까지 읽지 않음)
+ *   delete(key)
+ *   list(prefix) → [{ key, lastModified }] (prefix 아래 전체)
+ *   createUploadUrl(key, contentType, expiresIn, maxBytes) → { url, method: 'POST', fields }
+ *     브라우저 직접 업로드용 multipart 폼 (fields를 먼저, 파일은 마지막 file 필드로 전송 — 크기는 1 ~ maxBytes로 제한)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { createPresignedPost } from '@aws-sdk/s3-presigned-post';
+
+const S3_REGION = process.env.AWS_REGION || 'ap-northeast-2';
+const S3_BUCKET = process.env.S3_BUCKET || 'sb3-u1-web-bucket';
+// CloudFront 등 별도 도메인으로 제공할 때 지정
+const S3_PUBLIC_BASE_URL = (process.env.S3_PUBLIC_BASE_URL || `https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`).replace(/\/$/, '');
+
+const LOCAL_STORAGE_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+// 로컬 파일 제공 경로 (routes/storage.js가 이 경로에 마운트됨)
+const LOCAL_MOUNT_PATH = '/uploads';
+// 다른 호스트에서 접근할 때 지정 (예: http://localhost:3002)
+const LOCAL_PUBLIC_BASE_URL = (process.env.STORAGE_PUBLIC_BASE_URL || '').replace(/\/$/, '');
+// 로컬 직접 업로드 URL 서명 키
+const LOCAL_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'local-storage-secret';
+
+/**
+ * 크기 제한 초과 에러 (get의 maxBytes)
+ */
+function objectTooLargeError(key, maxBytes) {
+  const error = new Error(`Stored object ${key} is larger than ${maxBytes} bytes`);
+  error.code = 'OBJECT_TOO_LARGE';
+  return error;
+}
+
+/**
+ * 로컬 직접 업로드 서명 (key, content type, 최대 크기, 만료 시각)
+ */
+function signLocalUpload(key, contentType, maxBytes, expires) {
+  return crypto
+    .createHmac('sha256', LOCAL_SIGNING_SECRET)
+    .update(`${key}\n${contentType}\n${maxBytes}\n${expires}`)
+    .digest('hex');
+}
+
+/**
+ * 로컬 직접 업로드 서명 검증 (routes/storage.js)
+ * @returns {boolean}
+ */
+function verifyLocalUpload({ key, contentType, maxBytes, expires, signature }) {
+  if (!key || !contentType || !maxBytes || !expires || typeof signature !== 'string' || Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(signLocalUpload(key, contentType, maxBytes, expires));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// 드라이버 이름 → () => 저장소
+const drivers = {
+  s3: () => {
+    const client = new S3Client({ region: S3_REGION });
+
+    return {
+      async put(key, body, contentType) {
+        await client.send(new PutObjectCommand({ Bucket: S3_BUCKET, Key: key, Body: body, ContentType: contentType }));
+        return `${S3_PUBLIC_BASE_URL}/${key}`;
+      },
+      async get(key, { maxBytes } = {}) {
+        try {
+          const result = await client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+          // 본문을 받기 전에 크기 확인 (큰 객체를 메모리로 읽지 않음)
+          if (maxBytes !== undefined && result.ContentLength > maxBytes) {
+            result.Body.destroy();
+            throw objectTooLargeError(key, maxBytes);
+          }
+          return Buffer.from(await result.Body.transformToByteArray());
+        } catch (err) {
+          if (err.name === 'NoSuchKey') {
+            return null;
+          }
+          throw err;
+        }
+      },
+      async delete(key) {
+        await client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+      },
+      async list(prefix) {
+        const objects = [];
+        let continuationToken;
+        do {
+          const result = await client.send(new ListObjectsV2Command({
+            Bucket: S3_BUCKET,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+          }));
+          for (const object of result.Contents || []) {
+            objects.push({ key: object.Key, lastModified: object.LastModified });
+          }
+          continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return objects;
+      },
+      async createUploadUrl(key, contentType, expiresIn, maxBytes) {
+        // presigned PUT은 크기를 제한할 수 없으므로 content-length-range 조건이 있는 presigned POST 사용
+        const { url, fields } = await createPresignedPost(client, {
+          Bucket: S3_BUCKET,
+          Key: key,
+          Conditions: [
+            ['content-length-range', 1, maxBytes],
+            ['eq', '$Content-Type', contentType]
+          ],
+          Fields: { 'Content-Type': contentType },
+          Expires: expiresIn
+        });
+        return { url, method: 'POST', fields };
+      }
+    };
+  },
+
+  local: () => {
+    // 키가 저장 디렉토리 밖을 가리키지 않도록 확인
+    const resolveKey = (key) => {
+      const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+      if (!filePath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return filePath;
+    };
+
+    return {
+      async put(key, body) {
+        const filePath = resolveKey(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, body);
+        return `${LOCAL_PUBLIC_BASE_URL}${LOCAL_MOUNT_PATH}/${key}`;
+      },
+      async get(key, { maxBytes } = {}) {
+        try {
+          const filePath = resolveKey(key);
+          if (maxBytes !== undefined && (await fs.stat(filePath)).size > maxBytes) {
+            throw objectTooLargeError(key, maxBytes);
+          }
+          return await fs.readFile(filePath);
+        } catch (err) {
+          if (err.code === 'ENOENT') {
+            return null;
+          }
+          throw err;
+        }
+      },
+      async delete(key) {
+        await fs.rm(resolveKey(key), { force: true });
+      },
+      async list(prefix) {
+        const dir = resolveKey(prefix);
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') {
+            return [];
+          }
+          throw err;
+        }
+
+        const objects = [];
+        for (const entry of entries.filter(item => item.isFile())) {
+          const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+          const { mtime } = await fs.stat(filePath);
+          objects.push({ key: path.relative(LOCAL_STORAGE_DIR, filePath).split(path.sep).join('/'), lastModified: mtime });
+        }
+        return objects;
+      },
+      async createUploadUrl(key, contentType, expiresIn, maxBytes) {
+        resolveKey(key);
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        // S3 presigned POST와 같은 형식 (fields + file)
+        return {
+          url: `${LOCAL_PUBLIC_BASE_URL}${LOCAL_MOUNT_PATH}/direct`,
+          method: 'POST',
+          fields: {
+            key,
+            'Content-Type': contentType,
+            max_bytes: String(maxBytes),
+            expires: String(expires),
+            signature: signLocalUpload(key, contentType, maxBytes, expires)
+          }
+        };
+      }
+    };
+  }
+};
+
+// 생성된 저장소 (드라이버별 1개)
+const instances = new Map();
+
+/**
+ * 저장소 드라이버 등록
+ * @param {string} name - 드라이버 이름 (STORAGE_DRIVER 값)
+ * @param {Function} factory - () => { put, get, delete, list, createUploadUrl }
+ */
+function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+  instances.delete(name);
+}
+
+/**
+ * 현재 설정된 저장소 드라이버 이름
+ */
+function getStorageDriverName() {
+  return process.env.STORAGE_DRIVER || 's3';
+}
+
+/**
+ * 현재 설정된 저장소
+ * @returns {{ put: Function, get: Function, delete: Function, list: Function, createUploadUrl: Function }}
+ */
+function getStorage() {
+  const driverName = getStorageDriverName();
+
+  if (!instances.has(driverName)) {
+    const factory = drivers[driverName];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+    instances.set(driverName, factory());
+  }
+
+  return instances.get(driverName);
+}
+
+export {
+  LOCAL_STORAGE_DIR,
+  LOCAL_MOUNT_PATH,
+  registerStorageDriver,
+  getStorageDriverName,
+  getStorage,
+  verifyLocalUpload
+};
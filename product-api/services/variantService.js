@@ -0,0 +1,220 @@
+/**
+ * 상품 옵션 서비스
+ * product_variants (옵션 조합별 SKU, 가격 차액, 재고) 조회/등록/수정/비활성화
+ * 옵션 단가 = products.price + price_delta
+ * 재고(stock)는 shared/inventory.js를 통해 변경 (inventory_movements에 variant_id와 함께 기록)
+ */
+
+import { db } from '../../shared/db.js';
+import { setStock, recordInitialStock } from '../../shared/inventory.js';
+import { DELETED_PRODUCT_STATUS } from '../../shared/productStatus.js';
+import { createProductError, translateDuplicateSku } from './productService.js';
+
+/**
+ * 금액을 센트 단위 정수로 변환 (DECIMAL 문자열 포함)
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * 옵션 행 → 응답 형태 (단가 계산, options JSON 파싱)
+ * @param {Object} variant - product_variants 행
+ * @param {Object} product - products 행
+ */
+function formatVariant(variant, product) {
+  const options = typeof variant.options === 'string' ? JSON.parse(variant.options) : variant.options;
+
+  return {
+    id: variant.id,
+    sku: variant.sku,
+    name: variant.name,
+    options: options || {},
+    price_delta: toCents(variant.price_delta) / 100,
+    price: (toCents(product.price) + toCents(variant.price_delta)) / 100,
+    stock: variant.stock,
+    is_active: Boolean(variant.is_active),
+    sort_order: variant.sort_order
+  };
+}
+
+/**
+ * 옵션 그룹 (예: { color: ['블랙', '화이트'], size: ['M', 'L'] }) — 옵션 선택 UI용
+ * @param {Array} variants - formatVariant 결과
+ */
+function buildOptionGroups(variants) {
+  const groups = {};
+  for (const variant of variants) {
+    for (const [name, value] of Object.entries(variant.options)) {
+      groups[name] = groups[name] || [];
+      if (!groups[name].includes(value)) {
+        groups[name].push(value);
+      }
+    }
+  }
+  return groups;
+}
+
+/**
+ * 상품 옵션 목록
+ * @param {Object} product - products 행
+ * @param {Object} options - { includeInactive: 비활성 옵션 포함 여부 (관리자) }
+ * @returns {Promise<Object>} - { variants, option_groups }
+ */
+async function listVariants(product, { includeInactive = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT * FROM product_variants
+     WHERE product_id = ? ${includeInactive ? '' : 'AND is_active = TRUE'}
+     ORDER BY sort_order ASC, id ASC`,
+    [product.id]
+  );
+
+  const variants = rows.map(row => formatVariant(row, product));
+  return { variants, option_groups: buildOptionGroups(variants) };
+}
+
+/**
+ * 옵션을 변경할 수 있는 상품 조회 (삭제된 상품 제외)
+ */
+async function findVariantProduct(productId) {
+  const [rows] = await db.query('SELECT * FROM products WHERE id = ?', [productId]);
+  if (rows.length === 0) {
+    throw createProductError(404, 'PRODUCT_NOT_FOUND', 'Product not found');
+  }
+  if (rows[0].status === DELETED_PRODUCT_STATUS) {
+    throw createProductError(409, 'PRODUCT_DELETED', 'Product is deleted; restore it before making changes');
+  }
+  return rows[0];
+}
+
+/**
+ * 옵션 단가가 0보다 큰지 확인
+ */
+function assertPositivePrice(product, priceDelta) {
+  if (toCents(product.price) + toCents(priceDelta) <= 0) {
+    throw createProductError(400, 'VALIDATION_ERROR', 'price_delta must keep the variant price above 0');
+  }
+}
+
+/**
+ * 옵션 등록 (최초 재고를 재고 이력에 함께 기록)
+ * @param {number|string} productId - 상품 ID
+ * @param {Object} input - 검증된 입력 (sku, name, options, price_delta, stock, is_active, sort_order)
+ * @param {Object} options - { actorId: 등록한 사용자 ID }
+ * @returns {Promise<Object>} - 생성된 옵션
+ */
+async function createVariant(productId, input, { actorId = null } = {}) {
+  const product = await findVariantProduct(productId);
+  assertPositivePrice(product, input.price_delta);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      `INSERT INTO product_variants (product_id, sku, name, options, price_delta, stock, is_active, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        product.id, input.sku, input.name, JSON.stringify(input.options),
+        input.price_delta, input.stock, input.is_active, input.sort_order
+      ]
+    );
+    await recordInitialStock(conn, { productId: product.id, variantId: result.insertId, stock: input.stock, actorId });
+
+    const [rows] = await conn.query('SELECT * FROM product_variants WHERE id = ?', [result.insertId]);
+    await conn.commit();
+    return formatVariant(rows[0], product);
+  } catch (err) {
+    await conn.rollback();
+    throw translateDuplicateSku(err, input.sku);
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 옵션 부분 수정 (changes에 포함된 컬럼만 변경, stock은 재고 이력(adjustment)을 남기며 변경)
+ * @param {number|string} productId - 상품 ID
+ * @param {number|string} variantId - 옵션 ID
+ * @param {Object} changes - 변경할 컬럼 → 값
+ * @param {Object} options - { actorId: 수정한 사용자 ID }
+ * @returns {Promise<Object>} - { previous, variant, stockAlerts(커밋 후 발송할 재고 부족 알림) }
+ */
+async function updateVariant(productId, variantId, changes, { actorId = null } = {}) {
+  const product = await findVariantProduct(productId);
+
+  const [rows] = await db.query(
+    'SELECT * FROM product_variants WHERE id = ? AND product_id = ?',
+    [variantId, product.id]
+  );
+  if (rows.length === 0) {
+    throw createProductError(404, 'VARIANT_NOT_FOUND', 'Variant not found');
+  }
+
+  if ('price_delta' in changes) {
+    assertPositivePrice(product, changes.price_delta);
+  }
+
+  const previous = {};
+  for (const column of Object.keys(changes)) {
+    previous[column] = rows[0][column];
+  }
+
+  const { stock, ...fields } = changes;
+  const columns = Object.keys(fields);
+  const values = columns.map(column => (column === 'options' ? JSON.stringify(fields[column]) : fields[column]));
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await conn.query(
+      `UPDATE product_variants SET ${[...columns.map(column => `${column} = ?`), 'updated_at = NOW()'].join(', ')} WHERE id = ?`,
+      [...values, rows[0].id]
+    );
+
+    let movement = null;
+    if (stock !== undefined) {
+      movement = await setStock(conn, {
+        productId: product.id,
+        variantId: rows[0].id,
+        stock,
+        actorId,
+        reason: 'variant_update'
+      });
+    }
+
+    const [updated] = await conn.query('SELECT * FROM product_variants WHERE id = ?', [rows[0].id]);
+    await conn.commit();
+
+    return {
+      previous,
+      variant: formatVariant(updated[0], product),
+      stockAlerts: movement?.alert ? [movement.alert] : []
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw translateDuplicateSku(err, changes.sku);
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 옵션 비활성화
+ * order_items.variant_id가 계속 참조할 수 있도록 행은 유지
+ * @param {number|string} productId - 상품 ID
+ * @param {number|string} variantId - 옵션 ID
+ * @returns {Promise<Object>} - 비활성화된 옵션
+ */
+async function deactivateVariant(productId, variantId, { actorId = null } = {}) {
+  const { variant } = await updateVariant(productId, variantId, { is_active: false }, { actorId });
+  return variant;
+}
+
+export {
+  listVariants,
+  createVariant,
+  updateVariant,
+  deactivateVariant
+};
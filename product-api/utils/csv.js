@@ -0,0 +1,104 @@
+/**
+ * CSV 유틸리티 (RFC 4180)
+ * 쉼표 구분, 큰따옴표로 감싼 값 안의 쉼표/줄바꿈/"" 이스케이프 지원, CRLF/LF 모두 허용
+ *
+ * 스프레드시트 수식 실행 방지: =, +, -, @, 탭, CR로 시작하는 문자열은 내보낼 때 앞에 '를 붙이고
+ * 가져올 때 그 '를 다시 제거 (내보낸 파일을 그대로 가져와도 값이 바뀌지 않음)
+ */
+
+// 스프레드시트가 수식으로 해석하는 시작 문자 (앞에 '가 이미 붙은 값도 포함해서 한 번 더 붙임)
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+const ESCAPED_FORMULA_PREFIX = /^'+[=+\-@\t\r]/;
+
+/**
+ * CSV 텍스트 → 레코드 배열
+ * 첫 줄은 헤더 (앞뒤 공백 제거, 소문자로 변환), 빈 줄은 무시
+ * 수식 방지용으로 붙인 앞의 '는 제거
+ * @param {string} text - CSV 내용 (UTF-8 BOM 허용)
+ * @returns {Array<Object>} - 헤더 → 값(문자열) 객체 배열
+ * @throws {Error} - 닫히지 않은 따옴표 등 형식 오류
+ */
+function parseCsv(text) {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const lines = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      fields.push(field);
+      lines.push(fields);
+      fields = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    lines.push(fields);
+  }
+
+  const rows = lines.filter(line => line.length > 1 || line[0] !== '');
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  return rows.slice(1).map(values => {
+    const record = {};
+    header.forEach((name, index) => {
+      if (name) {
+        const value = values[index] ?? '';
+        record[name] = ESCAPED_FORMULA_PREFIX.test(value) ? value.slice(1) : value;
+      }
+    });
+    return record;
+  });
+}
+
+/**
+ * 값 배열 → CSV 한 줄 (CRLF 포함)
+ * 쉼표, 따옴표, 줄바꿈이 있는 값만 따옴표로 감쌈 (null/undefined는 빈 값)
+ * 수식으로 해석될 수 있는 문자열은 앞에 '를 붙임
+ * @param {Array} values - 필드 값
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+export {
+  parseCsv,
+  formatCsvRow
+};
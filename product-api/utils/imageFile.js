@@ -0,0 +1,104 @@
+/**
+ * 이미지 파일 검증
+ * 업로드 파일의 MIME 타입, 확장자, 파일 시그니처(magic bytes)가 모두 같은 이미지 형식인지 확인
+ * (클라이언트가 보낸 Content-Type/파일명만으로는 신뢰하지 않음)
+ */
+
+// 파일당 최대 크기 (5MB)
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+// 허용 이미지 형식 → MIME 타입, 확장자, 저장 확장자
+const IMAGE_TYPES = {
+  jpeg: { mimeTypes: ['image/jpeg', 'image/pjpeg'], extensions: ['.jpg', '.jpeg'], extension: 'jpg' },
+  png: { mimeTypes: ['image/png'], extensions: ['.png'], extension: 'png' },
+  gif: { mimeTypes: ['image/gif'], extensions: ['.gif'], extension: 'gif' },
+  webp: { mimeTypes: ['image/webp'], extensions: ['.webp'], extension: 'webp' }
+};
+
+/**
+ * 파일 시그니처로 이미지 형식 판별
+ * @param {Buffer} buffer - 파일 내용
+ * @returns {string|null} - IMAGE_TYPES 키 (알 수 없으면 null)
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  const gifHeader = buffer.toString('ascii', 0, 6);
+  if (gifHeader === 'GIF87a' || gifHeader === 'GIF89a') {
+    return 'gif';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  return null;
+}
+
+/**
+ * 파일명과 MIME 타입 검증 (내용 확인 전 단계 — 직접 업로드 URL 발급 시에도 사용)
+ * @param {string} fileName - 원본 파일명
+ * @param {string} mimeType - 선언된 MIME 타입
+ * @returns {{ type: string, error: string|null }} - type: IMAGE_TYPES 키
+ */
+function validateImageName(fileName, mimeType) {
+  const declaredType = Object.keys(IMAGE_TYPES)
+    .find(type => IMAGE_TYPES[type].mimeTypes.includes(mimeType));
+  if (!declaredType) {
+    return { type: null, error: `Unsupported image type: ${mimeType}` };
+  }
+
+  const extension = (String(fileName).match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+  if (!IMAGE_TYPES[declaredType].extensions.includes(extension)) {
+    return { type: null, error: `File extension ${extension || '(none)'} does not match ${mimeType}` };
+  }
+
+  return { type: declaredType, error: null };
+}
+
+/**
+ * 업로드 이미지 검증
+ * @param {Object} file - multer 파일 ({ originalname, mimetype, buffer })
+ * @returns {{ type: string, error: string|null }} - type: IMAGE_TYPES 키
+ */
+function validateImageFile(file) {
+  const { type: declaredType, error } = validateImageName(file.originalname, file.mimetype);
+  if (error) {
+    return { type: null, error };
+  }
+
+  if (file.buffer.length > MAX_IMAGE_SIZE) {
+    return { type: null, error: `Image must be at most ${MAX_IMAGE_SIZE} bytes` };
+  }
+
+  const detectedType = detectImageType(file.buffer);
+  if (detectedType !== declaredType) {
+    return { type: null, error: `File content is not a valid ${declaredType} image` };
+  }
+
+  return { type: declaredType, error: null };
+}
+
+/**
+ * 이미지 형식의 저장 확장자
+ * @param {string} type - IMAGE_TYPES 키
+ */
+function imageExtension(type) {
+  return IMAGE_TYPES[type].extension;
+}
+
+export {
+  MAX_IMAGE_SIZE,
+  IMAGE_TYPES,
+  detectImageType,
+  validateImageName,
+  validateImageFile,
+  imageExtension
+};
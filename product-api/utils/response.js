@@ -0,0 +1,34 @@
+/**
+ * 응답 유틸리티
+ * 상품 서비스 에러를 HTTP 응답으로 변환 (routes 공통)
+ */
+
+/**
+ * 서비스 에러를 HTTP 응답으로 변환
+ * - err.status가 있으면 서비스 에러 (상품 없음, SKU 중복 등)
+ * - 그 외는 500 SERVER_ERROR
+ * @param {Object} res - Express 응답 객체
+ * @param {Error} err - 발생한 에러
+ * @param {string} label - 서버 에러 로그 라벨
+ */
+function sendProductError(res, err, label) {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.code,
+      error: err.message,
+      ...err.details
+    });
+  }
+
+  console.error(`${label}:`, err);
+  return res.status(500).json({
+    success: false,
+    message: 'SERVER_ERROR',
+    error: err.message
+  });
+}
+
+export {
+  sendProductError
+};
@@ -1,9 +1,26 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { db } from './db.js';  // 같은 shared 폴더 내
+import redisClient, { initRedis } from './redis.js';
+import { getRolePermissions, roleHasPermission, roleExists, SUPER_ADMIN_ROLE } from './permissions.js';
+
+// 토큰 폐기 목록 조회용 Redis 연결 (연결될 때까지 클라이언트가 계속 재시도, 연결 전/장애 시 인증은 503)
+initRedis().catch(() => {});
+
+/**
+ * 인증/권한 관리 에러 생성 (라우트에서 HTTP 상태/에러 코드로 응답)
+ */
+const createAuthError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
 
 /**
  * JWT 토큰 생성 (동적 데이터 포함)
- * @param {Object} user - 사용자 정보
+ * 토큰마다 고유 jti를 부여하고, 발급 시점의 토큰 버전(ver)을 담는다
+ * @param {Object} user - 사용자 정보 (token_version: getTokenVersion으로 조회한 값)
  * @param {Object} additionalData - 추가할 동적 데이터 (선택사항)
  */
 export const generateToken = (user, additionalData = {}) => {
@@ -12,9 +29,9 @@ export const generateToken = (user, additionalData = {}) => {
     userId: user.user_id,
     email: user.email,
     role: user.role,
+    ver: user.token_version || 0, // 토큰 버전 (버전이 올라가면 이전 토큰은 모두 무효)
     // 동적 데이터 추가
     timestamp: Date.now(), // 토큰 생성 시간
-    sessionId: Math.random().toString(36).substring(7), // 세션 ID
     ...additionalData // 추가 동적 데이터
   };
 
@@ -22,11 +39,130 @@ export const generateToken = (user, additionalData = {}) => {
     payload,
     process.env.JWT_SECRET || 'your-secret-key-change-in-production',
     {
-      expiresIn: '24h'
+      expiresIn: '24h',
+      jwtid: crypto.randomUUID() // 토큰 고유 ID (개별 폐기용)
     }
   )
 };
 
+/**
+ * 사용자의 현재 토큰 버전 조회 (Redis token_version:{userId}, 없으면 0)
+ * @param {number} userId - 사용자 ID
+ */
+export const getTokenVersion = async (userId) => {
+  try {
+    const version = await redisClient.get(`token_version:${userId}`);
+    return Number(version) || 0;
+  } catch (error) {
+    console.error(`Redis GET error (token_version:${userId}):`, error);
+    return 0;
+  }
+};
+
+/**
+ * 사용자의 토큰 버전 증가 (발급된 모든 Access Token 무효화)
+ * 관리자 강제 로그아웃, 비밀번호 변경 시 사용
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<number>} - 새 토큰 버전
+ */
+export const bumpTokenVersion = async (userId) => {
+  return redisClient.incr(`token_version:${userId}`);
+};
+
+/**
+ * Access Token 개별 폐기 (로그아웃 시)
+ * 남은 만료 시간 동안만 Redis revoked_jti:{jti}에 보관
+ * @param {string} token - Access Token
+ * @returns {Promise<boolean>} - 폐기 여부 (유효하지 않은 토큰이면 false)
+ */
+export const revokeToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(
+      token,
+      process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+      { ignoreExpiration: true }
+    );
+  } catch (error) {
+    return false;
+  }
+
+  const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+  if (!decoded.jti || ttl <= 0) {
+    return false;
+  }
+
+  await redisClient.set(`revoked_jti:${decoded.jti}`, '1', { EX: ttl });
+  return true;
+};
+
+/**
+ * 토큰 폐기 여부 확인 (폐기된 jti 또는 현재 버전과 다른 ver)
+ * Redis 연결 전/장애로 확인할 수 없으면 503 에러를 throw (폐기된 토큰을 통과시키지 않음)
+ * @param {Object} decoded - 검증된 토큰 페이로드
+ */
+const isTokenRevoked = async (decoded) => {
+  if (!redisClient.isReady) {
+    initRedis().catch(() => {});
+    throw createAuthError(503, 'AUTH_UNAVAILABLE', 'Redis not ready: cannot check token revocation');
+  }
+
+  try {
+    const [revoked, version] = await redisClient.mGet([
+      `revoked_jti:${decoded.jti}`,
+      `token_version:${decoded.userId}`,
+    ]);
+
+    return Boolean(revoked) || (decoded.ver || 0) !== (Number(version) || 0);
+  } catch (error) {
+    console.error('Redis error on token revocation check:', error);
+    throw createAuthError(503, 'AUTH_UNAVAILABLE', 'Cannot check token revocation');
+  }
+};
+
+// Refresh Token 설정 (Access Token과 다른 서명 키/만료 시간 사용)
+const REFRESH_TOKEN_SECRET =
+  process.env.JWT_REFRESH_SECRET || `${process.env.JWT_SECRET || 'your-secret-key-change-in-production'}:refresh`;
+export const REFRESH_TOKEN_TTL_SECONDS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 60 * 60 * 24 * 7; // 7일
+
+/**
+ * Refresh Token 생성
+ * 세션 패밀리(familyId)와 토큰 고유 ID(jti)만 담은 장기 토큰 (API 인증에는 사용 불가)
+ * @param {Object} user - 사용자 정보
+ * @param {string} familyId - 로그인 1회당 생성되는 세션 패밀리 ID
+ * @param {string} jti - 이 Refresh Token의 고유 ID (회전 시마다 새로 발급)
+ */
+export const generateRefreshToken = (user, familyId, jti) => {
+  return jwt.sign(
+    {
+      userId: user.user_id,
+      type: 'refresh',
+      familyId,
+    },
+    REFRESH_TOKEN_SECRET,
+    {
+      expiresIn: REFRESH_TOKEN_TTL_SECONDS,
+      jwtid: jti,
+    }
+  );
+};
+
+/**
+ * Refresh Token 검증
+ * 서명/만료/타입을 확인하고 페이로드 반환 (실패 시 jwt 에러 throw)
+ * @param {string} token - Refresh Token
+ */
+export const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, REFRESH_TOKEN_SECRET);
+
+  if (decoded.type !== 'refresh' || !decoded.familyId || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('invalid refresh token');
+  }
+
+  return decoded;
+};
+
 /**
  * JWT 토큰 검증 미들웨어
  */
@@ -49,6 +185,22 @@ export const authenticate = async (req, res, next) => {
       process.env.JWT_SECRET || 'your-secret-key-change-in-production'
     );
 
+    // Refresh Token으로는 API 인증 불가
+    if (decoded.type === 'refresh') {
+      return res.status(401).json({
+        success: false,
+        message: '유효하지 않은 토큰입니다.',
+      });
+    }
+
+    // 로그아웃/강제 로그아웃/비밀번호 변경으로 폐기된 토큰 거부
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: '폐기된 토큰입니다. 다시 로그인해주세요.',
+      });
+    }
+
     // 사용자 정보 조회
     const [users] = await db.query(
       'SELECT user_id, email, name, role, is_active FROM users WHERE user_id = ?',
@@ -87,6 +239,14 @@ export const authenticate = async (req, res, next) => {
         message: '유효하지 않은 토큰입니다.',
       });
     }
+    // 토큰 폐기 여부를 확인할 수 없음 (Redis 장애) - 잠시 후 재시도
+    if (error.status === 503) {
+      return res.status(503).json({
+        success: false,
+        message: '인증 서버를 일시적으로 사용할 수 없습니다. 잠시 후 다시 시도해주세요.',
+        error: error.message,
+      });
+    }
     return res.status(500).json({
       success: false,
       message: '인증 처리 중 오류가 발생했습니다.',
@@ -95,6 +255,41 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * 서비스 간 내부 호출 또는 사용자 JWT 인증 미들웨어
+ * X-Service-Token 헤더가 SERVICE_API_TOKEN과 일치하면 내부 서비스(role: 'service')로 인증하고,
+ * 헤더가 없으면 일반 사용자 인증(authenticate)으로 처리
+ */
+export const authenticateServiceOrUser = (req, res, next) => {
+  const serviceToken = req.headers['x-service-token'];
+
+  if (!serviceToken) {
+    return authenticate(req, res, next);
+  }
+
+  const expected = Buffer.from(process.env.SERVICE_API_TOKEN || '');
+  const received = Buffer.from(String(serviceToken));
+  const isValid = expected.length > 0 &&
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected);
+
+  if (!isValid) {
+    return res.status(401).json({
+      success: false,
+      message: '유효하지 않은 서비스 토큰입니다.',
+    });
+  }
+
+  req.user = {
+    user_id: null,
+    email: null,
+    name: req.headers['x-service-name'] || 'internal-service',
+    role: 'service',
+    is_active: true,
+  };
+  next();
+};
+
 /**
  * 역할 기반 권한 체크 미들웨어
  * @param {Array<string>} allowedRoles - 허용된 역할 목록
@@ -135,17 +330,11 @@ export const checkPermission = (permissionName) => {
         });
       }
 
-      // super_admin은 모든 권한 보유
-      if (req.user.role === 'super_admin') {
-        return next();
-      }
-
-      // admin은 대부분의 권한 보유
-      if (req.user.role === 'admin') {
+      // 역할별 권한은 roles/role_permissions 테이블 기준 (super_admin은 모든 권한 보유)
+      if (await roleHasPermission(req.user.role, permissionName)) {
         return next();
       }
 
-      // customer는 제한된 권한만
       return res.status(403).json({
         success: false,
         message: `'${permissionName}' 권한이 필요합니다.`,
@@ -162,34 +351,44 @@ export const checkPermission = (permissionName) => {
 
 /**
  * 자신의 리소스만 접근 가능하도록 체크
+ * 본인이 아니면 permissionName 권한이 있는 역할만 접근 가능 (roles/role_permissions 테이블 기준)
  * @param {string} userIdField - 요청 파라미터에서 사용자 ID를 찾을 필드명
+ * @param {string} permissionName - 다른 사용자의 리소스 접근에 필요한 권한 이름
  */
-export const checkOwnership = (userIdField = 'userId') => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: '인증이 필요합니다.',
-      });
-    }
+export const checkOwnership = (userIdField = 'userId', permissionName = 'users.read') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: '인증이 필요합니다.',
+        });
+      }
 
-    // 관리자는 모든 리소스에 접근 가능
-    if (req.user.role === 'admin' || req.user.role === 'super_admin') {
-      return next();
-    }
+      // 요청된 사용자 ID
+      const requestedUserId =
+        req.params[userIdField] || req.body[userIdField] || req.query[userIdField];
+
+      if (String(requestedUserId) === String(req.user.user_id)) {
+        return next();
+      }
 
-    // 요청된 사용자 ID
-    const requestedUserId =
-      req.params[userIdField] || req.body[userIdField] || req.query[userIdField];
+      // 권한이 있는 역할은 모든 사용자의 리소스에 접근 가능
+      if (await roleHasPermission(req.user.role, permissionName)) {
+        return next();
+      }
 
-    if (String(requestedUserId) !== String(req.user.user_id)) {
       return res.status(403).json({
         success: false,
         message: '자신의 정보만 접근할 수 있습니다.',
       });
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: '권한 확인 중 오류가 발생했습니다.',
+        error: error.message,
+      });
     }
-
-    next();
   };
 };
 
@@ -237,7 +436,7 @@ export const logAdminActivity = async (userId, action, resource, resourceId, det
 };
 
 /**
- * 사용자의 모든 권한 조회
+ * 사용자의 모든 권한 조회 (역할 기준, shared/permissions.js)
  */
 export const getUserPermissions = async (userId) => {
   try {
@@ -250,27 +449,7 @@ export const getUserPermissions = async (userId) => {
       return [];
     }
 
-    const role = users[0].role;
-
-    // 역할별 기본 권한 반환
-    const rolePermissions = {
-      'super_admin': [
-        { name: 'users.manage', resource: 'users', action: 'manage' },
-        { name: 'products.manage', resource: 'products', action: 'manage' },
-        { name: 'orders.manage', resource: 'orders', action: 'manage' },
-      ],
-      'admin': [
-        { name: 'users.read', resource: 'users', action: 'read' },
-        { name: 'products.manage', resource: 'products', action: 'manage' },
-        { name: 'orders.manage', resource: 'orders', action: 'manage' },
-      ],
-      'customer': [
-        { name: 'products.read', resource: 'products', action: 'read' },
-        { name: 'orders.read_own', resource: 'orders', action: 'read_own' },
-      ]
-    };
-
-    return rolePermissions[role] || [];
+    return await getRolePermissions(users[0].role);
   } catch (error) {
     console.error('권한 조회 실패:', error);
     return [];
@@ -278,7 +457,7 @@ export const getUserPermissions = async (userId) => {
 };
 
 /**
- * 사용자가 특정 권한을 가지고 있는지 확인
+ * 사용자가 특정 권한을 가지고 있는지 확인 (활성 사용자만)
  */
 export const hasPermission = async (userId, permissionName) => {
   try {
@@ -291,22 +470,7 @@ export const hasPermission = async (userId, permissionName) => {
       return false;
     }
 
-    const role = users[0].role;
-
-    // super_admin은 모든 권한 보유
-    if (role === 'super_admin') {
-      return true;
-    }
-
-    // admin은 대부분의 권한 보유
-    if (role === 'admin') {
-      const adminRestricted = ['users.delete', 'users.manage_roles'];
-      return !adminRestricted.includes(permissionName);
-    }
-
-    // customer는 제한된 권한만
-    const customerPermissions = ['products.read', 'orders.read_own', 'orders.create'];
-    return customerPermissions.includes(permissionName);
+    return await roleHasPermission(users[0].role, permissionName);
   } catch (error) {
     console.error('권한 확인 실패:', error);
     return false;
@@ -315,39 +479,45 @@ export const hasPermission = async (userId, permissionName) => {
 
 /**
  * 역할 변경 (super_admin만 가능)
+ * 실패 시 status/code가 담긴 에러를 throw
+ * @returns {Promise<Object>} - { success, message, previousRole, role }
  */
 export const changeUserRole = async (targetUserId, newRole, adminUserId) => {
-  try {
-    // 관리자 권한 확인
-    const hasAuth = await hasPermission(adminUserId, 'users.manage_roles');
+  // 관리자 권한 확인
+  const hasAuth = await hasPermission(adminUserId, 'users.manage_roles');
 
-    if (!hasAuth) {
-      throw new Error('역할 변경 권한이 없습니다.');
-    }
+  if (!hasAuth) {
+    throw createAuthError(403, 'FORBIDDEN', '역할 변경 권한이 없습니다.');
+  }
 
-    // 유효한 역할인지 확인
-    const validRoles = ['customer', 'admin', 'super_admin'];
-    if (!validRoles.includes(newRole)) {
-      throw new Error('유효하지 않은 역할입니다.');
-    }
+  // 유효한 역할인지 확인 (roles 테이블에 등록된 역할)
+  if (typeof newRole !== 'string' || !(await roleExists(newRole))) {
+    throw createAuthError(400, 'INVALID_ROLE', '유효하지 않은 역할입니다.');
+  }
 
-    // super_admin 역할 변경 불가
-    const [targetUser] = await db.query(
-      'SELECT role FROM users WHERE user_id = ?',
-      [targetUserId]
-    );
+  // super_admin 역할 변경 불가
+  const [targetUser] = await db.query(
+    'SELECT role FROM users WHERE user_id = ?',
+    [targetUserId]
+  );
 
-    if (targetUser[0]?.role === 'super_admin') {
-      throw new Error('최고 관리자의 역할은 변경할 수 없습니다.');
-    }
-
-    await db.query(
-      'UPDATE users SET role = ?, updated_at = NOW() WHERE user_id = ?',
-      [newRole, targetUserId]
-    );
+  if (targetUser.length === 0) {
+    throw createAuthError(404, 'USER_NOT_FOUND', '사용자를 찾을 수 없습니다.');
+  }
 
-    return { success: true, message: '역할이 변경되었습니다.' };
-  } catch (error) {
-    throw error;
+  if (targetUser[0].role === SUPER_ADMIN_ROLE) {
+    throw createAuthError(403, 'FORBIDDEN', '최고 관리자의 역할은 변경할 수 없습니다.');
   }
+
+  await db.query(
+    'UPDATE users SET role = ?, updated_at = NOW() WHERE user_id = ?',
+    [newRole, targetUserId]
+  );
+
+  return {
+    success: true,
+    message: '역할이 변경되었습니다.',
+    previousRole: targetUser[0].role,
+    role: newRole,
+  };
 };
@@ -0,0 +1,114 @@
+/**
+ * 상품 카테고리 조회 (categories 테이블, 트리 구조)
+ * product-api 목록 필터와 lex-api 추천이 같은 기준으로 "선택한 카테고리 + 하위 카테고리"를 조회
+ *
+ * 카테고리 식별자는 ID, slug, 이름 중 하나 (예: 3, 'laptops', '노트북')
+ * 이름은 같은 상위 카테고리 안에서만 고유 — 여러 카테고리와 일치하는 이름은 400 AMBIGUOUS_CATEGORY (slug나 ID 사용)
+ */
+
+import { db } from "./db.js";
+
+/**
+ * 식별자(slug 우선, 없으면 이름)와 일치하는 카테고리 선택
+ * 이름만 일치하는 카테고리가 여러 개면 AMBIGUOUS_CATEGORY 에러
+ */
+const pickCategory = (matches, value) => {
+  const bySlug = matches.find(category => category.slug === value.toLowerCase());
+  if (bySlug) {
+    return bySlug;
+  }
+
+  const byName = matches.filter(category => category.name === value);
+  if (byName.length > 1) {
+    const error = new Error(`category name "${value}" matches ${byName.length} categories; use a slug or ID`);
+    error.status = 400;
+    error.code = 'AMBIGUOUS_CATEGORY';
+    error.details = { candidates: byName.map(category => ({ id: category.id, slug: category.slug })) };
+    throw error;
+  }
+  return byName[0] || null;
+};
+
+/**
+ * 식별자로 카테고리 조회
+ * @param {number|string} identifier - 카테고리 ID, slug 또는 이름
+ * @param {Object} connection - 데이터베이스 연결 (기본 db)
+ * @returns {Promise<Object|null>} - categories 행
+ * @throws {Error} - 이름이 여러 카테고리와 일치하면 400 AMBIGUOUS_CATEGORY
+ */
+export const findCategory = async (identifier, connection = db) => {
+  if (identifier === undefined || identifier === null || String(identifier).trim() === '') {
+    return null;
+  }
+
+  const value = String(identifier).trim();
+  if (/^\d+$/.test(value)) {
+    const [rows] = await connection.query('SELECT * FROM categories WHERE id = ?', [Number(value)]);
+    return rows[0] || null;
+  }
+
+  const [rows] = await connection.query(
+    'SELECT * FROM categories WHERE slug = ? OR name = ?',
+    [value.toLowerCase(), value]
+  );
+  return pickCategory(rows, value);
+};
+
+/**
+ * 카테고리와 모든 하위 카테고리 ID
+ * activeOnly면 비활성 카테고리(상위 카테고리가 비활성인 경우 포함)와 그 하위는 제외
+ * @param {number|string} identifier - 카테고리 ID, slug 또는 이름
+ * @param {Object} options - { activeOnly: 활성 카테고리만 (기본 true) }
+ * @returns {Promise<{ category: Object, ids: Array<number> }|null>} - 없거나 비활성이면 null
+ */
+export const findCategoryScope = async (identifier, { activeOnly = true } = {}) => {
+  const category = await findCategory(identifier);
+  if (!category) {
+    return null;
+  }
+
+  if (activeOnly) {
+    const [[{ inactive }]] = await db.query(
+      `WITH RECURSIVE ancestors AS (
+         SELECT id, parent_id, is_active FROM categories WHERE id = ?
+         UNION ALL
+         SELECT c.id, c.parent_id, c.is_active FROM categories c JOIN ancestors a ON c.id = a.parent_id
+       )
+       SELECT COUNT(*) AS inactive FROM ancestors WHERE is_active = FALSE`,
+      [category.id]
+    );
+    if (Number(inactive) > 0) {
+      return null;
+    }
+  }
+
+  const [rows] = await db.query(
+    `WITH RECURSIVE descendants AS (
+       SELECT id FROM categories WHERE id = ?
+       UNION ALL
+       SELECT c.id FROM categories c JOIN descendants d ON c.parent_id = d.id
+       ${activeOnly ? 'WHERE c.is_active = TRUE' : ''}
+     )
+     SELECT id FROM descendants`,
+    [category.id]
+  );
+
+  return { category, ids: rows.map(row => row.id) };
+};
+
+/**
+ * 미리 읽어 둔 카테고리 목록에서 식별자로 찾는 함수 생성 (findCategory와 같은 기준, 여러 건을 한 번에 확인할 때 사용)
+ * @param {Array<Object>} categories - categories 행 목록
+ * @returns {Function} - (identifier) => categories 행 또는 null
+ */
+export const createCategoryLookup = (categories) => (identifier) => {
+  if (identifier === undefined || identifier === null || String(identifier).trim() === '') {
+    return null;
+  }
+
+  const value = String(identifier).trim();
+  if (/^\d+$/.test(value)) {
+    return categories.find(category => category.id === Number(value)) || null;
+  }
+  return pickCategory(categories, value);
+};
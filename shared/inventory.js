@@ -0,0 +1,160 @@
+/**
+ * 재고 원장 (inventory_movements)
+ * products.stock / product_variants.stock을 바꾸는 모든 코드가 이 모듈을 통해 재고를 변경하고 이력을 남김
+ * (product-api 상품/옵션 등록·수정·입고, order-api 주문 재고 예약/반환)
+ *
+ * 모든 함수는 호출하는 쪽의 트랜잭션 커넥션에서 실행되며, 재고 행을 잠근 뒤 변경
+ * 재고 부족 알림은 반환값의 alert를 모아 커밋 후 notifyLowStock(shared/stockAlerts.js)으로 발송
+ */
+
+import { crossedLowStockThreshold } from "./stockAlerts.js";
+
+/**
+ * 재고 변경 종류 (inventory_movements.movement_type ENUM과 동일한 순서)
+ * initial      → 등록 시 최초 재고
+ * restock      → 입고
+ * sale         → 주문 재고 예약(차감)
+ * cancellation → 주문 취소/결제 실패/환불로 반환
+ * adjustment   → 수동 조정 (실사 차이, 파손, 관리자 재고 수정)
+ */
+export const MOVEMENT_TYPES = ['initial', 'restock', 'sale', 'cancellation', 'adjustment'];
+
+/**
+ * 판매 가능 재고 SQL 식 (옵션 상품은 판매 중인 옵션 재고 합계, 옵션이 없으면 상품 재고)
+ * 옵션 재고는 product_variants.stock에만 있고 products.stock에 합산되지 않으므로
+ * 재고 여부 필터/표시는 p.stock 대신 이 식을 사용
+ * @param {string} table - products 테이블 이름 또는 별칭 (예: 'p')
+ * @returns {string}
+ */
+export const availableStockSql = (table = 'products') =>
+  `COALESCE((SELECT SUM(av.stock) FROM product_variants av WHERE av.product_id = ${table}.id AND av.is_active = TRUE), ${table}.stock)`;
+
+/**
+ * 재고 에러 생성 (product-api/order-api 서비스 에러와 같은 형태 — status, code, details)
+ */
+const createInventoryError = (status, code, message, details = null) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * 재고 행 잠금 조회 (옵션이면 옵션 행과 상품 행을 함께 잠금)
+ * @returns {Promise<Object>} - { stock, product_name, variant_name, sku, low_stock_threshold }
+ */
+const lockStock = async (connection, productId, variantId) => {
+  const [rows] = variantId
+    ? await connection.query(
+        `SELECT v.stock, p.name AS product_name, v.name AS variant_name, v.sku, p.low_stock_threshold
+         FROM product_variants v
+         JOIN products p ON p.id = v.product_id
+         WHERE v.id = ? AND v.product_id = ?
+         FOR UPDATE`,
+        [variantId, productId]
+      )
+    : await connection.query(
+        `SELECT stock, name AS product_name, NULL AS variant_name, sku, low_stock_threshold
+         FROM products WHERE id = ? FOR UPDATE`,
+        [productId]
+      );
+
+  if (rows.length === 0) {
+    throw createInventoryError(404, variantId ? 'VARIANT_NOT_FOUND' : 'PRODUCT_NOT_FOUND', 'Stock item not found', {
+      product_id: Number(productId),
+      variant_id: variantId ? Number(variantId) : null
+    });
+  }
+  return rows[0];
+};
+
+/**
+ * 이력 기록
+ */
+const insertMovement = async (connection, movement) => {
+  const [result] = await connection.query(
+    `INSERT INTO inventory_movements
+     (product_id, variant_id, movement_type, quantity_change, stock_after, reason, actor_id, order_id, payment_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      movement.productId, movement.variantId ?? null, movement.type, movement.quantity, movement.stockAfter,
+      movement.reason ?? null, movement.actorId ?? null, movement.orderId ?? null, movement.paymentId ?? null
+    ]
+  );
+  return result.insertId;
+};
+
+/**
+ * 재고 증감 및 이력 기록
+ * 결과 재고가 0 미만이면 409 INSUFFICIENT_STOCK (변경하지 않음)
+ * @param {Object} connection - 트랜잭션 커넥션
+ * @param {Object} change - { productId, variantId(옵션 재고면 지정), quantity(증감, 차감은 음수), type,
+ *                            reason, actorId, orderId, paymentId }
+ * @returns {Promise<Object>} - { movementId, stockBefore, stockAfter, alert(재고 부족 알림 또는 null) }
+ */
+export const changeStock = async (connection, change) => {
+  const { productId, variantId = null, quantity, type } = change;
+  if (!MOVEMENT_TYPES.includes(type)) {
+    throw new Error(`Invalid movement type: ${type}`);
+  }
+
+  const item = await lockStock(connection, productId, variantId);
+  const stockBefore = Number(item.stock) || 0;
+  const stockAfter = stockBefore + quantity;
+
+  if (stockAfter < 0) {
+    throw createInventoryError(409, 'INSUFFICIENT_STOCK', 'Stock cannot go below zero', {
+      product_id: Number(productId),
+      variant_id: variantId ? Number(variantId) : null,
+      available: stockBefore,
+      requested: -quantity
+    });
+  }
+
+  if (variantId) {
+    await connection.query('UPDATE product_variants SET stock = ? WHERE id = ?', [stockAfter, variantId]);
+  } else {
+    await connection.query('UPDATE products SET stock = ? WHERE id = ?', [stockAfter, productId]);
+  }
+
+  const movementId = await insertMovement(connection, { ...change, variantId, stockAfter });
+
+  const threshold = crossedLowStockThreshold(stockBefore, stockAfter, item.low_stock_threshold);
+  const alert = threshold === null ? null : {
+    product_id: Number(productId),
+    variant_id: variantId ? Number(variantId) : null,
+    product_name: item.product_name,
+    variant_name: item.variant_name,
+    sku: item.sku,
+    stock: stockAfter,
+    threshold,
+    movement_type: type
+  };
+
+  return { movementId, stockBefore, stockAfter, alert };
+};
+
+/**
+ * 재고를 지정한 값으로 맞춤 (관리자 재고 수정 — 차이만큼 이력 기록, 같으면 기록 안 함)
+ * @param {Object} connection - 트랜잭션 커넥션
+ * @param {Object} change - { productId, variantId, stock(목표 재고), type(기본 adjustment), reason, actorId }
+ * @returns {Promise<Object|null>} - changeStock 결과 (변경 없으면 null)
+ */
+export const setStock = async (connection, { stock, type = 'adjustment', ...change }) => {
+  const item = await lockStock(connection, change.productId, change.variantId ?? null);
+  const quantity = stock - (Number(item.stock) || 0);
+  if (quantity === 0) {
+    return null;
+  }
+  return changeStock(connection, { ...change, type, quantity });
+};
+
+/**
+ * 등록 시 최초 재고 기록 (재고는 INSERT에서 이미 설정됨)
+ * @param {Object} connection - 데이터베이스 연결 (상품/옵션 INSERT와 같은 커넥션)
+ * @param {Object} movement - { productId, variantId, stock, reason, actorId }
+ * @returns {Promise<number>} - 이력 ID
+ */
+export const recordInitialStock = async (connection, { stock, ...movement }) =>
+  insertMovement(connection, { ...movement, type: 'initial', quantity: stock, stockAfter: stock });
@@ -0,0 +1,102 @@
+import { db } from './db.js';
+import redisClient from './redis.js';
+
+/**
+ * 역할별 권한 조회 (roles / permissions / role_permissions 테이블)
+ * 결과는 Redis role_permissions:{role}에 캐싱하며, 역할 권한이 바뀌면
+ * invalidateRolePermissions로 캐시를 지워 모든 서비스에 즉시 반영
+ */
+
+// 권한 캐시 TTL (5분)
+const PERMISSION_CACHE_TTL_SECONDS =
+  parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS, 10) || 5 * 60;
+
+// 모든 권한을 가지는 역할 (테이블 내용과 무관)
+export const SUPER_ADMIN_ROLE = 'super_admin';
+
+/**
+ * 역할의 권한 목록 조회
+ * @param {string} roleName - 역할 이름 (users.role)
+ * @returns {Promise<Array<{name, resource, action}>>}
+ */
+export const getRolePermissions = async (roleName) => {
+  const cacheKey = `role_permissions:${roleName}`;
+
+  // Cache get: 역할 권한 캐시 확인
+  if (redisClient.isReady) {
+    try {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) {
+        console.log(`CACHE HIT (${cacheKey})`);
+        return JSON.parse(cached);
+      }
+      console.log(`CACHE MISS (${cacheKey})`);
+    } catch (redisErr) {
+      console.error(`Redis GET error (${cacheKey}):`, redisErr);
+    }
+  }
+
+  // Cache miss: DB에서 역할 권한 조회 (super_admin은 전체 권한)
+  const [rows] = roleName === SUPER_ADMIN_ROLE
+    ? await db.query('SELECT name, resource, action FROM permissions ORDER BY name')
+    : await db.query(
+      `SELECT p.name, p.resource, p.action
+       FROM roles r
+       JOIN role_permissions rp ON rp.role_id = r.id
+       JOIN permissions p ON p.id = rp.permission_id
+       WHERE r.name = ?
+       ORDER BY p.name`,
+      [roleName]
+    );
+
+  const permissions = rows.map(row => ({ name: row.name, resource: row.resource, action: row.action }));
+
+  // Cache set: 조회 결과를 Redis에 캐싱
+  if (redisClient.isReady) {
+    try {
+      await redisClient.set(cacheKey, JSON.stringify(permissions), { EX: PERMISSION_CACHE_TTL_SECONDS });
+      console.log(`CACHE SET (${cacheKey})`);
+    } catch (redisErr) {
+      console.error(`Redis SET error (${cacheKey}):`, redisErr);
+    }
+  }
+
+  return permissions;
+};
+
+/**
+ * 역할이 특정 권한을 가지고 있는지 확인
+ * @param {string} roleName - 역할 이름
+ * @param {string} permissionName - 권한 이름 (예: products.manage)
+ */
+export const roleHasPermission = async (roleName, permissionName) => {
+  if (roleName === SUPER_ADMIN_ROLE) {
+    return true;
+  }
+
+  const permissions = await getRolePermissions(roleName);
+  return permissions.some(permission => permission.name === permissionName);
+};
+
+/**
+ * 역할 권한 캐시 삭제 (역할 권한 변경/삭제 후 호출)
+ * @param {string} roleName - 역할 이름
+ */
+export const invalidateRolePermissions = async (roleName) => {
+  const cacheKey = `role_permissions:${roleName}`;
+  try {
+    await redisClient.del(cacheKey);
+    console.log(`CACHE DELETE (${cacheKey})`);
+  } catch (redisErr) {
+    console.error(`Redis DEL error (${cacheKey}):`, redisErr);
+  }
+};
+
+/**
+ * 역할 존재 여부 확인
+ * @param {string} roleName - 역할 이름
+ */
+export const roleExists = async (roleName) => {
+  const [rows] = await db.query('SELECT id FROM roles WHERE name = ?', [roleName]);
+  return rows.length > 0;
+};
@@ -0,0 +1,41 @@
+/**
+ * 상품 상태 정의 (products.status)
+ * product-api, lex-api, order-api, cart-api가 같은 기준으로 상품 노출/구매 가능 여부를 판단
+ *
+ * draft        → 등록 중 (관리자만 조회)
+ * active       → 판매 중 (목록 노출, 구매 가능)
+ * hidden       → 숨김 (목록/상세 미노출, 구매 불가)
+ * discontinued → 단종 (목록 미노출, 상세 조회만 가능 — 주문 내역 링크용)
+ * deleted      → 소프트 삭제 (관리자 복구 전까지 미노출)
+ */
+
+// 전체 상품 상태 (products.status ENUM과 동일한 순서)
+export const PRODUCT_STATUSES = ['draft', 'active', 'hidden', 'discontinued', 'deleted'];
+
+// 상품 목록/추천에 노출되는 상태
+export const LISTED_PRODUCT_STATUSES = ['active'];
+
+// 일반 사용자가 상세 조회할 수 있는 상태
+export const VIEWABLE_PRODUCT_STATUSES = ['active', 'discontinued'];
+
+// 장바구니 담기/주문이 가능한 상태
+export const PURCHASABLE_PRODUCT_STATUSES = ['active'];
+
+// 소프트 삭제 상태 (DELETE로만 설정, 복구 엔드포인트로만 해제)
+export const DELETED_PRODUCT_STATUS = 'deleted';
+
+/**
+ * 상품 상태 값 검증
+ * @param {string} status - 검증할 상태
+ * @returns {boolean}
+ */
+export const isValidProductStatus = (status) =>
+  typeof status === 'string' && PRODUCT_STATUSES.includes(status);
+
+/**
+ * 구매 가능 여부
+ * @param {Object} product - products 행
+ * @returns {boolean}
+ */
+export const isPurchasable = (product) =>
+  PURCHASABLE_PRODUCT_STATUSES.includes(product.status);
@@ -0,0 +1,40 @@
+import { createClient } from 'redis';
+
+/**
+ * 공용 Redis 클라이언트 (shared/auth.js의 토큰 폐기 목록/버전, shared/permissions.js의 역할 권한 캐시)
+ * user-api는 세션 저장에도 이 클라이언트를 사용 (user-api/config/redis.js)
+ * 각 서비스의 config/redis.js와 같은 REDIS_* 환경 변수 사용
+ */
+const redisUrl = `redis://${process.env.REDIS_HOST}:${process.env.REDIS_PORT || 6379}`;
+
+const redisClient = createClient({
+  url: redisUrl,
+  password: process.env.REDIS_PASSWORD || undefined
+});
+
+redisClient.on('error', (err) => {
+  console.error('Redis connection error (shared):', err);
+});
+
+let connecting = null;
+
+/**
+ * 연결 보장 (여러 요청이 동시에 호출해도 connect는 한 번만 실행)
+ */
+export async function initRedis() {
+  if (!connecting) {
+    connecting = redisClient.connect()
+      .then(() => {
+        console.log('✅ Connected to Redis (shared)');
+        return redisClient;
+      })
+      .catch((err) => {
+        connecting = null;
+        console.error('❌ Failed to connect to Redis (shared):', err);
+        throw err;
+      });
+  }
+  return connecting;
+}
+
+export default redisClient;
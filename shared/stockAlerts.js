@@ -0,0 +1,109 @@
+/**
+ * 재고 부족 알림
+ * 재고가 기준값(products.low_stock_threshold, NULL이면 LOW_STOCK_THRESHOLD 환경 변수) 이하로 내려가면
+ * shared/inventory.js가 알림을 만들고, 트랜잭션 커밋 후 notifyLowStock으로 발송
+ *
+ * 알림 방식은 LOW_STOCK_NOTIFIER 환경 변수로 선택
+ *   - log: 서버 로그에 기록 (기본값)
+ *   - webhook: LOW_STOCK_WEBHOOK_URL로 JSON POST (Slack 등 수신 서비스 연동)
+ * 다른 방식은 registerLowStockNotifier로 등록해서 사용
+ *
+ * 알림 형태: { product_id, variant_id, product_name, variant_name, sku, stock, threshold, movement_type }
+ */
+
+// 상품에 기준값이 없을 때 사용하는 재고 부족 기준
+const configuredThreshold = parseInt(process.env.LOW_STOCK_THRESHOLD, 10);
+export const DEFAULT_LOW_STOCK_THRESHOLD = Number.isNaN(configuredThreshold) ? 5 : configuredThreshold;
+
+const notifiers = {
+  log: () => ({
+    async notify(alerts) {
+      for (const alert of alerts) {
+        const target = alert.variant_id ? `${alert.product_name} / ${alert.variant_name}` : alert.product_name;
+        console.warn(`LOW STOCK (${target}): ${alert.stock} left, threshold ${alert.threshold}`);
+      }
+    }
+  }),
+
+  webhook: () => {
+    const url = process.env.LOW_STOCK_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('LOW_STOCK_WEBHOOK_URL is required for the webhook low-stock notifier');
+    }
+
+    return {
+      async notify(alerts) {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ type: 'low_stock', alerts }),
+          signal: AbortSignal.timeout(5000)
+        });
+        if (!response.ok) {
+          throw new Error(`Webhook responded with ${response.status}`);
+        }
+      }
+    };
+  }
+};
+
+// 생성된 알림 방식 (이름별 1개)
+const instances = new Map();
+
+/**
+ * 알림 방식 등록
+ * @param {string} name - 알림 방식 이름 (LOW_STOCK_NOTIFIER 값)
+ * @param {Function} factory - () => { notify(alerts) }
+ */
+export const registerLowStockNotifier = (name, factory) => {
+  notifiers[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * 현재 설정된 알림 방식
+ * @returns {{ notify: Function }}
+ */
+export const getLowStockNotifier = () => {
+  const name = process.env.LOW_STOCK_NOTIFIER || 'log';
+
+  if (!instances.has(name)) {
+    const factory = notifiers[name];
+    if (!factory) {
+      throw new Error(`Unknown low-stock notifier: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * 재고 변경 전후로 기준값을 넘어 내려갔는지 확인 (이미 기준값 이하였으면 다시 알리지 않음)
+ * @param {number} stockBefore - 변경 전 재고
+ * @param {number} stockAfter - 변경 후 재고
+ * @param {number|null} threshold - 상품 기준값 (NULL이면 기본값)
+ * @returns {number|null} - 넘어 내려갔으면 적용된 기준값, 아니면 null
+ */
+export const crossedLowStockThreshold = (stockBefore, stockAfter, threshold) => {
+  const limit = threshold === null || threshold === undefined ? DEFAULT_LOW_STOCK_THRESHOLD : Number(threshold);
+  return stockBefore > limit && stockAfter <= limit ? limit : null;
+};
+
+/**
+ * 재고 부족 알림 발송 (트랜잭션 커밋 후 호출)
+ * 발송 실패는 로그만 남기고 요청은 계속 진행
+ * @param {Array<Object|null>} alerts - 알림 목록 (null은 무시)
+ */
+export const notifyLowStock = async (alerts) => {
+  const pending = (alerts || []).filter(Boolean);
+  if (pending.length === 0) {
+    return;
+  }
+
+  try {
+    await getLowStockNotifier().notify(pending);
+  } catch (error) {
+    console.error('Low-stock notification failed:', error);
+  }
+};
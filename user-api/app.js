@@ -2,7 +2,10 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import usersRouter from './routes/users.js';
+import addressesRouter from './routes/addresses.js';
+import adminRouter from './routes/admin.js';
 import { initRedis } from './config/redis.js';
+import { assertMailTransport } from './services/mailer.js';
 
 dotenv.config();
 
@@ -34,7 +37,9 @@ app.get('/health', (req, res) => res.json({ status: 'ok' }));
 app.get('/readiness', (req, res) => res.json({ ready: true }));
 
 // 라우터
+app.use('/users/me/addresses', addressesRouter);
 app.use('/users', usersRouter);
+app.use('/admin', adminRouter);
 
 // 전역 에러 핸들러
 app.use((err, req, res, next) => {
@@ -44,6 +49,9 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3001;
 
+// 메일 설정이 잘못되면 요청을 받기 전에 종료
+assertMailTransport();
+
 // Redis 연결이 보장된 이후에만 서버가 시작되도록 처리
 await initRedis();
 app.listen(PORT, () => console.log(`user-api listening on ${PORT}`));
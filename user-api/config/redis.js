@@ -1,26 +1,15 @@
-import { createClient } from 'redis';
-
-const redisUrl = `redis://${process.env.REDIS_HOST}:${process.env.REDIS_PORT || 6379}`;
-
-const redisClient = createClient({
-  url: redisUrl,
-  password: process.env.REDIS_PASSWORD || undefined
-});
-
-redisClient.on('error', (err) => {
-  console.error('Redis connection error (user-api):', err);
-});
-
-let isConnected = false;
+import redisClient, { initRedis as connectRedis } from '../../shared/redis.js';
 
+/**
+ * user-api Redis 클라이언트
+ * 세션/로그인 제한/일회용 토큰과 토큰 버전(shared/auth.js)이 같은 연결을 사용하도록 공용 클라이언트를 그대로 사용
+ * (토큰 버전 증가와 세션 폐기가 서로 다른 연결 상태에 따라 일부만 실행되지 않도록)
+ */
 export async function initRedis() {
-  if (isConnected) return redisClient;
   try {
-    await redisClient.connect();
-    isConnected = true;
-    console.log('✅ Connected to Redis (user-api)');
+    await connectRedis();
   } catch (err) {
-    console.error('❌ Failed to connect to Redis (user-api):', err);
+    // 연결 실패 로그는 shared/redis.js에서 기록
   }
   return redisClient;
 }
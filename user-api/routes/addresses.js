@@ -0,0 +1,77 @@
+import express from "express";
+import { authenticate } from "../../shared/auth.js";
+import {
+    listAddresses,
+    findAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress
+} from "../services/addressService.js";
+
+// 로그인한 사용자 본인의 배송지 주소록 (/users/me/addresses)
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * 주소록 에러 응답 (err.status가 있으면 서비스 에러)
+ */
+function sendAddressError(res, err, label) {
+    if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.code, error: err.message });
+    }
+    console.error(`${label}:`, err);
+    return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+}
+
+// GET /users/me/addresses - 주소 목록 (기본 배송지 먼저)
+router.get("/", async (req, res) => {
+    try {
+        const addresses = await listAddresses(req.user.user_id);
+        return res.json({ success: true, addresses });
+    } catch (err) {
+        return sendAddressError(res, err, "GET ADDRESSES ERROR");
+    }
+});
+
+// GET /users/me/addresses/:addressId - 주소 상세
+router.get("/:addressId", async (req, res) => {
+    try {
+        const address = await findAddress(req.user.user_id, req.params.addressId);
+        return res.json({ success: true, address });
+    } catch (err) {
+        return sendAddressError(res, err, "GET ADDRESS ERROR");
+    }
+});
+
+// POST /users/me/addresses - 주소 추가 (첫 주소는 자동으로 기본 배송지)
+router.post("/", async (req, res) => {
+    try {
+        const address = await createAddress(req.user.user_id, req.body);
+        return res.status(201).json({ success: true, message: "ADDRESS_CREATED", address });
+    } catch (err) {
+        return sendAddressError(res, err, "CREATE ADDRESS ERROR");
+    }
+});
+
+// PATCH /users/me/addresses/:addressId - 주소 수정 / 기본 배송지 지정 (is_default: true)
+router.patch("/:addressId", async (req, res) => {
+    try {
+        const address = await updateAddress(req.user.user_id, req.params.addressId, req.body);
+        return res.json({ success: true, message: "ADDRESS_UPDATED", address });
+    } catch (err) {
+        return sendAddressError(res, err, "UPDATE ADDRESS ERROR");
+    }
+});
+
+// DELETE /users/me/addresses/:addressId - 주소 삭제
+router.delete("/:addressId", async (req, res) => {
+    try {
+        await deleteAddress(req.user.user_id, req.params.addressId);
+        return res.json({ success: true, message: "ADDRESS_DELETED" });
+    } catch (err) {
+        return sendAddressError(res, err, "DELETE ADDRESS ERROR");
+    }
+});
+
+export default router;
@@ -0,0 +1,178 @@
+import express from "express";
+import { db } from "../../shared/db.js";
+import { authenticate, checkPermission, logAdminActivity } from "../../shared/auth.js";
+import { listPermissions, listRoles, createRole, updateRole, deleteRole } from "../services/roleService.js";
+
+const router = express.Router();
+
+// 활동 로그 조회 페이지 크기
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * 역할 관리 에러 응답 (err.status가 있으면 서비스 에러)
+ */
+function sendRoleError(res, err, label) {
+    if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.code, error: err.message, ...err.details });
+    }
+    console.error(`${label}:`, err);
+    return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+}
+
+/**
+ * 날짜 필터 파싱 (YYYY-MM-DD 또는 ISO 문자열)
+ * @returns {Date|null} - 유효하지 않으면 null
+ */
+function parseDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * GET /admin/activity
+ * 관리자 활동 로그 조회 (admin_activity_logs)
+ * 필터: actor_id, action, resource, resource_id, from, to (created_at 범위)
+ * 페이지: limit (기본 50, 최대 200), offset
+ */
+router.get("/activity", authenticate, checkPermission("admin_activity.read"), async (req, res) => {
+    try {
+        const { actor_id, action, resource, resource_id, from, to } = req.query;
+        const conditions = [];
+        const params = [];
+
+        if (actor_id !== undefined) {
+            conditions.push("l.user_id = ?");
+            params.push(actor_id);
+        }
+        if (action) {
+            conditions.push("l.action = ?");
+            params.push(action);
+        }
+        if (resource) {
+            conditions.push("l.resource = ?");
+            params.push(resource);
+        }
+        if (resource_id !== undefined) {
+            conditions.push("l.resource_id = ?");
+            params.push(resource_id);
+        }
+        if (from !== undefined) {
+            const fromDate = parseDate(from);
+            if (!fromDate) return res.status(400).json({ success: false, message: "INVALID_DATE", error: "from 날짜 형식이 올바르지 않습니다" });
+            conditions.push("l.created_at >= ?");
+            params.push(fromDate);
+        }
+        if (to !== undefined) {
+            const toDate = parseDate(to);
+            if (!toDate) return res.status(400).json({ success: false, message: "INVALID_DATE", error: "to 날짜 형식이 올바르지 않습니다" });
+            conditions.push("l.created_at <= ?");
+            params.push(toDate);
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) AS total FROM admin_activity_logs l ${where}`,
+            params
+        );
+
+        const [rows] = await db.query(
+            `SELECT l.id, l.user_id AS actor_id, u.email AS actor_email, l.action, l.resource, l.resource_id,
+                    l.details, l.ip_address, l.user_agent, l.created_at
+             FROM admin_activity_logs l
+             LEFT JOIN users u ON u.user_id = l.user_id
+             ${where}
+             ORDER BY l.created_at DESC, l.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        const logs = rows.map(row => ({
+            ...row,
+            details: typeof row.details === "string" ? JSON.parse(row.details) : row.details
+        }));
+
+        return res.json({ success: true, logs, total: Number(total), limit, offset });
+    } catch (err) {
+        console.error("GET ADMIN ACTIVITY ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+// ============================================
+// 🔑 역할/권한 관리 API
+// ============================================
+
+/**
+ * GET /admin/permissions
+ * 전체 권한 목록
+ */
+router.get("/permissions", authenticate, checkPermission("roles.manage"), async (req, res) => {
+    try {
+        const permissions = await listPermissions();
+        return res.json({ success: true, permissions });
+    } catch (err) {
+        return sendRoleError(res, err, "GET PERMISSIONS ERROR");
+    }
+});
+
+/**
+ * GET /admin/roles
+ * 전체 역할 목록 (권한, 사용자 수 포함)
+ */
+router.get("/roles", authenticate, checkPermission("roles.manage"), async (req, res) => {
+    try {
+        const roles = await listRoles();
+        return res.json({ success: true, roles });
+    } catch (err) {
+        return sendRoleError(res, err, "GET ROLES ERROR");
+    }
+});
+
+/**
+ * POST /admin/roles
+ * 사용자 정의 역할 생성 { name, description, permissions: [권한 이름] }
+ */
+router.post("/roles", authenticate, checkPermission("roles.manage"), async (req, res) => {
+    try {
+        const role = await createRole(req.body);
+        await logAdminActivity(req.user.user_id, "create_role", "roles", role.name, { permissions: role.permissions }, req);
+        return res.status(201).json({ success: true, message: "ROLE_CREATED", role });
+    } catch (err) {
+        return sendRoleError(res, err, "CREATE ROLE ERROR");
+    }
+});
+
+/**
+ * PATCH /admin/roles/:name
+ * 역할 설명/권한 수정 (permissions는 전체 교체)
+ */
+router.patch("/roles/:name", authenticate, checkPermission("roles.manage"), async (req, res) => {
+    try {
+        const { description, permissions } = req.body;
+        await updateRole(req.params.name, { description, permissions });
+        await logAdminActivity(req.user.user_id, "update_role", "roles", req.params.name, { description, permissions }, req);
+        return res.json({ success: true, message: "ROLE_UPDATED" });
+    } catch (err) {
+        return sendRoleError(res, err, "UPDATE ROLE ERROR");
+    }
+});
+
+/**
+ * DELETE /admin/roles/:name
+ * 사용자 정의 역할 삭제 (기본 역할, 사용 중인 역할은 불가)
+ */
+router.delete("/roles/:name", authenticate, checkPermission("roles.manage"), async (req, res) => {
+    try {
+        await deleteRole(req.params.name);
+        await logAdminActivity(req.user.user_id, "delete_role", "roles", req.params.name, null, req);
+        return res.json({ success: true, message: "ROLE_DELETED" });
+    } catch (err) {
+        return sendRoleError(res, err, "DELETE ROLE ERROR");
+    }
+});
+
+export default router;
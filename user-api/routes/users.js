@@ -1,14 +1,67 @@
 import express from "express";
 import bcryptjs from "bcryptjs";
 import { db } from "../../shared/db.js";
-import { generateToken } from "../../shared/auth.js";
+import {
+    generateToken,
+    getTokenVersion,
+    revokeToken,
+    authenticate,
+    checkOwnership,
+    checkPermission,
+    changeUserRole,
+    getUserPermissions,
+    logAdminActivity
+} from "../../shared/auth.js";
 import redisClient, { initRedis } from "../config/redis.js";
+import {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeAllUserTokens
+} from "../services/sessionService.js";
+import { getLockRemaining, recordLoginFailure, resetLoginFailures } from "../services/loginThrottle.js";
+import { issueToken, consumeToken } from "../services/oneTimeToken.js";
+import { sendMail } from "../services/mailer.js";
 
 // Redis 연결 보장
 await initRedis();
 
 const router = express.Router();
 
+// 메일 링크에 사용할 프론트엔드 주소
+const APP_BASE_URL = process.env.APP_BASE_URL || "http://localhost:8080";
+
+// 새 비밀번호 최소 길이
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * 이메일 인증 메일 발송
+ */
+async function sendVerificationMail(user) {
+    const token = await issueToken("email_verify", user.user_id);
+    await sendMail({
+        to: user.email,
+        subject: "[Blossom] 이메일 인증",
+        text: `아래 링크에서 이메일 인증을 완료해주세요.\n${APP_BASE_URL}/verify-email?token=${token}`
+    });
+}
+
+/**
+ * 사용자 캐시 무효화 (users:{userId}, users:all)
+ */
+async function invalidateUserCache(userId) {
+    try {
+        await redisClient.del([`users:${userId}`, "users:all"]);
+        console.log(`CACHE DELETE (users:${userId}, users:all)`);
+    } catch (redisErr) {
+        console.error(`Redis DEL error (users:${userId}):`, redisErr);
+    }
+}
+
+// 존재하지 않는 계정 로그인 시 비교용 해시 (응답 시간으로 계정 존재 여부가 드러나지 않도록)
+const DUMMY_PASSWORD_HASH = bcryptjs.hashSync("dummy-password-for-timing", 10);
+
 router.post("/register", async (req, res) => {
     try {
         const { name, email, password, phone } = req.body;
@@ -39,6 +92,13 @@ router.post("/register", async (req, res) => {
             console.error("Redis DEL error (users:all):", redisErr);
         }
 
+        // 이메일 인증 메일 발송 (실패해도 가입은 완료, /verify-email/request로 재요청 가능)
+        try {
+            await sendVerificationMail({ user_id: result.insertId, email });
+        } catch (mailErr) {
+            console.error("VERIFICATION MAIL ERROR:", mailErr);
+        }
+
         return res.status(201).json({ success: true, message: "REGISTERED_SUCCESSFULLY", user: { user_id: result.insertId, email, name, role: 'customer' } });
     } catch (err) {
         console.error("REGISTER ERROR:", err);
@@ -50,38 +110,50 @@ router.post("/login", async (req, res) => {
     try {
         const { email, password } = req.body;
         if (!email || !password) return res.status(400).json({ success: false, message: "MISSING_FIELDS" });
+
+        // 이메일/IP 잠금 확인 (잠금 중이면 비밀번호 확인 없이 429)
+        const ip = req.ip || req.connection?.remoteAddress || "unknown";
+        const lockRemaining = await getLockRemaining(email, ip);
+        if (lockRemaining > 0) {
+            res.set("Retry-After", String(lockRemaining));
+            return res.status(429).json({ success: false, message: "TOO_MANY_ATTEMPTS", retry_after: lockRemaining });
+        }
+
         const [rows] = await db.query("SELECT user_id, email, name, password_hash, role, is_active FROM users WHERE email = ?", [email]);
-        if (rows.length === 0) return res.status(404).json({ success: false, message: "USER_NOT_FOUND" });
         const user = rows[0];
-        if (!user.is_active) return res.status(403).json({ success: false, message: "ACCOUNT_INACTIVE" });
-        const isMatch = await bcryptjs.compare(password, user.password_hash);
-        if (!isMatch) {
-            // 로그인 실패 횟수 Redis에 저장 (Rate Limit 예시)
-            try {
-                const ip = req.ip || req.connection?.remoteAddress || "unknown";
-                const key = `login_attempt:${ip}`;
-                const count = await redisClient.incr(key);
-                // 5분 TTL 설정
-                if (count === 1) {
-                    await redisClient.expire(key, 300);
-                }
-            } catch (redisErr) {
-                console.error("Redis error on login attempt tracking:", redisErr);
+
+        // 계정이 없어도 같은 비용의 비교를 수행하고 같은 에러를 반환 (계정 존재 여부 노출 방지)
+        const isMatch = await bcryptjs.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+        if (!user || !isMatch) {
+            const lockSeconds = await recordLoginFailure(email, ip);
+            if (lockSeconds > 0) {
+                res.set("Retry-After", String(lockSeconds));
+                return res.status(429).json({ success: false, message: "TOO_MANY_ATTEMPTS", retry_after: lockSeconds });
             }
-            return res.status(401).json({ success: false, message: "INVALID_PASSWORD" });
+            return res.status(401).json({ success: false, message: "INVALID_CREDENTIALS" });
+        }
+
+        if (!user.is_active) return res.status(403).json({ success: false, message: "ACCOUNT_INACTIVE" });
+
+        // 로그인 성공: 이메일 기준 실패 기록 초기화
+        try {
+            await resetLoginFailures(email);
+        } catch (redisErr) {
+            console.error("Redis error on login attempt reset:", redisErr);
         }
+
         await db.query("UPDATE users SET last_login = NOW() WHERE user_id = ?", [user.user_id]);
 
-        // 예: 로그인 Refresh Token 저장 (Redis)
+        // Refresh Token 발급 (Redis refresh:{userId}에 세션 패밀리 저장)
+        let refreshToken = null;
         try {
-            const refreshTokenKey = `refresh:${user.user_id}`;
-            const refreshToken = generateToken(user, { type: "refresh" });
-            await redisClient.set(refreshTokenKey, refreshToken, { EX: 60 * 60 * 24 * 7 }); // 7일 TTL
+            refreshToken = await createSession(user);
         } catch (redisErr) {
             console.error("Redis error on refresh token store:", redisErr);
         }
         
-        // JWT 토큰 생성 (동적 데이터 포함)
+        // JWT 토큰 생성 (동적 데이터 포함, 현재 토큰 버전 기록)
+        user.token_version = await getTokenVersion(user.user_id);
         const token = generateToken(user, {
             loginTime: new Date().toISOString(), // 로그인 시간
             ipAddress: req.ip || req.connection?.remoteAddress, // IP 주소
@@ -94,6 +166,7 @@ router.post("/login", async (req, res) => {
             success: true, 
             message: "LOGIN_SUCCESS", 
             token: token,
+            refresh_token: refreshToken,
             user: { 
                 user_id: user.user_id, 
                 email: user.email, 
@@ -107,7 +180,402 @@ router.post("/login", async (req, res) => {
     }
 });
 
-router.get("/", async (req, res) => {
+/**
+ * POST /users/token/refresh
+ * Refresh Token으로 새 Access Token 발급 (Refresh Token도 매번 회전)
+ * 이미 사용된 Refresh Token이 다시 오면 해당 세션 전체를 폐기
+ */
+router.post("/token/refresh", async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+        const session = await rotateSession(refresh_token);
+
+        const [rows] = await db.query("SELECT user_id, email, name, role, is_active FROM users WHERE user_id = ?", [session.userId]);
+        if (rows.length === 0 || !rows[0].is_active) {
+            await revokeAllSessions(session.userId);
+            return res.status(401).json({ success: false, message: "INVALID_REFRESH_TOKEN", error: "사용할 수 없는 계정입니다" });
+        }
+        const user = rows[0];
+        user.token_version = await getTokenVersion(user.user_id);
+
+        return res.status(200).json({
+            success: true,
+            message: "TOKEN_REFRESHED",
+            token: generateToken(user),
+            refresh_token: session.refreshToken
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ success: false, message: err.code, error: err.message });
+        }
+        console.error("TOKEN REFRESH ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * POST /users/logout
+ * Refresh Token이 속한 세션 삭제 (Access Token 만료 여부와 무관하게 호출 가능)
+ * Authorization 헤더의 Access Token도 함께 폐기
+ */
+router.post("/logout", async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+        await revokeSession(refresh_token);
+
+        const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith("Bearer ")) {
+            await revokeToken(authHeader.substring(7));
+        }
+
+        return res.status(200).json({ success: true, message: "LOGGED_OUT" });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ success: false, message: err.code, error: err.message });
+        }
+        console.error("LOGOUT ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * POST /users/verify-email/request
+ * 로그인한 사용자에게 이메일 인증 메일 (재)발송
+ */
+router.post("/verify-email/request", authenticate, async (req, res) => {
+    try {
+        const [rows] = await db.query("SELECT user_id, email, email_verified FROM users WHERE user_id = ?", [req.user.user_id]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "USER_NOT_FOUND" });
+        if (rows[0].email_verified) return res.status(409).json({ success: false, message: "EMAIL_ALREADY_VERIFIED" });
+
+        await sendVerificationMail(rows[0]);
+
+        return res.status(200).json({ success: true, message: "VERIFICATION_EMAIL_SENT" });
+    } catch (err) {
+        console.error("VERIFY EMAIL REQUEST ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * POST /users/verify-email/confirm
+ * 메일의 토큰으로 이메일 인증 완료 (토큰은 한 번만 사용 가능)
+ */
+router.post("/verify-email/confirm", async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) return res.status(400).json({ success: false, message: "MISSING_FIELDS" });
+
+        const userId = await consumeToken("email_verify", token);
+        if (!userId) return res.status(400).json({ success: false, message: "INVALID_OR_EXPIRED_TOKEN" });
+
+        await db.query("UPDATE users SET email_verified = TRUE WHERE user_id = ?", [userId]);
+        await invalidateUserCache(userId);
+
+        return res.status(200).json({ success: true, message: "EMAIL_VERIFIED" });
+    } catch (err) {
+        console.error("VERIFY EMAIL CONFIRM ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * POST /users/password/forgot
+ * 비밀번호 재설정 메일 발송
+ * 계정 존재 여부와 관계없이 같은 응답 반환
+ */
+router.post("/password/forgot", async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) return res.status(400).json({ success: false, message: "MISSING_FIELDS" });
+
+        const [rows] = await db.query("SELECT user_id, email, is_active FROM users WHERE email = ?", [email]);
+        if (rows.length > 0 && rows[0].is_active) {
+            // 발송 실패도 같은 응답 (실패 응답으로 가입된 이메일이 드러나지 않도록 로그만 남김)
+            try {
+                const token = await issueToken("password_reset", rows[0].user_id);
+                await sendMail({
+                    to: rows[0].email,
+                    subject: "[Blossom] 비밀번호 재설정",
+                    text: `아래 링크에서 비밀번호를 재설정해주세요.\n${APP_BASE_URL}/reset-password?token=${token}`
+                });
+            } catch (mailErr) {
+                console.error(`PASSWORD RESET MAIL ERROR (user ${rows[0].user_id}):`, mailErr);
+            }
+        }
+
+        return res.status(200).json({ success: true, message: "PASSWORD_RESET_EMAIL_SENT" });
+    } catch (err) {
+        console.error("PASSWORD FORGOT ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * POST /users/password/reset
+ * 메일의 토큰으로 비밀번호 재설정 (토큰은 한 번만 사용 가능)
+ * 기존 Access Token과 Refresh Token 세션(refresh:{userId})을 모두 무효화
+ */
+router.post("/password/reset", async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password) return res.status(400).json({ success: false, message: "MISSING_FIELDS" });
+        if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, message: "INVALID_PASSWORD", error: `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다` });
+        }
+
+        const userId = await consumeToken("password_reset", token);
+        if (!userId) return res.status(400).json({ success: false, message: "INVALID_OR_EXPIRED_TOKEN" });
+
+        const [rows] = await db.query("SELECT user_id, email FROM users WHERE user_id = ?", [userId]);
+        if (rows.length === 0) return res.status(400).json({ success: false, message: "INVALID_OR_EXPIRED_TOKEN" });
+
+        // 기존 토큰을 먼저 폐기 (폐기에 실패하면 비밀번호를 바꾸지 않음)
+        const password_hash = await bcryptjs.hash(password, 10);
+        await revokeAllUserTokens(userId);
+        await db.query("UPDATE users SET password_hash = ? WHERE user_id = ?", [password_hash, userId]);
+
+        await resetLoginFailures(rows[0].email);
+
+        return res.status(200).json({ success: true, message: "PASSWORD_RESET" });
+    } catch (err) {
+        console.error("PASSWORD RESET ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * POST /users/:userId/unlock
+ * 계정 잠금 해제 (users.manage 권한, 이메일 기준 로그인 실패 기록 초기화)
+ */
+router.post("/:userId/unlock", authenticate, checkPermission("users.manage"), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const [rows] = await db.query("SELECT user_id, email FROM users WHERE user_id = ?", [userId]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "USER_NOT_FOUND" });
+
+        await resetLoginFailures(rows[0].email);
+        await logAdminActivity(req.user.user_id, "unlock_account", "users", userId, null, req);
+
+        return res.status(200).json({ success: true, message: "ACCOUNT_UNLOCKED" });
+    } catch (err) {
+        console.error("UNLOCK ACCOUNT ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * PATCH /users/:userId/role
+ * 사용자 역할 변경 (users.manage_roles 권한, shared/auth.js changeUserRole)
+ */
+router.patch("/:userId/role", authenticate, checkPermission("users.manage_roles"), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+        if (!role) return res.status(400).json({ success: false, message: "MISSING_FIELDS" });
+
+        const result = await changeUserRole(userId, role, req.user.user_id);
+        await logAdminActivity(req.user.user_id, "change_role", "users", userId, { previous_role: result.previousRole, role }, req);
+        await invalidateUserCache(userId);
+
+        return res.status(200).json({ success: true, message: "ROLE_CHANGED", user_id: Number(userId), previous_role: result.previousRole, role });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ success: false, message: err.code, error: err.message });
+        }
+        console.error("CHANGE ROLE ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * PATCH /users/:userId/active
+ * 계정 활성/비활성 (비활성화 시 모든 토큰 무효화)
+ * 자기 자신은 변경 불가, 최고 관리자 계정은 super_admin만 변경 가능
+ */
+router.patch("/:userId/active", authenticate, checkPermission("users.manage"), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { is_active } = req.body;
+        if (typeof is_active !== "boolean") {
+            return res.status(400).json({ success: false, message: "INVALID_FIELDS", error: "is_active는 boolean이어야 합니다" });
+        }
+        if (String(userId) === String(req.user.user_id)) {
+            return res.status(400).json({ success: false, message: "CANNOT_CHANGE_OWN_STATUS" });
+        }
+
+        const [rows] = await db.query("SELECT user_id, role, is_active FROM users WHERE user_id = ?", [userId]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "USER_NOT_FOUND" });
+        if (rows[0].role === "super_admin" && req.user.role !== "super_admin") {
+            return res.status(403).json({ success: false, message: "FORBIDDEN", error: "최고 관리자 계정은 변경할 수 없습니다" });
+        }
+
+        await db.query("UPDATE users SET is_active = ? WHERE user_id = ?", [is_active, userId]);
+        if (!is_active) {
+            await revokeAllUserTokens(userId);
+        }
+
+        await logAdminActivity(
+            req.user.user_id,
+            is_active ? "activate_user" : "deactivate_user",
+            "users",
+            userId,
+            { previous_is_active: Boolean(rows[0].is_active), is_active },
+            req
+        );
+        await invalidateUserCache(userId);
+
+        return res.status(200).json({ success: true, message: is_active ? "USER_ACTIVATED" : "USER_DEACTIVATED", user_id: Number(userId), is_active });
+    } catch (err) {
+        console.error("CHANGE ACTIVE STATUS ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * GET /users/:userId/permissions
+ * 사용자 권한 목록 조회 (shared/auth.js getUserPermissions)
+ */
+router.get("/:userId/permissions", authenticate, checkPermission("users.read"), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const [rows] = await db.query("SELECT user_id, role FROM users WHERE user_id = ?", [userId]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "USER_NOT_FOUND" });
+
+        const permissions = await getUserPermissions(userId);
+        await logAdminActivity(req.user.user_id, "view_permissions", "users", userId, null, req);
+
+        return res.status(200).json({ success: true, user_id: rows[0].user_id, role: rows[0].role, permissions });
+    } catch (err) {
+        console.error("GET PERMISSIONS ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * POST /users/:userId/force-logout
+ * 강제 로그아웃 (users.manage 권한, 해당 사용자의 모든 Access/Refresh Token 무효화)
+ */
+router.post("/:userId/force-logout", authenticate, checkPermission("users.manage"), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const [rows] = await db.query("SELECT user_id FROM users WHERE user_id = ?", [userId]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "USER_NOT_FOUND" });
+
+        await revokeAllUserTokens(userId);
+        await logAdminActivity(req.user.user_id, "force_logout", "users", userId, null, req);
+
+        return res.status(200).json({ success: true, message: "USER_LOGGED_OUT" });
+    } catch (err) {
+        console.error("FORCE LOGOUT ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * PATCH /users/me
+ * 내 프로필 수정 (name, phone)
+ */
+router.patch("/me", authenticate, async (req, res) => {
+    try {
+        const { name, phone } = req.body;
+        const updates = [];
+        const params = [];
+
+        if (name !== undefined) {
+            if (typeof name !== "string" || name.trim().length === 0 || name.trim().length > 100) {
+                return res.status(400).json({ success: false, message: "INVALID_NAME", error: "이름은 1~100자여야 합니다" });
+            }
+            updates.push("name = ?");
+            params.push(name.trim());
+        }
+
+        if (phone !== undefined) {
+            if (phone !== null && (typeof phone !== "string" || !/^[0-9+\-\s]{0,20}$/.test(phone))) {
+                return res.status(400).json({ success: false, message: "INVALID_PHONE", error: "전화번호 형식이 올바르지 않습니다" });
+            }
+            updates.push("phone = ?");
+            params.push(phone ? phone.trim() : null);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({ success: false, message: "NO_FIELDS_TO_UPDATE" });
+        }
+
+        await db.query(`UPDATE users SET ${updates.join(", ")} WHERE user_id = ?`, [...params, req.user.user_id]);
+        await invalidateUserCache(req.user.user_id);
+
+        const [rows] = await db.query(
+            "SELECT user_id, email, name, phone, role, is_active, email_verified, created_at, last_login FROM users WHERE user_id = ?",
+            [req.user.user_id]
+        );
+
+        return res.status(200).json({ success: true, message: "PROFILE_UPDATED", user: rows[0] });
+    } catch (err) {
+        console.error("UPDATE PROFILE ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * POST /users/me/password
+ * 비밀번호 변경 (현재 비밀번호 확인)
+ * 기존 토큰/세션을 모두 무효화하고 이 요청에 대해서만 새 토큰 발급
+ */
+router.post("/me/password", authenticate, async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+        if (!current_password || !new_password) return res.status(400).json({ success: false, message: "MISSING_FIELDS" });
+        if (typeof new_password !== "string" || new_password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, message: "INVALID_PASSWORD", error: `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다` });
+        }
+
+        const [rows] = await db.query("SELECT user_id, email, name, password_hash, role FROM users WHERE user_id = ?", [req.user.user_id]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "USER_NOT_FOUND" });
+        const user = rows[0];
+
+        const isMatch = await bcryptjs.compare(current_password, user.password_hash);
+        if (!isMatch) return res.status(401).json({ success: false, message: "INVALID_CURRENT_PASSWORD" });
+
+        // 기존 토큰을 먼저 폐기 (폐기에 실패하면 비밀번호를 바꾸지 않음)
+        const password_hash = await bcryptjs.hash(new_password, 10);
+        await revokeAllUserTokens(user.user_id);
+        await db.query("UPDATE users SET password_hash = ? WHERE user_id = ?", [password_hash, user.user_id]);
+
+        // 비밀번호를 바꾼 현재 기기는 로그인 유지
+        user.token_version = await getTokenVersion(user.user_id);
+        const token = generateToken(user);
+        const refreshToken = await createSession(user);
+
+        return res.status(200).json({ success: true, message: "PASSWORD_CHANGED", token, refresh_token: refreshToken });
+    } catch (err) {
+        console.error("CHANGE PASSWORD ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+/**
+ * DELETE /users/me
+ * 회원 탈퇴 (is_active = FALSE로 비활성화, 데이터는 보존)
+ */
+router.delete("/me", authenticate, async (req, res) => {
+    try {
+        await db.query("UPDATE users SET is_active = FALSE WHERE user_id = ?", [req.user.user_id]);
+
+        await revokeAllUserTokens(req.user.user_id);
+        await invalidateUserCache(req.user.user_id);
+
+        return res.status(200).json({ success: true, message: "ACCOUNT_DEACTIVATED" });
+    } catch (err) {
+        console.error("DEACTIVATE ACCOUNT ERROR:", err);
+        return res.status(500).json({ success: false, message: "SERVER_ERROR", error: err.message });
+    }
+});
+
+router.get("/", authenticate, checkPermission("users.read"), async (req, res) => {
     try {
         const cacheKey = "users:all";
 
@@ -143,7 +611,7 @@ router.get("/", async (req, res) => {
     }
 });
 
-router.get("/:userId", async (req, res) => {
+router.get("/:userId", authenticate, checkOwnership("userId"), async (req, res) => {
     try {
         const { userId } = req.params;
         const cacheKey = `users:${userId}`;
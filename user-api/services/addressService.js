@@ -0,0 +1,238 @@
+/**
+ * 배송지 주소록 서비스
+ * 사용자별 user_addresses CRUD와 기본 배송지 관리 (사용자당 기본 배송지는 하나)
+ */
+
+import { db } from '../../shared/db.js';
+
+// 주소 필드별 최대 길이 (user_addresses 컬럼 길이와 동일)
+const ADDRESS_FIELDS = {
+  label: { maxLength: 50, required: false },
+  recipient_name: { maxLength: 100, required: true },
+  phone: { maxLength: 20, required: true },
+  postcode: { maxLength: 10, required: true },
+  road_address: { maxLength: 255, required: true },
+  detail_address: { maxLength: 255, required: false }
+};
+
+const ADDRESS_COLUMNS = 'id, user_id, label, recipient_name, phone, postcode, road_address, detail_address, is_default, created_at, updated_at';
+
+/**
+ * 주소록 에러 생성 (HTTP 상태/에러 코드 포함)
+ */
+function createAddressError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * 주소 입력 검증 및 정리
+ * @param {Object} input - 요청 본문
+ * @param {boolean} partial - true면 전달된 필드만 검증 (수정)
+ * @returns {Object} - 저장할 필드 값
+ */
+function validateAddressInput(input, partial = false) {
+  const values = {};
+
+  for (const [field, rule] of Object.entries(ADDRESS_FIELDS)) {
+    const value = input[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required && !partial) {
+        throw createAddressError(400, 'MISSING_FIELDS', `${field} is required`);
+      }
+      if (value !== undefined && rule.required) {
+        throw createAddressError(400, 'INVALID_ADDRESS', `${field} cannot be empty`);
+      }
+      if (value !== undefined) {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    if (typeof value !== 'string' || value.trim().length > rule.maxLength) {
+      throw createAddressError(400, 'INVALID_ADDRESS', `${field} must be a string of at most ${rule.maxLength} characters`);
+    }
+
+    values[field] = value.trim();
+  }
+
+  if (values.postcode && !/^[0-9]{5,6}$/.test(values.postcode)) {
+    throw createAddressError(400, 'INVALID_ADDRESS', 'postcode must be 5-6 digits');
+  }
+
+  return values;
+}
+
+/**
+ * 사용자의 다른 주소 기본 배송지 해제
+ */
+async function clearDefaultAddress(userId, connection) {
+  await connection.execute(
+    'UPDATE user_addresses SET is_default = FALSE WHERE user_id = ? AND is_default = TRUE',
+    [userId]
+  );
+}
+
+/**
+ * 주소 조회 (본인 주소만)
+ */
+async function findAddress(userId, addressId, connection = db) {
+  const [rows] = await connection.query(
+    `SELECT ${ADDRESS_COLUMNS} FROM user_addresses WHERE id = ? AND user_id = ?`,
+    [addressId, userId]
+  );
+
+  if (rows.length === 0) {
+    throw createAddressError(404, 'ADDRESS_NOT_FOUND', 'Address not found');
+  }
+
+  return rows[0];
+}
+
+/**
+ * 주소 목록 조회 (기본 배송지 먼저)
+ * @param {number} userId - 사용자 ID
+ */
+async function listAddresses(userId) {
+  const [rows] = await db.query(
+    `SELECT ${ADDRESS_COLUMNS} FROM user_addresses WHERE user_id = ? ORDER BY is_default DESC, created_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * 주소 추가
+ * 첫 주소이거나 is_default=true면 기본 배송지로 지정
+ * @param {number} userId - 사용자 ID
+ * @param {Object} input - 주소 필드
+ */
+async function createAddress(userId, input) {
+  const values = validateAddressInput(input);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [existing] = await conn.execute(
+      'SELECT COUNT(*) AS count FROM user_addresses WHERE user_id = ? FOR UPDATE',
+      [userId]
+    );
+    const isDefault = input.is_default === true || Number(existing[0].count) === 0;
+
+    if (isDefault) {
+      await clearDefaultAddress(userId, conn);
+    }
+
+    const [result] = await conn.execute(
+      `INSERT INTO user_addresses (user_id, label, recipient_name, phone, postcode, road_address, detail_address, is_default)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        values.label || null,
+        values.recipient_name,
+        values.phone,
+        values.postcode,
+        values.road_address,
+        values.detail_address || null,
+        isDefault
+      ]
+    );
+
+    const address = await findAddress(userId, result.insertId, conn);
+    await conn.commit();
+    return address;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 주소 수정 (전달된 필드만 변경, is_default=true면 기본 배송지로 지정)
+ * @param {number} userId - 사용자 ID
+ * @param {number} addressId - 주소 ID
+ * @param {Object} input - 변경할 필드
+ */
+async function updateAddress(userId, addressId, input) {
+  const values = validateAddressInput(input, true);
+  const makeDefault = input.is_default === true;
+
+  if (Object.keys(values).length === 0 && !makeDefault) {
+    throw createAddressError(400, 'NO_FIELDS_TO_UPDATE', 'No fields to update');
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await findAddress(userId, addressId, conn);
+
+    if (makeDefault) {
+      await clearDefaultAddress(userId, conn);
+      values.is_default = true;
+    }
+
+    const columns = Object.keys(values);
+    await conn.execute(
+      `UPDATE user_addresses SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+      [...columns.map(column => values[column]), addressId, userId]
+    );
+
+    const address = await findAddress(userId, addressId, conn);
+    await conn.commit();
+    return address;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 주소 삭제
+ * 기본 배송지를 삭제하면 가장 최근 주소를 기본 배송지로 지정
+ * @param {number} userId - 사용자 ID
+ * @param {number} addressId - 주소 ID
+ */
+async function deleteAddress(userId, addressId) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const address = await findAddress(userId, addressId, conn);
+
+    await conn.execute('DELETE FROM user_addresses WHERE id = ? AND user_id = ?', [addressId, userId]);
+
+    if (address.is_default) {
+      await conn.execute(
+        `UPDATE user_addresses SET is_default = TRUE
+         WHERE user_id = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        [userId]
+      );
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export {
+  listAddresses,
+  findAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress
+};
@@ -0,0 +1,117 @@
+/**
+ * 로그인 시도 제한 서비스
+ * 이메일/IP별 로그인 실패 횟수를 Redis에 기록하고, 기준 횟수를 넘으면
+ * 실패할 때마다 잠금 시간을 두 배로 늘림 (지수 백오프)
+ *
+ * Redis 키
+ *   login_attempt:email:{email} / login_attempt:ip:{ip} - 실패 횟수 (집계 구간 TTL)
+ *   login_lock:email:{email} / login_lock:ip:{ip}       - 잠금 (TTL = 남은 잠금 시간)
+ */
+
+import redisClient from '../config/redis.js';
+
+// 이메일 기준: 5회 실패부터 잠금
+const MAX_EMAIL_ATTEMPTS = parseInt(process.env.LOGIN_MAX_EMAIL_ATTEMPTS, 10) || 5;
+// IP 기준: 여러 계정을 대상으로 한 시도 차단 (공유 IP를 고려해 더 높게)
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10) || 20;
+// 실패 횟수 집계 구간 (15분, 실패할 때마다 연장)
+const ATTEMPT_WINDOW_SECONDS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS, 10) || 15 * 60;
+// 첫 잠금 시간 (30초), 최대 잠금 시간 (1시간)
+const LOCK_BASE_SECONDS = parseInt(process.env.LOGIN_LOCK_BASE_SECONDS, 10) || 30;
+const LOCK_MAX_SECONDS = parseInt(process.env.LOGIN_LOCK_MAX_SECONDS, 10) || 60 * 60;
+
+/**
+ * 이메일 정규화 (대소문자/공백 차이로 제한을 우회하지 못하도록)
+ * @param {string} email - 이메일
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * 제한 대상 목록 (이메일, IP)
+ */
+function getSubjects(email, ip) {
+  return [
+    { name: `email:${normalizeEmail(email)}`, maxAttempts: MAX_EMAIL_ATTEMPTS },
+    { name: `ip:${ip}`, maxAttempts: MAX_IP_ATTEMPTS }
+  ];
+}
+
+/**
+ * 실패 횟수에 따른 잠금 시간 (기준 횟수 도달 시 LOCK_BASE, 이후 실패마다 2배)
+ * @param {number} failures - 누적 실패 횟수
+ * @param {number} maxAttempts - 잠금 기준 횟수
+ * @returns {number} - 잠금 시간(초), 잠금 대상이 아니면 0
+ */
+function getLockSeconds(failures, maxAttempts) {
+  if (failures < maxAttempts) {
+    return 0;
+  }
+
+  const exponent = Math.min(failures - maxAttempts, 20);
+  return Math.min(LOCK_BASE_SECONDS * 2 ** exponent, LOCK_MAX_SECONDS);
+}
+
+/**
+ * 현재 잠금 여부 확인
+ * @param {string} email - 로그인 이메일
+ * @param {string} ip - 요청 IP
+ * @returns {Promise<number>} - 남은 잠금 시간(초), 잠금이 아니면 0
+ */
+async function getLockRemaining(email, ip) {
+  try {
+    const ttls = await Promise.all(
+      getSubjects(email, ip).map(subject => redisClient.ttl(`login_lock:${subject.name}`))
+    );
+    return Math.max(0, ...ttls);
+  } catch (redisErr) {
+    console.error('Redis error on login lock check:', redisErr);
+    return 0;
+  }
+}
+
+/**
+ * 로그인 실패 기록 (존재하지 않는 이메일도 동일하게 기록)
+ * @param {string} email - 로그인 이메일
+ * @param {string} ip - 요청 IP
+ * @returns {Promise<number>} - 이번 실패로 걸린 잠금 시간(초), 잠금이 아니면 0
+ */
+async function recordLoginFailure(email, ip) {
+  try {
+    let lockSeconds = 0;
+
+    for (const subject of getSubjects(email, ip)) {
+      const attemptKey = `login_attempt:${subject.name}`;
+      const failures = await redisClient.incr(attemptKey);
+      await redisClient.expire(attemptKey, ATTEMPT_WINDOW_SECONDS);
+
+      const seconds = getLockSeconds(failures, subject.maxAttempts);
+      if (seconds > 0) {
+        await redisClient.set(`login_lock:${subject.name}`, String(failures), { EX: seconds });
+        lockSeconds = Math.max(lockSeconds, seconds);
+      }
+    }
+
+    return lockSeconds;
+  } catch (redisErr) {
+    console.error('Redis error on login attempt tracking:', redisErr);
+    return 0;
+  }
+}
+
+/**
+ * 이메일 기준 실패 기록/잠금 초기화 (로그인 성공, 관리자 잠금 해제)
+ * IP 기준 기록은 다른 계정을 대상으로 한 시도일 수 있으므로 만료될 때까지 유지
+ * @param {string} email - 이메일
+ */
+async function resetLoginFailures(email) {
+  const name = `email:${normalizeEmail(email)}`;
+  await redisClient.del([`login_attempt:${name}`, `login_lock:${name}`]);
+}
+
+export {
+  getLockRemaining,
+  recordLoginFailure,
+  resetLoginFailures
+};
@@ -0,0 +1,89 @@
+/**
+ * 메일 발송 서비스
+ * 전송 방식(transport)을 교체할 수 있도록 분리 (MAIL_TRANSPORT 환경 변수로 선택)
+ *   - console: 콘솔에 출력 (NODE_ENV가 development/test일 때 기본값, 로컬 개발용)
+ *   - file: MAIL_OUTBOX_DIR 디렉토리에 메일을 JSON 파일로 저장 (로컬 개발/테스트용)
+ * 운영 환경의 SES/SMTP 등은 registerTransport로 등록해서 사용
+ * 개발 환경이 아닌데 MAIL_TRANSPORT가 없으면 발송을 거부 (인증/재설정 토큰이 로그에 남지 않도록)
+ * 설정 오류는 서버 시작 시 assertMailTransport로 확인 (app.js)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@blossom.local';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.resolve('mail-outbox');
+
+// transport 이름 → (message) => Promise
+const transports = {
+  console: async (message) => {
+    console.log('📧 MAIL:', JSON.stringify(message, null, 2));
+  },
+  file: async (message) => {
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+    console.log(`📧 MAIL SAVED (${fileName})`);
+  }
+};
+
+/**
+ * 메일 전송 방식 등록
+ * @param {string} name - transport 이름 (MAIL_TRANSPORT 값)
+ * @param {Function} send - (message) => Promise
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+// MAIL_TRANSPORT 없이 console transport를 기본으로 쓸 수 있는 환경
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+/**
+ * 사용할 transport 이름 확인 (설정 오류면 에러 throw)
+ * @returns {string} - transport 이름
+ */
+function resolveTransport() {
+  const transportName = process.env.MAIL_TRANSPORT ||
+    (DEVELOPMENT_ENVS.includes(process.env.NODE_ENV) ? 'console' : null);
+
+  if (!transportName) {
+    throw new Error('MAIL_TRANSPORT is required outside development (NODE_ENV=development|test)');
+  }
+  if (!transports[transportName]) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transportName;
+}
+
+/**
+ * 메일 설정 확인 (서버 시작 시 호출 — 잘못된 설정이면 요청을 받기 전에 종료되도록 에러 throw)
+ */
+function assertMailTransport() {
+  const transportName = resolveTransport();
+  console.log(`✅ Mail transport: ${transportName}`);
+}
+
+/**
+ * 메일 발송
+ * @param {Object} mail - { to, subject, text }
+ */
+async function sendMail({ to, subject, text }) {
+  const send = transports[resolveTransport()];
+
+  await send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    sent_at: new Date().toISOString()
+  });
+}
+
+export {
+  registerTransport,
+  assertMailTransport,
+  sendMail
+};
@@ -0,0 +1,75 @@
+/**
+ * 일회용 토큰 서비스 (이메일 인증, 비밀번호 재설정)
+ *
+ * Redis 키
+ *   {purpose}:{sha256(token)} → userId (TTL = 토큰 유효 시간)
+ *   {purpose}_user:{userId}   → 현재 유효한 토큰 해시 (새로 발급하면 이전 토큰 무효화)
+ * 원본 토큰은 메일로만 전달하고 Redis에는 해시만 저장
+ */
+
+import crypto from 'crypto';
+import redisClient from '../config/redis.js';
+
+// 토큰 용도별 유효 시간
+const TOKEN_TTL_SECONDS = {
+  email_verify: parseInt(process.env.EMAIL_VERIFICATION_TTL_SECONDS, 10) || 60 * 60 * 24, // 24시간
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_SECONDS, 10) || 60 * 30 // 30분
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 일회용 토큰 발급
+ * @param {string} purpose - 'email_verify' | 'password_reset'
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<string>} - 원본 토큰 (메일 링크에 포함)
+ */
+async function issueToken(purpose, userId) {
+  const ttl = TOKEN_TTL_SECONDS[purpose];
+  if (!ttl) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const tokenHash = hashToken(token);
+  const userKey = `${purpose}_user:${userId}`;
+
+  // 이전에 발급한 토큰 무효화 (사용자당 하나만 유효)
+  const previousHash = await redisClient.get(userKey);
+  if (previousHash) {
+    await redisClient.del(`${purpose}:${previousHash}`);
+  }
+
+  await redisClient.set(`${purpose}:${tokenHash}`, String(userId), { EX: ttl });
+  await redisClient.set(userKey, tokenHash, { EX: ttl });
+
+  return token;
+}
+
+/**
+ * 일회용 토큰 사용 (조회와 삭제를 원자적으로 처리해 한 번만 사용 가능)
+ * @param {string} purpose - 'email_verify' | 'password_reset'
+ * @param {string} token - 원본 토큰
+ * @returns {Promise<number|null>} - 사용자 ID (유효하지 않거나 만료되면 null)
+ */
+async function consumeToken(purpose, token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const tokenHash = hashToken(token);
+  const userId = await redisClient.getDel(`${purpose}:${tokenHash}`);
+  if (!userId) {
+    return null;
+  }
+
+  await redisClient.del(`${purpose}_user:${userId}`);
+  return Number(userId);
+}
+
+export {
+  issueToken,
+  consumeToken
+};
@@ -0,0 +1,229 @@
+/**
+ * 역할 관리 서비스
+ * roles / permissions / role_permissions 테이블 관리 (사용자 정의 역할 생성/수정/삭제)
+ * 변경 후에는 shared/permissions.js 캐시를 지워 모든 서비스에 반영
+ */
+
+import { db } from '../../shared/db.js';
+import { invalidateRolePermissions, SUPER_ADMIN_ROLE } from '../../shared/permissions.js';
+
+// 역할 이름 규칙 (예: catalog_manager, cs_agent)
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+/**
+ * 역할 관리 에러 생성 (HTTP 상태/에러 코드 포함)
+ */
+function createRoleError(status, code, message, details = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * 권한 이름 목록 검증 후 permission id 목록 반환
+ * @param {Array<string>} permissionNames - 권한 이름 목록
+ * @param {Object} connection - 트랜잭션 커넥션
+ */
+async function resolvePermissionIds(permissionNames, connection) {
+  if (!Array.isArray(permissionNames) || permissionNames.some(name => typeof name !== 'string')) {
+    throw createRoleError(400, 'INVALID_PERMISSIONS', 'permissions must be an array of permission names');
+  }
+
+  const names = [...new Set(permissionNames)];
+  if (names.length === 0) {
+    return [];
+  }
+
+  const [rows] = await connection.query('SELECT id, name FROM permissions WHERE name IN (?)', [names]);
+  const found = new Set(rows.map(row => row.name));
+  const unknown = names.filter(name => !found.has(name));
+
+  if (unknown.length > 0) {
+    throw createRoleError(400, 'UNKNOWN_PERMISSIONS', 'Unknown permissions', { permissions: unknown });
+  }
+
+  return rows.map(row => row.id);
+}
+
+/**
+ * 역할의 권한을 주어진 목록으로 교체
+ */
+async function replaceRolePermissions(roleId, permissionIds, connection) {
+  await connection.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+  for (const permissionId of permissionIds) {
+    await connection.execute(
+      'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+      [roleId, permissionId]
+    );
+  }
+}
+
+/**
+ * 역할 조회 (잠금 포함, 없으면 404)
+ */
+async function lockRole(roleName, connection) {
+  const [rows] = await connection.execute(
+    'SELECT id, name, description, is_system FROM roles WHERE name = ? FOR UPDATE',
+    [roleName]
+  );
+
+  if (rows.length === 0) {
+    throw createRoleError(404, 'ROLE_NOT_FOUND', 'Role not found');
+  }
+
+  return rows[0];
+}
+
+/**
+ * 전체 권한 목록
+ */
+async function listPermissions() {
+  const [rows] = await db.query('SELECT id, name, resource, action, description FROM permissions ORDER BY name');
+  return rows;
+}
+
+/**
+ * 전체 역할 목록 (권한 이름, 사용자 수 포함)
+ */
+async function listRoles() {
+  const [roles] = await db.query(
+    `SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+            (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+     FROM roles r
+     ORDER BY r.is_system DESC, r.name`
+  );
+
+  const [grants] = await db.query(
+    `SELECT rp.role_id, p.name
+     FROM role_permissions rp
+     JOIN permissions p ON p.id = rp.permission_id
+     ORDER BY p.name`
+  );
+
+  return roles.map(role => ({
+    ...role,
+    user_count: Number(role.user_count),
+    permissions: grants.filter(grant => grant.role_id === role.id).map(grant => grant.name)
+  }));
+}
+
+/**
+ * 사용자 정의 역할 생성
+ * @param {Object} input - { name, description, permissions: [권한 이름] }
+ */
+async function createRole({ name, description = null, permissions = [] }) {
+  if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name)) {
+    throw createRoleError(400, 'INVALID_ROLE_NAME', 'Role name must be 2-50 lowercase letters, digits or underscores');
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [existing] = await conn.execute('SELECT id FROM roles WHERE name = ?', [name]);
+    if (existing.length > 0) {
+      throw createRoleError(409, 'ROLE_ALREADY_EXISTS', 'Role already exists');
+    }
+
+    const permissionIds = await resolvePermissionIds(permissions, conn);
+
+    const [result] = await conn.execute(
+      'INSERT INTO roles (name, description, is_system) VALUES (?, ?, FALSE)',
+      [name, description]
+    );
+    await replaceRolePermissions(result.insertId, permissionIds, conn);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await invalidateRolePermissions(name);
+  return { name, description, permissions: [...new Set(permissions)].sort() };
+}
+
+/**
+ * 역할 수정 (설명, 권한 목록 교체)
+ * super_admin은 항상 모든 권한을 가지므로 권한 수정 불가
+ * @param {string} roleName - 역할 이름
+ * @param {Object} input - { description, permissions }
+ */
+async function updateRole(roleName, { description, permissions }) {
+  if (description === undefined && permissions === undefined) {
+    throw createRoleError(400, 'NO_FIELDS_TO_UPDATE', 'No fields to update');
+  }
+
+  if (permissions !== undefined && roleName === SUPER_ADMIN_ROLE) {
+    throw createRoleError(403, 'FORBIDDEN', 'super_admin always has every permission');
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const role = await lockRole(roleName, conn);
+
+    if (description !== undefined) {
+      await conn.execute('UPDATE roles SET description = ? WHERE id = ?', [description, role.id]);
+    }
+
+    if (permissions !== undefined) {
+      const permissionIds = await resolvePermissionIds(permissions, conn);
+      await replaceRolePermissions(role.id, permissionIds, conn);
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await invalidateRolePermissions(roleName);
+}
+
+/**
+ * 사용자 정의 역할 삭제 (기본 역할이거나 사용 중인 역할은 삭제 불가)
+ * @param {string} roleName - 역할 이름
+ */
+async function deleteRole(roleName) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const role = await lockRole(roleName, conn);
+    if (role.is_system) {
+      throw createRoleError(403, 'FORBIDDEN', 'System roles cannot be deleted');
+    }
+
+    const [[{ count }]] = await conn.execute('SELECT COUNT(*) AS count FROM users WHERE role = ?', [roleName]);
+    if (Number(count) > 0) {
+      throw createRoleError(409, 'ROLE_IN_USE', 'Role is assigned to users', { user_count: Number(count) });
+    }
+
+    await conn.execute('DELETE FROM roles WHERE id = ?', [role.id]);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await invalidateRolePermissions(roleName);
+}
+
+export {
+  listPermissions,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
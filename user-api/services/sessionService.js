@@ -0,0 +1,168 @@
+/**
+ * 세션(Refresh Token) 서비스
+ * Refresh Token 발급, 회전, 재사용 감지, 폐기
+ *
+ * Redis 구조: refresh:{userId} (Hash)
+ *   field = familyId (로그인 1회당 하나의 세션 패밀리)
+ *   value = 현재 유효한 Refresh Token의 jti
+ * 회전할 때마다 jti가 바뀌므로, 이미 회전된(이전 jti) 토큰이 다시 사용되면
+ * 탈취로 보고 해당 패밀리 전체를 폐기한다.
+ */
+
+import crypto from 'crypto';
+import redisClient from '../config/redis.js';
+import {
+  generateRefreshToken,
+  verifyRefreshToken,
+  bumpTokenVersion,
+  REFRESH_TOKEN_TTL_SECONDS
+} from '../../shared/auth.js';
+
+// 회전 스크립트 (조회 → 비교 → 교체를 원자적으로 처리해 동시 요청 중 하나만 성공)
+// 반환값: 1 = 회전 성공, 0 = 패밀리 없음(로그아웃/만료), -1 = 재사용 감지(패밀리 폐기)
+const ROTATE_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if not current then
+  return 0
+end
+if current ~= ARGV[2] then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+  return -1
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+return 1
+`;
+
+/**
+ * 세션 에러 생성 (HTTP 상태/에러 코드 포함)
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} code - 에러 코드 (응답 message)
+ * @param {string} message - 에러 설명
+ */
+function createSessionError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * 사용자별 Refresh Token 저장 키
+ * @param {number} userId - 사용자 ID
+ */
+function refreshKey(userId) {
+  return `refresh:${userId}`;
+}
+
+/**
+ * Refresh Token 검증 (서명/만료/타입)
+ * @param {string} refreshToken - Refresh Token
+ * @returns {Object} - 토큰 페이로드
+ */
+function decodeRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw createSessionError(400, 'MISSING_FIELDS', 'refresh_token is required');
+  }
+
+  try {
+    return verifyRefreshToken(refreshToken);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw createSessionError(401, 'REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+    }
+    throw createSessionError(401, 'INVALID_REFRESH_TOKEN', 'Refresh token is invalid');
+  }
+}
+
+/**
+ * 새 세션 생성 (로그인 시)
+ * @param {Object} user - 사용자 정보 (user_id 필수)
+ * @returns {Promise<string>} - 새 Refresh Token
+ */
+async function createSession(user) {
+  const key = refreshKey(user.user_id);
+  const familyId = crypto.randomUUID();
+  const jti = crypto.randomUUID();
+
+  // 이전 버전은 refresh:{userId}에 토큰 문자열을 저장했으므로 Hash가 아니면 정리
+  const type = await redisClient.type(key);
+  if (type !== 'hash' && type !== 'none') {
+    await redisClient.del(key);
+  }
+
+  await redisClient.hSet(key, familyId, jti);
+  await redisClient.expire(key, REFRESH_TOKEN_TTL_SECONDS);
+
+  return generateRefreshToken(user, familyId, jti);
+}
+
+/**
+ * Refresh Token 회전
+ * 현재 jti와 일치하면 새 jti로 교체하고 새 Refresh Token 발급
+ * 이미 회전된 토큰이면 세션 패밀리 전체 폐기 후 401 REFRESH_TOKEN_REUSED
+ * @param {string} refreshToken - 클라이언트가 보낸 Refresh Token
+ * @returns {Promise<Object>} - { userId, refreshToken }
+ */
+async function rotateSession(refreshToken) {
+  const decoded = decodeRefreshToken(refreshToken);
+  const nextJti = crypto.randomUUID();
+
+  const result = await redisClient.eval(ROTATE_SCRIPT, {
+    keys: [refreshKey(decoded.userId)],
+    arguments: [decoded.familyId, decoded.jti, nextJti, String(REFRESH_TOKEN_TTL_SECONDS)]
+  });
+
+  if (result === -1) {
+    console.warn(`REFRESH TOKEN REUSE DETECTED (user ${decoded.userId}, family ${decoded.familyId})`);
+    throw createSessionError(401, 'REFRESH_TOKEN_REUSED', 'Refresh token was already used; session revoked');
+  }
+
+  if (result !== 1) {
+    throw createSessionError(401, 'INVALID_REFRESH_TOKEN', 'Session has been revoked or expired');
+  }
+
+  return {
+    userId: decoded.userId,
+    refreshToken: generateRefreshToken({ user_id: decoded.userId }, decoded.familyId, nextJti)
+  };
+}
+
+/**
+ * 세션 폐기 (로그아웃)
+ * Refresh Token이 속한 세션 패밀리만 삭제 (다른 기기의 세션은 유지)
+ * @param {string} refreshToken - Refresh Token
+ * @returns {Promise<number>} - 사용자 ID
+ */
+async function revokeSession(refreshToken) {
+  const decoded = decodeRefreshToken(refreshToken);
+  await redisClient.hDel(refreshKey(decoded.userId), decoded.familyId);
+  return decoded.userId;
+}
+
+/**
+ * 사용자의 모든 세션 폐기 (모든 기기 로그아웃)
+ * @param {number} userId - 사용자 ID
+ */
+async function revokeAllSessions(userId) {
+  await redisClient.del(refreshKey(userId));
+}
+
+/**
+ * 사용자의 모든 토큰 무효화
+ * 토큰 버전을 올려 발급된 Access Token을 모두 거부하고 Refresh Token 세션도 삭제
+ * (관리자 강제 로그아웃, 비밀번호 변경 시)
+ * @param {number} userId - 사용자 ID
+ */
+async function revokeAllUserTokens(userId) {
+  await bumpTokenVersion(userId);
+  await revokeAllSessions(userId);
+}
+
+export {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeAllUserTokens
+};